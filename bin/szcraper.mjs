@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+/**
+ * szcraper - Gumtree scraper command line
+ *
+ *   szcraper search <terms...>   Search and save listings
+ *   szcraper details <url...>    Scrape listing pages
+ *   szcraper watch <search>      Re-run a saved search and report changes
+ *   szcraper export [file]       Export stored listings
+ *   szcraper serve               Start the HTTP API
+ *   szcraper keys <action>       Manage API keys for the HTTP API
+ *
+ * Exit codes are in cli/terminal.mjs (EXIT_CODES). The first Ctrl-C stops
+ * the scrape and still writes what it found; a second one exits at once.
+ */
+
+import { parseArgs } from "util";
+import { COMMANDS } from "../cli/commands.mjs";
+import { EXIT_CODES, createProgress } from "../cli/terminal.mjs";
+
+const GLOBAL_OPTIONS = {
+  json: { type: "boolean" },
+  quiet: { type: "boolean", short: "q" },
+  "data-dir": { type: "string" },
+  help: { type: "boolean", short: "h" },
+};
+
+const GLOBAL_USAGE = `Options for every command:
+      --json               Print a JSON result on stdout (for scripts)
+  -q, --quiet              No progress output
+      --data-dir <dir>     Listing store, saved searches etc. (default: $DATA_DIR or data)
+  -h, --help               Show help`;
+
+function usage() {
+  const width = Math.max(...Object.keys(COMMANDS).map((name) => name.length));
+  return [
+    "Usage: szcraper <command> [options]",
+    "",
+    "Commands:",
+    ...Object.entries(COMMANDS).map(([name, command]) => `  ${name.padEnd(width)}  ${command.summary}`),
+    "",
+    GLOBAL_USAGE,
+    "",
+    "Run szcraper <command> --help for a command's options.",
+    "",
+    "Exit codes: 0 ok, 1 failed, 2 usage error, 3 partial results, 4 blocked, 130 interrupted",
+  ].join("\n");
+}
+
+async function main(argv) {
+  const [name, ...args] = argv;
+  if (!name || name === "--help" || name === "-h") {
+    console.log(usage());
+    return EXIT_CODES.OK;
+  }
+  if (name === "help") {
+    const command = COMMANDS[args[0]];
+    console.log(command ? `Usage: ${command.usage}\n\n${GLOBAL_USAGE}` : usage());
+    return EXIT_CODES.OK;
+  }
+
+  const command = Object.hasOwn(COMMANDS, name) ? COMMANDS[name] : null;
+  if (!command) {
+    console.error(`szcraper: unknown command "${name}"\n\n${usage()}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args, options: { ...GLOBAL_OPTIONS, ...command.options }, allowPositionals: true });
+  } catch (err) {
+    console.error(`szcraper ${name}: ${err.message}\n\nRun szcraper ${name} --help for usage.`);
+    return EXIT_CODES.USAGE;
+  }
+  const { values, positionals } = parsed;
+  if (values.help) {
+    console.log(`Usage: ${command.usage}\n\n${GLOBAL_USAGE}`);
+    return EXIT_CODES.OK;
+  }
+
+  const controller = new AbortController();
+  if (!command.handlesSignals) {
+    process.on("SIGINT", () => {
+      if (controller.signal.aborted) process.exit(EXIT_CODES.INTERRUPTED);
+      console.error("\nStopping (Ctrl-C again to quit now)...");
+      controller.abort();
+    });
+  }
+
+  const context = {
+    signal: controller.signal,
+    progress: createProgress({ enabled: !values.quiet }),
+    json: Boolean(values.json),
+    dataDir: values["data-dir"] || process.env.DATA_DIR || "data",
+  };
+
+  try {
+    return await command.run(values, positionals, context);
+  } catch (err) {
+    context.progress.done();
+    if (err.exitCode === EXIT_CODES.USAGE) {
+      console.error(`szcraper ${name}: ${err.message}\n\nRun szcraper ${name} --help for usage.`);
+      return EXIT_CODES.USAGE;
+    }
+    console.error(`szcraper ${name}: ${err.message}`);
+    return err.exitCode ?? EXIT_CODES.FAILED;
+  }
+}
+
+process.exitCode = await main(process.argv.slice(2));
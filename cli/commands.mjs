@@ -0,0 +1,691 @@
+/**
+ * szcraper subcommands
+ *
+ * Each command has the flags it accepts (in node:util parseArgs form), its
+ * usage text and a `run(values, positionals, context)` that resolves to an
+ * exit code (see EXIT_CODES). `context` carries the Ctrl-C signal, the
+ * progress display, --json and the data directory.
+ *
+ * The CLI shares the server's data directory: search and details upsert
+ * into the same listing store, watch runs the same saved searches, and
+ * export reads the store back out.
+ */
+
+import fs from "fs";
+import path from "path";
+import lib from "../v2/lib.mjs";
+import { createSavedSearchManager } from "../server/saved-searches.mjs";
+import { openApiKeyStore, DEFAULT_LIMITS } from "../server/api-keys.mjs";
+import {
+  EXIT_CODES,
+  usageError,
+  parseNumber,
+  parseInterval,
+  printJson,
+  scrapeExitCode,
+  resolveFormat,
+  writeListings,
+  describeListing,
+} from "./terminal.mjs";
+
+const OUTPUT_DIR = process.env.OUTPUT_DIR || "output";
+
+// Flags shared by the commands that scrape
+const SCRAPE_OPTIONS = {
+  proxies: { type: "string" },
+  headless: { type: "boolean" },
+  headed: { type: "boolean" },
+  images: { type: "boolean" },
+};
+
+const SEARCH_OPTIONS = {
+  location: { type: "string", short: "l" },
+  site: { type: "string" },
+  category: { type: "string" },
+  "min-price": { type: "string" },
+  "max-price": { type: "string" },
+  radius: { type: "string" },
+  sort: { type: "string" },
+  pages: { type: "string", short: "p" },
+  details: { type: "boolean", short: "d" },
+};
+
+const FORMAT_OPTIONS = {
+  format: { type: "string", short: "f" },
+  output: { type: "string", short: "o" },
+};
+
+// ============================================================================
+// SHARED
+// ============================================================================
+
+function openStore(context) {
+  return lib.openListingStore(path.join(context.dataDir, "listings"));
+}
+
+function scrapeSettings(values, context) {
+  if (values.headless && values.headed) throw usageError("--headless and --headed can't be used together");
+  let proxies = [];
+  if (values.proxies) {
+    if (!fs.existsSync(values.proxies)) throw usageError(`Proxies file not found: ${values.proxies}`);
+    proxies = lib.loadProxies(values.proxies);
+  }
+  return {
+    headless: !values.headed,
+    proxies,
+    images: values.images ? lib.openImageStore(path.join(context.dataDir, "images")) : undefined,
+  };
+}
+
+/**
+ * A search spec from the search flags. Without --location the terms are
+ * the whole search ("iphone 15 sydney"), as with scrapeGumtreeSearch().
+ */
+function searchSpec(terms, values) {
+  const site = values.site || lib.getAdapter().site;
+  const spec = {
+    site,
+    keywords: terms,
+    ...lib.pickSearchFilters({
+      location: values.location,
+      category: values.category,
+      minPrice: parseNumber(values["min-price"], "min-price", { integer: false }),
+      maxPrice: parseNumber(values["max-price"], "max-price", { integer: false }),
+      radius: parseNumber(values.radius, "radius", { min: 1 }),
+      sort: values.sort,
+    }),
+  };
+
+  // Unknown sites, sorts and the like fail here rather than after the browser starts
+  try {
+    const adapter = lib.getAdapter(site);
+    adapter.buildSearchUrl(adapter.resolveSearch(spec).search);
+  } catch (err) {
+    throw usageError(err.message);
+  }
+  return spec;
+}
+
+function defaultOutput(name, format) {
+  return path.join(OUTPUT_DIR, `${lib.sanitizeFilename(name)}.${lib.EXPORT_FORMATS[format].extension}`);
+}
+
+// ============================================================================
+// SEARCH
+// ============================================================================
+
+const search = {
+  summary: "Search listings and save them",
+  usage: `szcraper search <terms...> [options]
+
+Searches Gumtree and writes the listings to output/<terms>.<format>
+(or --output). Every listing is also upserted into the listing store.
+
+  -l, --location <place>   Where to search; without it the terms include the place
+      --site <site>        gumtree-au (default) or gumtree-uk
+      --category <slug>    Category, e.g. dogs-puppies
+      --min-price <n>      Lowest price
+      --max-price <n>      Highest price
+      --radius <km>        Search radius around --location
+      --sort <order>       relevance, newest, price_asc or price_desc
+  -p, --pages <n>          Result pages to read (default: 5)
+  -d, --details            Also scrape every listing's page
+      --images             Download listing images and flag reposts
+      --proxies <file>     Proxy list, one per line
+      --headless           Run the browser headless (default)
+      --headed             Show the browser
+  -f, --format <format>    json (default), csv, ndjson, xlsx or geojson
+  -o, --output <file>      Where to write the listings ("-" for stdout)
+
+Example:
+  szcraper search iphone 15 --location sydney --pages 2 --format csv`,
+  options: { ...SEARCH_OPTIONS, ...SCRAPE_OPTIONS, ...FORMAT_OPTIONS },
+
+  async run(values, positionals, context) {
+    const { progress, signal } = context;
+    const terms = positionals.join(" ").trim();
+    if (!terms) throw usageError("Missing search terms");
+
+    const spec = searchSpec(terms, values);
+    const maxPages = parseNumber(values.pages, "pages", { min: 1 }) ?? 5;
+    const format = resolveFormat(values.format, values.output);
+    const settings = scrapeSettings(values, context);
+
+    let found = 0;
+    let detailed = 0;
+    const results = await lib.scrapeGumtreeSearch({
+      search: spec,
+      maxPages,
+      scrapeDetails: Boolean(values.details),
+      ...settings,
+      store: openStore(context),
+      signal,
+      onPage: ({ page, listings }) => {
+        found += listings.length;
+        progress.update(`Page ${page}/${maxPages}: ${listings.length} listings (${found} in all)`);
+      },
+      onDetail: () => progress.update(`Details ${++detailed}/${found}`),
+      onBlocked: ({ page, error }) => progress.log(`Blocked on page ${page}: ${error}`),
+    });
+    progress.done();
+
+    const code = scrapeExitCode({ scraped: results.pagesScraped, errors: results.errors, aborted: signal.aborted });
+    // Nothing is written when no page could be read
+    const output = results.pagesScraped > 0 ? values.output || (context.json ? null : defaultOutput(terms, format)) : null;
+    const written = output ? writeListings(results.listings, { format, output }) : null;
+
+    if (context.json) {
+      if (written?.file !== "-") printJson({ exitCode: code, file: written?.file || null, ...results });
+      return code;
+    }
+
+    // The summary moves to stderr when stdout carries the listings
+    const say = written?.file === "-" ? console.error : console.log;
+    say(`${results.listings.length} listings from ${results.pagesScraped} pages (${lib.describeSearch(results.search)})`);
+    if (results.duplicates > 0) say(`${results.duplicates} duplicate ads skipped`);
+    for (const e of results.errors) console.error(`  error${e.page ? ` on page ${e.page}` : ""}: ${e.error}`);
+    for (const warning of results.health?.search?.warnings || []) console.error(`  warning: ${warning}`);
+    if (written && written.file !== "-") {
+      results.listings.slice(0, 5).forEach((l, i) => say(describeListing(l, i)));
+      say(`Saved to ${written.file}`);
+    }
+    return code;
+  },
+};
+
+// ============================================================================
+// DETAILS
+// ============================================================================
+
+function readLines(stream) {
+  return new Promise((resolve, reject) => {
+    let text = "";
+    stream.setEncoding("utf-8");
+    stream.on("data", (chunk) => (text += chunk));
+    stream.on("end", () => resolve(text.split(/\s+/).filter(Boolean)));
+    stream.on("error", reject);
+  });
+}
+
+const details = {
+  summary: "Scrape listing pages by URL",
+  usage: `szcraper details <url...> [options]
+
+Scrapes each listing page and writes the listings to output/details.<format>
+(or --output). With no URLs, reads them from stdin, one per line.
+
+      --images             Download listing images and flag reposts
+      --proxies <file>     Proxy list, one per line
+      --headless           Run the browser headless (default)
+      --headed             Show the browser
+  -f, --format <format>    json (default), csv, ndjson, xlsx or geojson
+  -o, --output <file>      Where to write the listings ("-" for stdout)
+
+Example:
+  szcraper search ps5 melbourne --json | jq -r '.listings[].url' | szcraper details -f csv`,
+  options: { ...SCRAPE_OPTIONS, ...FORMAT_OPTIONS },
+
+  async run(values, positionals, context) {
+    const { progress, signal } = context;
+    const urls = positionals.length > 0 || process.stdin.isTTY ? positionals : await readLines(process.stdin);
+    if (urls.length === 0) throw usageError("Missing listing URLs");
+    const invalid = urls.filter((u) => !lib.isGumtreeListingUrl(u));
+    if (invalid.length > 0) throw usageError(`Not Gumtree listing URLs: ${invalid.join(", ")}`);
+
+    const format = resolveFormat(values.format, values.output);
+    const unique = Array.from(new Set(urls));
+    let done = 0;
+    const results = await lib.scrapeGumtreeListingDetails({
+      urls: unique,
+      ...scrapeSettings(values, context),
+      store: openStore(context),
+      signal,
+      onListing: (listing) => progress.update(`Listing ${++done}/${unique.length}: ${listing.title || listing.url}`),
+    });
+    progress.done();
+
+    const scraped = results.listings.length + results.removed.length;
+    const code = scrapeExitCode({ scraped, errors: results.errors, aborted: signal.aborted });
+    const output = results.listings.length > 0 ? values.output || (context.json ? null : defaultOutput("details", format)) : null;
+    const written = output ? writeListings(results.listings, { format, output }) : null;
+
+    if (context.json) {
+      if (written?.file !== "-") printJson({ exitCode: code, file: written?.file || null, ...results });
+      return code;
+    }
+
+    const say = written?.file === "-" ? console.error : console.log;
+    say(`${results.listings.length} of ${unique.length} listings scraped`);
+    if (results.removed.length > 0) say(`${results.removed.length} removed: ${results.removed.join(", ")}`);
+    for (const e of results.errors) console.error(`  error${e.url ? ` on ${e.url}` : ""}: ${e.error}`);
+    if (written && written.file !== "-") say(`Saved to ${written.file}`);
+    return code;
+  },
+};
+
+// ============================================================================
+// WATCH
+// ============================================================================
+
+const EVENT_LABELS = { new: "New", price_drop: "Price drop", repost: "Repost" };
+
+// Resolves after `ms`, or straight away on abort
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal.aborted) return resolve();
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      signal.removeEventListener("abort", done);
+      resolve();
+    }
+    signal.addEventListener("abort", done, { once: true });
+  });
+}
+
+const watch = {
+  summary: "Re-run a saved search on an interval and report changes",
+  usage: `szcraper watch <saved search ID or name | terms...> [options]
+
+Runs a saved search (the same ones as the API's /saved-searches) every
+interval and prints new listings, price drops and reposts. Given terms
+that don't name a saved search, saves a new one first. The first run only
+records what's there. Stop with Ctrl-C.
+
+  -l, --location <place>   Where to search (new saved searches)
+      --site <site>        gumtree-au (default) or gumtree-uk
+      --category <slug>    Category, e.g. dogs-puppies
+      --min-price <n>      Lowest price
+      --max-price <n>      Highest price
+      --radius <km>        Search radius around --location
+      --sort <order>       relevance, newest, price_asc or price_desc
+  -p, --pages <n>          Result pages to read (default: 1)
+  -d, --details            Also scrape every listing's page
+      --name <name>        Name for a new saved search (default: the terms)
+      --webhook <url>      Also POST changes to this URL
+      --every <interval>   How often to run, e.g. 90s, 15m, 2h (default: the search's, or 30m)
+      --once               Run once and exit
+      --proxies <file>     Proxy list, one per line
+      --headless           Run the browser headless (default)
+      --headed             Show the browser
+
+Don't watch a saved search the server is also running on its schedule.
+
+Example:
+  szcraper watch cavoodle puppies --location geelong --every 15m`,
+  options: {
+    ...SEARCH_OPTIONS,
+    proxies: SCRAPE_OPTIONS.proxies,
+    headless: SCRAPE_OPTIONS.headless,
+    headed: SCRAPE_OPTIONS.headed,
+    name: { type: "string" },
+    webhook: { type: "string" },
+    every: { type: "string" },
+    once: { type: "boolean" },
+  },
+
+  async run(values, positionals, context) {
+    const { progress, signal } = context;
+    const terms = positionals.join(" ").trim();
+    if (!terms) throw usageError("Missing saved search or search terms");
+
+    const everyMs = parseInterval(values.every, "every");
+    const settings = scrapeSettings(values, context);
+    const store = openStore(context);
+
+    const manager = createSavedSearchManager({
+      dir: path.join(context.dataDir, "saved-searches"),
+      runSearch: async (saved, options) => {
+        const query = saved.name || saved.term;
+        try {
+          const results = await lib.scrapeGumtreeSearch({
+            search: { ...lib.pickSearchFilters(saved.filters), site: saved.site, keywords: saved.term, location: saved.location },
+            ...options,
+            ...settings,
+            store,
+            signal,
+            onPage: ({ page, listings }) => progress.update(`${query}: page ${page} (${listings.length} listings)`),
+          });
+          progress.done();
+          if (results.pagesScraped === 0) {
+            const last = results.errors.at(-1);
+            return { ok: false, query, error: results.errors.map((e) => e.error).join("; ") || "No pages scraped", state: last?.state || null };
+          }
+          return { ok: true, query, results };
+        } catch (err) {
+          progress.done();
+          return { ok: false, query, error: err.message };
+        }
+      },
+    });
+
+    let saved = manager.get(terms) || manager.list().find((s) => s.name === (values.name || terms));
+    if (saved) {
+      const overrides = ["location", "site", "category", "min-price", "max-price", "radius", "sort", "webhook"].filter((f) => values[f] !== undefined);
+      if (overrides.length > 0) throw usageError(`--${overrides[0]} only applies to new saved searches; "${saved.name}" already exists`);
+    } else {
+      const { site, keywords, location, ...filters } = searchSpec(terms, values);
+      saved = manager.create({
+        name: values.name || terms,
+        term: keywords,
+        site,
+        location,
+        filters,
+        maxPages: parseNumber(values.pages, "pages", { min: 1 }) ?? 1,
+        scrapeDetails: Boolean(values.details),
+        intervalMinutes: everyMs ? everyMs / 60000 : undefined,
+        webhookUrl: values.webhook,
+      });
+      progress.log(`Saved search ${saved.id} ("${saved.name}") created`);
+    }
+    if (values.pages !== undefined || values.details) {
+      saved = manager.update(saved.id, {
+        ...(values.pages !== undefined && { maxPages: parseNumber(values.pages, "pages", { min: 1 }) }),
+        ...(values.details && { scrapeDetails: true }),
+      });
+    }
+
+    const intervalMs = everyMs || saved.intervalMinutes * 60 * 1000;
+    let code = EXIT_CODES.OK;
+    while (!signal.aborted) {
+      const summary = await manager.run(saved.id);
+      if (signal.aborted) break;
+
+      const at = new Date().toLocaleTimeString();
+      if (summary.ok) {
+        code = EXIT_CODES.OK;
+        const seen = manager.get(saved.id).seen;
+        if (context.json) {
+          printJson({ ...summary, at: new Date().toISOString(), events: summary.events.map((e) => ({ ...e, ...seen[e.adId] })) });
+        } else if (summary.baseline) {
+          console.log(`[${at}] ${summary.listings} listings recorded as the baseline`);
+        } else {
+          console.log(`[${at}] ${summary.listings} listings, ${summary.events.length} changes`);
+          for (const event of summary.events) {
+            const ad = seen[event.adId] || {};
+            const price = ad.priceValue !== null && ad.priceValue !== undefined ? ` - $${ad.priceValue}` : "";
+            console.log(`  ${EVENT_LABELS[event.type] || event.type}: ${ad.title || event.adId}${price} (${event.adId})`);
+          }
+        }
+      } else {
+        code = lib.isBlockingState(summary.state) ? EXIT_CODES.BLOCKED : EXIT_CODES.FAILED;
+        if (context.json) printJson({ ...summary, at: new Date().toISOString() });
+        else console.error(`[${at}] Run failed: ${summary.error}`);
+      }
+
+      if (values.once) return code;
+      progress.update(`Next run at ${new Date(Date.now() + intervalMs).toLocaleTimeString()}`);
+      await sleep(intervalMs, signal);
+      progress.done();
+    }
+    return EXIT_CODES.INTERRUPTED;
+  },
+};
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+// Listings from a file: a JSON array, an object with `listings` or `results`
+// (search output, API responses), or NDJSON
+function readListingsFile(file) {
+  if (!fs.existsSync(file)) throw usageError(`File not found: ${file}`);
+  const text = fs.readFileSync(file, "utf-8");
+  try {
+    const data = JSON.parse(text);
+    const listings = Array.isArray(data) ? data : data.listings || data.results;
+    if (Array.isArray(listings)) return listings;
+  } catch (e) {
+    const lines = text.split("\n").filter((line) => line.trim());
+    try {
+      return lines.map((line) => JSON.parse(line));
+    } catch (err) {}
+  }
+  throw usageError(`${file} isn't a JSON array of listings, search output or NDJSON`);
+}
+
+const exportCommand = {
+  summary: "Export stored listings (or a results file) as csv, xlsx and more",
+  usage: `szcraper export [file] [options]
+
+Writes listings from the listing store - everything the server and the
+CLI have scraped - or from a JSON/NDJSON results file.
+
+  -f, --format <format>    json, csv (default), ndjson, xlsx or geojson
+  -o, --output <file>      Where to write (default: output/export.<format>, "-" for stdout)
+      --text <words>       Store: title or description contains
+      --query <query>      Store: surfaced by this search query
+      --state <state>      Store: e.g. NSW
+      --seller <id|name>   Store: by this seller
+      --since <date>       Store: seen since this ISO date
+      --min-price <n>      Lowest price
+      --max-price <n>      Highest price
+      --limit <n>          Most listings to export (store default: all)
+      --dedupe             Merge duplicate ads and mark near-duplicate clusters
+
+Example:
+  szcraper export --state VIC --min-price 500 -f xlsx -o vic.xlsx`,
+  options: {
+    ...FORMAT_OPTIONS,
+    text: { type: "string" },
+    query: { type: "string" },
+    state: { type: "string" },
+    seller: { type: "string" },
+    since: { type: "string" },
+    "min-price": { type: "string" },
+    "max-price": { type: "string" },
+    limit: { type: "string" },
+    dedupe: { type: "boolean" },
+  },
+
+  async run(values, positionals, context) {
+    if (positionals.length > 1) throw usageError("Export one file at a time");
+    const format = resolveFormat(values.format || (values.output ? undefined : "csv"), values.output);
+    const minPrice = parseNumber(values["min-price"], "min-price", { integer: false });
+    const maxPrice = parseNumber(values["max-price"], "max-price", { integer: false });
+    const limit = parseNumber(values.limit, "limit", { min: 1 });
+    if (values.since && isNaN(new Date(values.since))) throw usageError("--since must be a date, e.g. 2025-01-31");
+
+    let listings;
+    if (positionals.length === 1) {
+      listings = readListingsFile(positionals[0])
+        .filter((l) => minPrice === undefined || l.priceValue >= minPrice)
+        .filter((l) => maxPrice === undefined || l.priceValue <= maxPrice)
+        .slice(0, limit);
+    } else {
+      listings = openStore(context)
+        .query({
+          text: values.text,
+          query: values.query,
+          state: values.state,
+          seller: values.seller,
+          since: values.since && new Date(values.since).toISOString(),
+          minPrice,
+          maxPrice,
+          limit: limit ?? Infinity,
+        })
+        .map((r) => ({ ...r.listing, firstSeen: r.firstSeen, lastSeen: r.lastSeen, removedAt: r.removedAt }));
+    }
+
+    let duplicates = 0;
+    if (values.dedupe) ({ listings, duplicates } = lib.dedupeAndCluster(listings));
+
+    const written = writeListings(listings, { format, output: values.output || defaultOutput("export", format) });
+    if (context.json) {
+      if (written.file !== "-") printJson({ exitCode: EXIT_CODES.OK, ...written, count: listings.length, duplicates });
+    } else if (written.file !== "-") {
+      console.log(`${listings.length} listings written to ${written.file}${values.dedupe ? ` (${duplicates} duplicates merged)` : ""}`);
+    }
+    return EXIT_CODES.OK;
+  },
+};
+
+// ============================================================================
+// SERVE
+// ============================================================================
+
+const serve = {
+  summary: "Start the HTTP API",
+  usage: `szcraper serve [options]
+
+Starts the Express API (index.mjs). Flags override the matching
+environment variables.
+
+      --port <n>           PORT (default: 3000)
+      --concurrency <n>    CONCURRENCY: scrapes at once (default: 2)
+      --pages <n>          MAX_PAGES: default result pages per search (default: 3)
+      --output-dir <dir>   OUTPUT_DIR (default: output)
+      --proxies <file>     PROXIES: proxy list, one per line
+      --headless           HEADLESS=true
+      --headed             HEADLESS=false
+
+The data directory (--data-dir) is DATA_DIR.`,
+  // The server shuts itself down on Ctrl-C
+  handlesSignals: true,
+  options: {
+    port: { type: "string" },
+    concurrency: { type: "string" },
+    pages: { type: "string", short: "p" },
+    "output-dir": { type: "string" },
+    proxies: { type: "string" },
+    headless: { type: "boolean" },
+    headed: { type: "boolean" },
+  },
+
+  async run(values, positionals, context) {
+    if (positionals.length > 0) throw usageError(`Unexpected argument: ${positionals[0]}`);
+    if (values.headless && values.headed) throw usageError("--headless and --headed can't be used together");
+    if (values.proxies && !fs.existsSync(values.proxies)) throw usageError(`Proxies file not found: ${values.proxies}`);
+
+    const env = {
+      PORT: parseNumber(values.port, "port", { min: 1 }),
+      CONCURRENCY: parseNumber(values.concurrency, "concurrency", { min: 1 }),
+      MAX_PAGES: parseNumber(values.pages, "pages", { min: 1 }),
+      OUTPUT_DIR: values["output-dir"],
+      PROXIES: values.proxies,
+      HEADLESS: values.headless ? "true" : values.headed ? "false" : undefined,
+      DATA_DIR: context.dataDir,
+    };
+    for (const [key, value] of Object.entries(env)) {
+      if (value !== undefined) process.env[key] = String(value);
+    }
+
+    // index.mjs starts listening when it's loaded and handles its own shutdown
+    await import("../index.mjs");
+    return new Promise(() => {});
+  },
+};
+
+// ============================================================================
+// KEYS
+// ============================================================================
+
+// Limit flag -> key record field
+const LIMIT_FLAGS = {
+  "requests-per-day": "requestsPerDay",
+  "pages-per-day": "pagesPerDay",
+  "details-per-day": "detailsPerDay",
+  "max-jobs": "maxConcurrentJobs",
+};
+
+// The limits given as flags; "unlimited" is null
+function keyLimits(values) {
+  const limits = {};
+  for (const [flag, field] of Object.entries(LIMIT_FLAGS)) {
+    if (values[flag] === undefined) continue;
+    limits[field] = values[flag] === "unlimited" ? null : parseNumber(values[flag], flag, { min: 1 });
+  }
+  return limits;
+}
+
+const limitText = (n) => (n === null ? "unlimited" : String(n));
+
+function describeKey(key) {
+  const { usage } = key;
+  return [
+    `${key.name}${key.admin ? " (admin)" : ""}${key.revokedAt ? ` - revoked ${key.revokedAt}` : ""}`,
+    `   ${key.prefix}...  id ${key.id}`,
+    `   today: ${usage.requests}/${limitText(key.requestsPerDay)} requests, ${usage.pages}/${limitText(key.pagesPerDay)} pages, ` +
+      `${usage.details}/${limitText(key.detailsPerDay)} details; ${limitText(key.maxConcurrentJobs)} scrapes at once`,
+  ].join("\n");
+}
+
+const keys = {
+  summary: "Create, list and revoke API keys for the HTTP API",
+  usage: `szcraper keys <create|list|set|revoke> [name] [options]
+
+Once a key exists, every API route but /health needs one
+(Authorization: Bearer <key>). A running server picks up changes
+without a restart.
+
+  create <name>            Create a key; it's printed once and can't be shown again
+  list                     Every key with today's usage
+  set <name>               Change a key's limits
+  revoke <name>            Revoke a key (requests with it get 403)
+
+      --requests-per-day <n>   Requests per UTC day (default: ${DEFAULT_LIMITS.requestsPerDay})
+      --pages-per-day <n>      Search result and seller pages per day (default: ${DEFAULT_LIMITS.pagesPerDay})
+      --details-per-day <n>    Listing pages per day (default: ${DEFAULT_LIMITS.detailsPerDay})
+      --max-jobs <n>           Scrapes and background jobs at once (default: ${DEFAULT_LIMITS.maxConcurrentJobs})
+      --admin                  May see every job and saved search, and /sessions, /proxies, /checkpoints
+
+Any limit can be "unlimited".
+
+Example:
+  szcraper keys create dashboard --pages-per-day 500 --max-jobs 1`,
+  options: {
+    ...Object.fromEntries(Object.keys(LIMIT_FLAGS).map((flag) => [flag, { type: "string" }])),
+    admin: { type: "boolean" },
+  },
+
+  async run(values, positionals, context) {
+    const [action, name, ...rest] = positionals;
+    if (rest.length > 0) throw usageError(`Unexpected argument: ${rest[0]}`);
+    const store = openApiKeyStore(path.join(context.dataDir, "api-keys"));
+    const limits = keyLimits(values);
+
+    switch (action) {
+      case "create": {
+        if (!name) throw usageError("Missing key name");
+        if (store.get(name)) throw usageError(`An API key named ${name} already exists`);
+        const { key, record } = store.create({ name, admin: values.admin, ...limits });
+        if (context.json) printJson({ key, ...record });
+        else console.log(`${key}\n\nAPI key "${name}" created. Save it now - it won't be shown again.`);
+        return EXIT_CODES.OK;
+      }
+
+      case "list": {
+        if (name) throw usageError(`Unexpected argument: ${name}`);
+        const list = store.list();
+        if (context.json) printJson(list);
+        else if (list.length === 0) console.log("No API keys - the server refuses every request but /health (unless ALLOW_ANONYMOUS=true)");
+        else console.log(list.map(describeKey).join("\n\n"));
+        return EXIT_CODES.OK;
+      }
+
+      case "set": {
+        if (!name) throw usageError("Missing key name");
+        if (Object.keys(limits).length === 0 && values.admin === undefined) throw usageError("Nothing to change");
+        const record = store.update(name, { ...limits, admin: values.admin });
+        if (!record) throw usageError(`No API key named ${name}`);
+        if (context.json) printJson(record);
+        else console.log(describeKey({ ...record, usage: store.usage(record.id) }));
+        return EXIT_CODES.OK;
+      }
+
+      case "revoke": {
+        if (!name) throw usageError("Missing key name");
+        const record = store.revoke(name);
+        if (!record) throw usageError(`No API key named ${name}`);
+        if (context.json) printJson(record);
+        else console.log(`API key "${record.name}" revoked`);
+        return EXIT_CODES.OK;
+      }
+
+      default:
+        throw usageError(action ? `Unknown action: ${action}` : "Missing action: create, list, set or revoke");
+    }
+  },
+};
+
+export const COMMANDS = { search, details, watch, export: exportCommand, serve, keys };
@@ -0,0 +1,187 @@
+/**
+ * Terminal helpers for the szcraper CLI
+ *
+ * Results go to stdout or a file; progress and messages go to stderr, so
+ * `--json` output can be piped into another program untouched. On a
+ * terminal, progress is one line that redraws in place; elsewhere (CI
+ * logs, redirected stderr) every update is its own line.
+ */
+
+import path from "path";
+import lib from "../v2/lib.mjs";
+
+/**
+ * Exit codes shared by every command
+ */
+export const EXIT_CODES = {
+  OK: 0,
+  FAILED: 1,         // Nothing scraped, or an unexpected error
+  USAGE: 2,          // Bad command, flag or argument
+  PARTIAL: 3,        // Results, but some pages or listings failed
+  BLOCKED: 4,        // Nothing scraped because of a challenge, rate limit or login wall
+  INTERRUPTED: 130,  // Ctrl-C
+};
+
+/**
+ * An error that exits with EXIT_CODES.USAGE
+ */
+export function usageError(message) {
+  const err = new Error(message);
+  err.exitCode = EXIT_CODES.USAGE;
+  return err;
+}
+
+/**
+ * Read a numeric flag
+ *
+ * @param {string|undefined} value - Flag value as typed
+ * @param {string} flag - Flag name, for the error message
+ * @param {Object} options
+ * @param {number} options.min - Smallest accepted value (default: 0)
+ * @param {boolean} options.integer - Whole numbers only (default: true)
+ * @returns {number|undefined} undefined when the flag wasn't given
+ * @throws A usage error on anything else
+ */
+export function parseNumber(value, flag, options = {}) {
+  const { min = 0, integer = true } = options;
+  if (value === undefined) return undefined;
+  const n = Number(value);
+  if (value === "" || !Number.isFinite(n) || n < min || (integer && !Number.isInteger(n))) {
+    throw usageError(`--${flag} must be ${integer ? "a whole number" : "a number"} of at least ${min}`);
+  }
+  return n;
+}
+
+/**
+ * Read an interval such as "90s", "15m", "2h" or "1d" (bare numbers are minutes)
+ *
+ * @param {string} value
+ * @param {string} flag - Flag name, for the error message
+ * @returns {number|undefined} Milliseconds
+ */
+export function parseInterval(value, flag) {
+  if (value === undefined) return undefined;
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(s|m|h|d)?$/i);
+  const unit = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+  const ms = match ? parseFloat(match[1]) * unit[(match[2] || "m").toLowerCase()] : NaN;
+  if (!(ms >= 1000)) throw usageError(`--${flag} must be an interval like 90s, 15m or 2h`);
+  return ms;
+}
+
+/**
+ * Progress display on stderr
+ *
+ * @param {Object} options
+ * @param {boolean} options.enabled - false for --quiet
+ * @param {NodeJS.WriteStream} options.stream - Default: process.stderr
+ * @returns {{update: Function, log: Function, done: Function}} `update` replaces
+ *   the progress line, `log` prints a message above it, `done` clears it
+ */
+export function createProgress(options = {}) {
+  const { enabled = true, stream = process.stderr } = options;
+  const live = Boolean(stream.isTTY);
+  let line = "";
+
+  const clear = () => {
+    if (live && line) stream.write("\r\x1b[K");
+  };
+
+  return {
+    update(text) {
+      if (!enabled || text === line) return;
+      if (live) {
+        const width = stream.columns || 80;
+        stream.write(`\r\x1b[K${text.length >= width ? `${text.slice(0, width - 2)}…` : text}`);
+      } else {
+        stream.write(`${text}\n`);
+      }
+      line = text;
+    },
+
+    log(text) {
+      if (!enabled) return;
+      clear();
+      stream.write(`${text}\n`);
+      if (live && line) stream.write(line);
+    },
+
+    done() {
+      clear();
+      line = "";
+    },
+  };
+}
+
+/**
+ * Print a value as JSON on stdout (--json)
+ */
+export function printJson(value) {
+  process.stdout.write(`${JSON.stringify(value, null, 2)}\n`);
+}
+
+/**
+ * Exit code for a scrape
+ *
+ * @param {Object} outcome
+ * @param {number} outcome.scraped - Pages or listings that came back
+ * @param {Object[]} outcome.errors - The scrape's `errors`
+ * @param {boolean} outcome.aborted - Stopped with Ctrl-C
+ * @returns {number} One of EXIT_CODES
+ */
+export function scrapeExitCode({ scraped, errors = [], aborted = false }) {
+  if (aborted) return EXIT_CODES.INTERRUPTED;
+  if (scraped === 0 && errors.length > 0) {
+    return errors.some((e) => e.state && lib.isBlockingState(e.state)) ? EXIT_CODES.BLOCKED : EXIT_CODES.FAILED;
+  }
+  return errors.length > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.OK;
+}
+
+/**
+ * The export format to write: --format, else the output file's extension,
+ * else json
+ *
+ * @param {string} format - --format as typed
+ * @param {string} output - --output as typed ("-" is stdout)
+ * @returns {string} One of lib.EXPORT_FORMATS
+ * @throws A usage error on an unknown format
+ */
+export function resolveFormat(format, output) {
+  const extension = output && output !== "-" ? path.extname(output).slice(1).toLowerCase() : "";
+  const resolved = (format || extension || "json").toLowerCase();
+  if (!lib.EXPORT_FORMATS[resolved]) {
+    throw usageError(`--format must be one of ${Object.keys(lib.EXPORT_FORMATS).join(", ")}`);
+  }
+  return resolved;
+}
+
+/**
+ * Write listings in an export format
+ *
+ * @param {Object[]} listings
+ * @param {Object} options
+ * @param {string} options.format - See resolveFormat()
+ * @param {string} options.output - File path, or "-" for stdout
+ * @returns {{file: string, format: string}}
+ */
+export function writeListings(listings, options = {}) {
+  const { output } = options;
+  const format = resolveFormat(options.format, output);
+
+  if (output === "-") {
+    process.stdout.write(lib.exportListings(listings, { format }).body);
+    return { file: "-", format };
+  }
+  lib.saveExport(output, listings, { format });
+  return { file: output, format };
+}
+
+/**
+ * A listing as a few lines of text, for the human-readable summaries
+ */
+export function describeListing(listing, index) {
+  return [
+    `${index + 1}. ${listing.title || "(no title)"}`,
+    `   ${listing.price || "N/A"} - ${listing.location || "N/A"}`,
+    `   ${listing.url}`,
+  ].join("\n");
+}
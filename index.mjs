@@ -1,17 +1,21 @@
 import express from "express";
-import fs from "fs";
 import path from "path";
+import crypto from "crypto";
 import dotenv from "dotenv";
-import puppeteer from "puppeteer-extra";
-import StealthPlugin from "puppeteer-extra-plugin-stealth";
 import pLimit from "p-limit";
-import fetch from "node-fetch";
+import lib from "./v2/lib.mjs";
+import { createJobManager, jobSummary } from "./server/jobs.mjs";
+import { openEventStream, wantsEventStream } from "./server/sse.mjs";
+import { createSavedSearchManager, savedSearchSummary } from "./server/saved-searches.mjs";
+import { sendError, scrapeErrorCode, failuresErrorCode, notFound, errorHandler } from "./server/errors.mjs";
+import { buildOpenApiDocument } from "./server/openapi.mjs";
+import { createValidator } from "./server/validate.mjs";
+import { openApiKeyStore, createApiKeyAuth } from "./server/api-keys.mjs";
+import { createScrapeBudget, BUDGET_USED_UP } from "./server/budget.mjs";
 
 dotenv.config();
-puppeteer.use(StealthPlugin());
 
 const app = express();
-app.use(express.json());
 
 // ==========================
 // Config
@@ -20,286 +24,931 @@ const PORT = parseInt(process.env.PORT || "3000", 10);
 const CONCURRENCY = parseInt(process.env.CONCURRENCY || "2", 10);
 const HEADLESS = (process.env.HEADLESS || "false").toLowerCase() === "true";
 const RETRIES = parseInt(process.env.RETRIES || "2", 10);
+const MAX_PAGES = parseInt(process.env.MAX_PAGES || "3", 10);
+// Most pages a request may ask for; requests over it are rejected
+const MAX_PAGES_LIMIT = parseInt(process.env.MAX_PAGES_LIMIT || "20", 10);
 const OUTPUT_DIR = process.env.OUTPUT_DIR || "output";
-const UA_DESKTOP =
-  "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) " +
-  "AppleWebKit/537.36 (KHTML, like Gecko) Chrome/129.0.0.0 Safari/537.36";
-
-if (!fs.existsSync(OUTPUT_DIR)) fs.mkdirSync(OUTPUT_DIR, { recursive: true });
-
-const proxiesFile = process.env.PROXIES;
-let PROXIES = [];
-if (proxiesFile && fs.existsSync(proxiesFile)) {
-  PROXIES = fs
-    .readFileSync(proxiesFile, "utf-8")
-    .split(/\r?\n/)
-    .map((s) => s.trim())
-    .filter(Boolean);
+const DATA_DIR = process.env.DATA_DIR || "data";
+// Most queries a term expands to, the term included
+const MAX_EXPANSIONS = parseInt(process.env.MAX_EXPANSIONS || "5", 10);
+
+// Proxies are picked by health; a 403/429 benches one for PROXY_COOLDOWN_MS,
+// doubling while it keeps getting blocked
+const proxyManager = lib.createProxyManager(lib.loadProxies(process.env.PROXIES), {
+  cooldownMs: parseInt(process.env.PROXY_COOLDOWN_MS || "60000", 10),
+});
+for (const { line, error } of proxyManager.invalid) {
+  console.warn(`[WARN] skipping proxy ${line}: ${error}`);
 }
 
-// ==========================
-// Helpers
-// ==========================
-const delay = (ms) => new Promise((res) => setTimeout(res, ms));
+// Every navigation (searches, jobs, saved searches) shares one per-host pace
+const rateLimiter = lib.setRateLimiter(lib.createRateLimiter({
+  requestsPerMinute: parseFloat(process.env.RATE_LIMIT_RPM || "20"),
+  burst: parseInt(process.env.RATE_LIMIT_BURST || "3", 10),
+  robots: (process.env.RESPECT_ROBOTS || "false").toLowerCase() === "true",
+}));
+
+// Selectors come from the site profile; edits to it apply without a restart
+if (process.env.SITE_PROFILE) {
+  const profile = lib.useSiteProfile(process.env.SITE_PROFILE, {
+    watch: true,
+    onReload: (p) => console.log(`[PROFILE] reloaded ${p.name} ${p.version}`),
+    onError: (err) => console.warn(`[WARN] site profile not reloaded: ${err.message}`),
+  });
+  console.log(`[PROFILE] using ${profile.name} ${profile.version}`);
+}
+
+// Every scrape is upserted here, keyed by ad ID
+const store = lib.openListingStore(path.join(DATA_DIR, "listings"));
 
-function sanitizeName(url) {
-  return url.replace(/(^\w+:|^)\/\//, "").replace(/[/?#&=]/g, "_").slice(0, 200);
+// Cookies and storage from warmed-up sessions, so new sessions skip the
+// homepage visit; dropped after SESSION_TTL_MS or as soon as one is blocked
+const sessionStore = lib.openSessionStore(path.join(DATA_DIR, "sessions"), {
+  ttlMs: parseInt(process.env.SESSION_TTL_MS || String(12 * 60 * 60 * 1000), 10),
+});
+
+// Progress of every search run, so a retry or a resumed job continues where
+// the last attempt stopped instead of starting over
+const checkpointStore = lib.openCheckpointStore(path.join(DATA_DIR, "checkpoints"));
+
+// Last scraped profile of every seller looked up through /sellers/:id
+const sellerStore = lib.openSellerStore(path.join(DATA_DIR, "sellers"));
+
+// Listing images (when a request asks for them), stored once per content
+// hash, with perceptual hashes to flag reposts
+const imageStore = lib.openImageStore(path.join(DATA_DIR, "images"));
+
+// A term is searched as a few queries that find the same items (synonyms,
+// misspellings). EXPANSION_PROVIDER is offline (bundled dictionary), llm (an
+// OpenAI-compatible API at LLM_BASE_URL, OpenAI by default) or none; llm is
+// the default once an API key or base URL is set. LLM answers are cached for
+// EXPANSION_CACHE_HOURS, and the dictionary stands in when the LLM fails.
+const LLM_API_KEY = process.env.LLM_API_KEY || process.env.OPENAI_API_KEY || null;
+const EXPANSION_PROVIDER = process.env.EXPANSION_PROVIDER ||
+  (LLM_API_KEY || process.env.LLM_BASE_URL ? "llm" : "offline");
+const expander = lib.createQueryExpander({
+  provider: lib.createExpansionProvider(EXPANSION_PROVIDER, {
+    baseUrl: process.env.LLM_BASE_URL || undefined,
+    apiKey: LLM_API_KEY,
+    model: process.env.LLM_MODEL || process.env.OPENAI_MODEL || undefined,
+    maxTerms: MAX_EXPANSIONS,
+  }),
+  fallback: EXPANSION_PROVIDER === "llm" ? lib.createOfflineProvider() : null,
+  cache: lib.openExpansionCache(path.join(DATA_DIR, "expansions"), {
+    ttlMs: parseFloat(process.env.EXPANSION_CACHE_HOURS || "168") * 60 * 60 * 1000,
+  }),
+  maxTerms: MAX_EXPANSIONS,
+  onError: (err, term, source) => console.warn(`[WARN] expanding "${term}" failed (${source}): ${err.message}`),
+});
+
+// Shared by /search and background jobs so together they never run more
+// than CONCURRENCY scrapes
+const limit = pLimit(CONCURRENCY);
+
+// Warmed-up browser sessions reused across requests instead of launching
+// Chrome for every query and retry
+const pool = lib.createBrowserPool({
+  size: CONCURRENCY,
+  browsers: parseInt(process.env.POOL_BROWSERS || "1", 10),
+  headless: HEADLESS,
+});
+
+// Once a key is created (szcraper keys create), every route but /health needs
+// one, and each key has its own daily quotas and concurrency cap
+const apiKeys = openApiKeyStore(path.join(DATA_DIR, "api-keys"));
+const auth = createApiKeyAuth({
+  keys: apiKeys,
+  // Only for trusted networks: no key needed until the first one is created
+  allowAnonymous: (process.env.ALLOW_ANONYMOUS || "false").toLowerCase() === "true",
+  activeJobs: (owner) => jobs.list().filter((j) => j.owner === owner && ["queued", "running"].includes(j.status)).length,
+});
+// Searches are trimmed to their worst case fitting in what a key has left
+const budget = createScrapeBudget({ keys: apiKeys, maxPages: MAX_PAGES });
+const { searchCost, fitSearch } = budget;
+if (!apiKeys.enabled()) {
+  console.warn(auth.allowAnonymous
+    ? "[WARN] no API keys yet and ALLOW_ANONYMOUS=true - the API is open to anyone who can reach it"
+    : "[WARN] no API keys yet - every request but /health is refused until one is created (szcraper keys create)");
 }
 
-async function humanize(page) {
-  try {
-    await page.mouse.move(200, 200);
-    await delay(200 + Math.random() * 300);
-    await page.mouse.move(400, 350);
-    await delay(150 + Math.random() * 200);
-    await page.evaluate(() =>
-      window.scrollBy(0, Math.floor(window.innerHeight * 0.25))
-    );
-    await delay(200 + Math.random() * 400);
-    await page.evaluate(() =>
-      window.scrollBy(0, Math.floor(window.innerHeight * 0.5))
-    );
-  } catch {}
+app.use(auth.authenticate);
+app.use(express.json());
+
+// Routes, parameters and schemas, served at /openapi.json; validate(operationId)
+// checks a request against them before the handler runs
+const openapi = buildOpenApiDocument({ maxPagesLimit: MAX_PAGES_LIMIT });
+const validate = createValidator(openapi);
+
+// ==========================
+// Search specs
+// ==========================
+
+/**
+ * Pull the search fields out of a request body or query string
+ */
+function searchInput(source) {
+  const { term, location, maxPages, scrapeDetails, images, site } = source;
+  const { location: _, locationId, ...filters } = lib.pickSearchFilters(source);
+  return { term, location, maxPages, scrapeDetails, images, site, filters };
 }
 
-async function extractLinks(page) {
-  await delay(1000);
-  const links = await page.evaluate(() => {
-    return Array.from(document.querySelectorAll('a[href*="/s-ad/"]'))
-      .map((a) => a.href.trim())
-      .filter((h) => h.startsWith("https://"));
+/**
+ * One search spec per expanded term. Throws on an unknown site or invalid
+ * filters.
+ *
+ * The spec carries its `site`. On Gumtree AU the location is resolved to
+ * its slug and location ID; one the location table doesn't know is searched
+ * for as text instead.
+ */
+function buildSearches(expanded, { location, site = "gumtree-au", filters = {} }) {
+  const adapter = lib.getAdapter(site);
+  return expanded.map((t) => {
+    const { search } = adapter.resolveSearch({ ...filters, site, keywords: t, location });
+    return { query: lib.describeSearch(search), search, url: adapter.buildSearchUrl(search) };
   });
-  return [...new Set(links)];
 }
 
-async function extractWithSelectors(page) {
-  const trySelectors = async (arr) => {
-    for (const sel of arr) {
-      const txt = await page
-        .evaluate((s) => {
-          const el = document.querySelector(s);
-          return el ? el.innerText.trim() : "";
-        }, sel)
-        .catch(() => "");
-      if (txt && txt.length > 0) return txt;
-    }
-    return "";
-  };
-
-  const title = await trySelectors([
-    "h1",
-    ".advert-title",
-    ".ad-title",
-    "[data-qa='listing-title']",
-  ]);
-  const price = await trySelectors([
-    "[data-qa='listing-price']",
-    ".price",
-    ".listing-price",
-  ]);
-  const location = await trySelectors([
-    ".location",
-    "[data-qa='listing-location']",
-    "[itemprop='address']",
-  ]);
-  const description = await page
-    .evaluate(() => {
-      const el =
-        document.querySelector("[data-qa='listing-description']") ||
-        document.querySelector(".description") ||
-        document.querySelector("[itemprop='description']");
-      return el?.innerText?.trim() || "";
-    })
-    .catch(() => "");
-  return { title, price, location, description };
+/**
+ * What the schema can't check about a search: a price range the right way
+ * round, and filters the site supports
+ *
+ * @returns {string|null} The problem, or null
+ */
+function searchInputError({ term, location, site, filters = {} }) {
+  const { minPrice, maxPrice } = filters;
+  if (minPrice !== undefined && maxPrice !== undefined && Number(minPrice) > Number(maxPrice))
+    return "minPrice must not be more than maxPrice";
+  try {
+    buildSearches([term], { location, site, filters });
+  } catch (err) {
+    return err.message;
+  }
+  return null;
 }
 
 // ==========================
-// Launch browser
+// Run one search
 // ==========================
-async function launchBrowser(proxy) {
-  const args = [
-    "--no-sandbox",
-    "--disable-setuid-sandbox",
-    "--disable-dev-shm-usage",
-    "--disable-web-security",
-  ];
-  if (proxy) args.push(`--proxy-server=${proxy}`);
-  return puppeteer.launch({
-    headless: HEADLESS,
-    args,
-    defaultViewport: { width: 1366, height: 768 },
-  });
+
+// Latest selector health report, shown on /health
+let lastSelectorHealth = null;
+
+/**
+ * Flatten a run's selector health into warning strings (search + detail,
+ * or one report per site)
+ */
+function selectorWarnings(health = {}) {
+  const reports = health.section ? [health] : Object.values(health);
+  return reports.flatMap((report) => report.warnings);
 }
 
-// ==========================
-// Run one URL
-// ==========================
-async function runOne(url, proxy) {
-  let attempt = 0;
-  while (attempt <= RETRIES) {
-    attempt++;
-    let browser;
-    try {
-      browser = await launchBrowser(proxy);
-      const page = await browser.newPage();
-      await page.setUserAgent(UA_DESKTOP);
-      await page.setExtraHTTPHeaders({ "Accept-Language": "en-US,en;q=0.9" });
-      page.setDefaultNavigationTimeout(60000);
-
-      // Warmup
-      try {
-        await page.goto("https://www.gumtree.com.au/", {
-          waitUntil: "networkidle2",
-          timeout: 30000,
+async function runOne(search, options = {}) {
+  const {
+    maxPages = MAX_PAGES,
+    scrapeDetails = false,
+    images = false,
+    signal,
+    proxyKey,
+    runId = crypto.randomUUID(),
+    resume = false,
+    onAttempt,
+    onRetry,
+    onPage,
+    onListing,
+    onDetail,
+    onBlocked,
+  } = options;
+  const query = lib.describeSearch(search);
+  const url = lib.getAdapter(search.site).buildSearchUrl(search);
+  // Every page load tried, blocked ones and retries included, for the
+  // caller's API key quota
+  const usage = { pages: 0, details: 0 };
+
+  try {
+    const results = await lib.withRetry(
+      async ({ attempt }) => {
+        if (onAttempt) onAttempt(attempt + 1);
+        // Retries pick up from the checkpoint of the attempt before
+        const resumeFrom = (resume || attempt > 0) && checkpointStore.load(runId) ? runId : undefined;
+        const r = await lib.scrapeGumtreeSearch({
+          search,
+          maxPages,
+          scrapeDetails,
+          images: images ? imageStore : undefined,
+          checkpoints: checkpointStore,
+          runId,
+          resume: resumeFrom,
+          headless: HEADLESS,
+          proxies: proxyManager,
+          proxyKey,
+          sessions: sessionStore,
+          store,
+          pool,
+          signal,
+          onPage,
+          onListing,
+          onDetail,
+          onBlocked,
+          onNavigate: ({ kind }) => {
+            if (kind === "search") usage.pages++;
+            else usage.details++;
+          },
         });
-      } catch {}
-
-      await delay(800 + Math.random() * 1000);
-      await humanize(page);
-
-      const resp = await page.goto(url, {
-        waitUntil: "networkidle2",
-        timeout: 60000,
-      });
-      if (resp && [403, 429].includes(resp.status()))
-        throw new Error(`Blocked (HTTP ${resp.status()})`);
-
-      await delay(1500 + Math.random() * 1000);
-      await humanize(page);
-
-      const html = await page.content();
-      const id = sanitizeName(url);
-      const outDir = path.join(OUTPUT_DIR, id);
-      fs.mkdirSync(outDir, { recursive: true });
-
-      fs.writeFileSync(path.join(outDir, "page.html"), html, "utf-8");
-      await page.screenshot({
-        path: path.join(outDir, "screenshot.png"),
-        fullPage: true,
-      });
-
-      const meta = await extractWithSelectors(page);
-      const links = await extractLinks(page);
-
-      meta.url = url;
-      meta.linkCount = links.length;
-      meta.scrapedAt = new Date().toISOString();
-
-      fs.writeFileSync(
-        path.join(outDir, "meta.json"),
-        JSON.stringify(meta, null, 2),
-        "utf-8"
-      );
-      fs.writeFileSync(
-        path.join(outDir, "links.json"),
-        JSON.stringify(links, null, 2),
-        "utf-8"
-      );
-
-      console.log(`[OK] ${url} (${links.length} ads)`);
-      await page.close();
-      await browser.close();
-
-      return { ok: true, url, meta, links };
-    } catch (err) {
-      console.warn(`[WARN] attempt ${attempt} failed for ${url}: ${err.message}`);
-      try {
-        if (browser) await browser.close();
-      } catch {}
-      if (attempt > RETRIES) {
-        return { ok: false, url, error: err.message };
+        // Nothing scraped at all means we were blocked, got a page we don't
+        // recognise or the browser died, so let withRetry try again. Only a
+        // real block (challenge, rate limit) benches the proxy, so only then
+        // does the next attempt move to a different one. A zero-results page
+        // counts as scraped.
+        if (r.pagesScraped === 0) {
+          const err = new Error(r.errors.map((e) => e.error).join("; ") || "No pages scraped");
+          err.state = r.pageStates.at(-1)?.type || null;
+          err.retryable = err.state !== lib.PAGE_STATES.LOGIN_WALL;
+          throw err;
+        }
+        return r;
+      },
+      {
+        retries: RETRIES,
+        signal,
+        onRetry: (attempt, err) => {
+          console.warn(`[WARN] retry ${attempt} for ${url}: ${err.message}`);
+          if (onRetry) onRetry(attempt, err);
+        },
       }
-      await delay(1000 + attempt * 500);
-      if (PROXIES.length > 0)
-        proxy = PROXIES[Math.floor(Math.random() * PROXIES.length)];
+    );
+
+    lib.saveJson(path.join(OUTPUT_DIR, lib.sanitizeFilename(query), "results.json"), results);
+    // Finished runs are never resumed; failed or cancelled ones keep their checkpoint
+    if (!signal?.aborted) checkpointStore.remove(runId);
+    console.log(`[OK] ${url} (${results.listings.length} ads, ${results.pagesScraped} pages)`);
+
+    lastSelectorHealth = { at: new Date().toISOString(), query, ...results.health };
+    for (const warning of selectorWarnings(results.health)) {
+      console.warn(`[WARN] ${query}: ${warning}`);
     }
+
+    return { ok: true, query, url, state: results.pageStates.at(-1)?.type || null, results, usage };
+  } catch (err) {
+    const state = err.state || null;
+    return { ok: false, query, url, error: err.message, state, code: scrapeErrorCode({ state, error: err.message }), usage };
   }
 }
 
 // ==========================
-// GPT expansion
+// Background jobs
 // ==========================
-async function expandWithGPT(term) {
-  const key = process.env.OPENAI_API_KEY;
-  const model = process.env.OPENAI_MODEL || "gpt-4o-mini";
-  if (!key) return [term, `${term}`, `cheap ${term}`, `${term} near me`];
+const jobs = createJobManager({
+  dir: path.join(DATA_DIR, "jobs"),
+  expand: (term) => expander.expand(term),
+  buildSearches,
+  // Each URL gets its share of what the job's key has left (see server/budget.mjs)
+  runQuery: budget.jobQuery(runOne, { cancel: (id) => jobs.cancel(id) }),
+  limit,
+});
 
-  try {
-    const resp = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${key}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        model,
-        temperature: 0.4,
-        messages: [
-          { role: "system", content: "Expand search queries for marketplace listings. Return an array of 5 concise variations only." },
-          { role: "user", content: `Expand this term: "${term}"` },
-        ],
-      }),
+// ==========================
+// Saved searches
+// ==========================
+const savedSearches = createSavedSearchManager({
+  dir: path.join(DATA_DIR, "saved-searches"),
+  // Webhook receivers on the LAN, e.g. "n8n.local,192.168.1.20"
+  allowedWebhookHosts: (process.env.WEBHOOK_ALLOWED_HOSTS || "").split(",").map((h) => h.trim()).filter(Boolean),
+  // A revoked key's saved searches stop running (and delivering) but stay listed
+  skip: (saved) => {
+    if (!saved.owner) return null;
+    const key = apiKeys.get(saved.owner);
+    return !key || key.revokedAt ? "The API key that created it was revoked" : null;
+  },
+  runSearch: async (saved, options) => {
+    const [{ query, search, url }] = buildSearches([saved.term], {
+      location: saved.location,
+      site: saved.site,
+      filters: lib.pickSearchFilters(saved.filters),
     });
-    if (!resp.ok) throw new Error(`OpenAI HTTP ${resp.status}`);
-    const data = await resp.json();
-    const text = data?.choices?.[0]?.message?.content?.trim() || "";
-    const match = text.match(/\[.*\]/s);
-    if (match) {
-      const arr = JSON.parse(match[0]);
-      return Array.from(new Set([term, ...arr]));
+    const proxyKey = `saved:${saved.id}`;
+    if (!saved.owner) return limit(() => runOne(search, { ...options, proxyKey }));
+
+    // Trimmed to the pages (and, with scrapeDetails, detail pages) the owner's
+    // key has left, like a job's queries; skipped when not one page fits
+    const fit = fitSearch([search], options, apiKeys.available(saved.owner));
+    if (!fit) return { ok: false, query, url, error: BUDGET_USED_UP, code: "QUOTA_EXCEEDED" };
+    const release = apiKeys.reserve(saved.owner, fit.cost);
+    try {
+      const r = await limit(() => runOne(search, { ...options, maxPages: fit.maxPages, proxyKey }));
+      apiKeys.charge(saved.owner, r.usage);
+      return r;
+    } finally {
+      release();
     }
-    return [term, `used ${term}`, `cheap ${term}`, `${term} near me`];
-  } catch {
-    return [term, `used ${term}`, `cheap ${term}`, `${term} near me`];
-  }
-}
+  },
+});
 
 // ==========================
-// URL builder (no + signs!)
+// Streaming search
 // ==========================
-function buildSearchUrl(term, location) {
-  const q = encodeURIComponent(term);
-  if (location && location.trim()) {
-    const loc = encodeURIComponent(location.toLowerCase().trim().replace(/\s+/g, "-"));
-    return `https://www.gumtree.com.au/s-${loc}/${q}/k0`;
+
+// Pages and detail pages a set of runOne() results loaded
+function totalUsage(results) {
+  return results.reduce(
+    (total, r) => ({ pages: total.pages + (r.usage?.pages || 0), details: total.details + (r.usage?.details || 0) }),
+    { pages: 0, details: 0 }
+  );
+}
+
+/**
+ * Run a search and report progress as Server-Sent Events.
+ * The scrape is aborted (and its browsers closed) if the client disconnects.
+ * It's trimmed to the request's key budgets and charged once every query
+ * has finished.
+ */
+async function streamSearch(req, res, input) {
+  const { term, location, scrapeDetails, images } = input;
+  const stream = openEventStream(res);
+  const controller = new AbortController();
+  stream.onClose(() => controller.abort());
+  let release = () => {};
+
+  try {
+    const fit = fitSearch(await expander.expand(term, { signal: controller.signal }), input, auth.available(req));
+    if (!fit) return stream.send("error", { error: BUDGET_USED_UP, code: "QUOTA_EXCEEDED" });
+    release = auth.reserve(req, fit.cost);
+    const { queries: expanded, maxPages } = fit;
+    const searches = buildSearches(expanded, input);
+    stream.send("expanded", { term, location: location || "all", expanded, maxPages });
+
+    let totalFound = 0;
+    // Expanded queries overlap, so each ad is only sent once
+    const sent = new Set();
+    const results = await Promise.all(
+      searches.map(({ query, search, url }) =>
+        limit(async () => {
+          if (controller.signal.aborted) return { ok: false, query, url, error: "Aborted", code: "UPSTREAM_ERROR" };
+
+          const r = await runOne(search, {
+            maxPages,
+            scrapeDetails,
+            images,
+            signal: controller.signal,
+            onPage: ({ page, listings }) =>
+              stream.send("page", { query, url, page, count: listings.length }),
+            onListing: (listing) => {
+              const key = lib.listingKey(listing);
+              if (key && sent.has(key)) return;
+              if (key) sent.add(key);
+              totalFound++;
+              stream.send("listing", { query, listing: { ...listing, source: url } });
+            },
+            onDetail: (listing) =>
+              stream.send("detail", { query, listing: { ...listing, source: url } }),
+            onRetry: (attempt, err) =>
+              stream.send("retry", { query, url, attempt, error: err.message }),
+            onBlocked: ({ page, error, state }) =>
+              stream.send("blocked", { query, url, page, error, state }),
+          });
+
+          if (!r.ok) stream.send("failure", { query, url, error: r.error, code: r.code });
+          return r;
+        })
+      )
+    );
+    auth.charge(req, res, totalUsage(results));
+
+    stream.send("done", {
+      totalFound,
+      failures: results
+        .filter((r) => !r.ok)
+        .map(({ query, url, error, code }) => ({ query, url, error, code })),
+    });
+  } catch (err) {
+    stream.send("error", { error: err.message, code: "INTERNAL_ERROR" });
+  } finally {
+    release();
+    stream.end();
   }
-  return `https://www.gumtree.com.au/s-${q}/k0`;
+}
+
+// A job's results merged across queries and clustered; ?dedupe=false gives them raw
+function jobListings(job, query) {
+  if (query.dedupe === "false") return { listings: job.results, clusters: [], duplicates: 0 };
+  return lib.dedupeAndCluster(job.results);
 }
 
 // ==========================
-// Express route
+// Express routes
 // ==========================
-app.post("/search", async (req, res) => {
-  const { term, location } = req.body;
-  if (!term) return res.status(400).json({ error: "Missing term" });
+// The least a search can cost: one page (and its listings, with scrapeDetails);
+// the handler trims the search to the key's budgets once it's expanded
+const searchMinimum = (input) => searchCost(1, { ...input, maxPages: 1 });
+
+app.get("/search/stream", validate("searchStream"), auth.scrapeQuota({ cost: (req) => searchMinimum(req.query) }), (req, res) => {
+  const number = (v) => (v === undefined || v === "" ? undefined : Number(v));
+  const input = searchInput({
+    ...req.query,
+    maxPages: number(req.query.maxPages),
+    scrapeDetails: req.query.scrapeDetails === "true",
+    images: req.query.images === "true",
+    minPrice: number(req.query.minPrice),
+    maxPrice: number(req.query.maxPrice),
+    radius: number(req.query.radius),
+  });
+
+  const problem = searchInputError(input);
+  if (problem) return sendError(res, "VALIDATION_ERROR", problem);
+
+  streamSearch(req, res, input);
+});
+
+app.post("/search", validate("search"), auth.scrapeQuota({ cost: (req) => searchMinimum(req.body) }), async (req, res) => {
+  const input = searchInput(req.body);
+  const { term, location, scrapeDetails, images } = input;
 
+  const problem = searchInputError(input);
+  if (problem) return sendError(res, "VALIDATION_ERROR", problem);
+
+  if (wantsEventStream(req)) return streamSearch(req, res, input);
+
+  let release = () => {};
   try {
-    const expanded = await expandWithGPT(term);
-    const urls = expanded.map((t) => buildSearchUrl(t, location));
+    const fit = fitSearch(await expander.expand(term), input, auth.available(req));
+    if (!fit) return sendError(res, "QUOTA_EXCEEDED", BUDGET_USED_UP);
+    release = auth.reserve(req, fit.cost);
+    const { queries: expanded, maxPages } = fit;
+    const searches = buildSearches(expanded, input);
 
-    const limit = pLimit(CONCURRENCY);
     const results = await Promise.all(
-      urls.map((u, i) => limit(() => runOne(u, PROXIES[i % PROXIES.length])))
+      searches.map(({ search }) => limit(() => runOne(search, { maxPages, scrapeDetails, images })))
     );
+    auth.charge(req, res, totalUsage(results));
+
+    const failures = results
+      .filter((r) => !r.ok)
+      .map(({ query, url, error, code }) => ({ query, url, error, code }));
+    if (failures.length === results.length) {
+      const code = failuresErrorCode(failures);
+      return sendError(res, code, failures.find((f) => f.code === code).error, { failures });
+    }
 
-    const allLinks = results
-      .filter((r) => r.ok)
-      .flatMap((r) => r.links.map((url) => ({ url, source: r.url })));
+    // The same ad often comes back from several expanded queries
+    const { listings, clusters, duplicates } = lib.dedupeAndCluster(
+      results
+        .filter((r) => r.ok)
+        .flatMap((r) => r.results.listings.map((l) => ({ ...l, query: r.query, source: r.url })))
+    );
 
     res.json({
       term,
+      site: searches[0].search.site,
       location: location || "all",
+      filters: input.filters,
       expanded,
-      totalFound: allLinks.length,
-      results: allLinks,
-      failures: results.filter((r) => !r.ok),
+      maxPages,
+      totalFound: listings.length,
+      duplicates,
+      results: listings,
+      clusters,
+      failures,
+      selectorWarnings: results
+        .filter((r) => r.ok)
+        .flatMap((r) => selectorWarnings(r.results.health).map((warning) => ({ query: r.query, warning }))),
+    });
+  } catch (err) {
+    sendError(res, "INTERNAL_ERROR", err.message);
+  } finally {
+    release();
+  }
+});
+
+app.get("/listing", validate("getListingDetails"), auth.scrapeQuota({ cost: () => ({ details: 1 }) }), async (req, res) => {
+  const { url } = req.query;
+  if (!lib.isGumtreeListingUrl(url))
+    return sendError(res, "VALIDATION_ERROR", "query.url must be a Gumtree listing URL");
+
+  const release = auth.reserve(req, { details: 1 });
+  try {
+    const results = await lib.scrapeGumtreeListingDetails({
+      urls: [url],
+      headless: HEADLESS,
+      proxies: proxyManager,
+      sessions: sessionStore,
+      store,
+      pool,
+      images: req.query.images === "true" ? imageStore : undefined,
     });
+    auth.charge(req, res, { details: 1 });
+    if (results.removed.length > 0)
+      return sendError(res, "GONE", "Listing removed", { url });
+    if (results.listings.length === 0) {
+      const [failure = {}] = results.errors;
+      return sendError(res, scrapeErrorCode(failure), failure.error || "Listing not scraped", { url, state: failure.state || null });
+    }
+
+    res.json(results.listings[0]);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    sendError(res, "INTERNAL_ERROR", err.message);
+  } finally {
+    release();
   }
 });
 
-app.get("/health", (_, res) => res.json({ ok: true }));
+// One detail page per distinct URL
+const detailsCost = (req) => ({ details: new Set(req.body.urls).size });
+
+app.post("/listings/details", validate("scrapeListingDetails"), auth.scrapeQuota({ cost: detailsCost }), async (req, res) => {
+  const { urls, images } = req.body;
+
+  const invalid = urls.filter((u) => !lib.isGumtreeListingUrl(u));
+  if (invalid.length > 0)
+    return sendError(res, "VALIDATION_ERROR", "body.urls must be Gumtree listing URLs", { invalid });
+
+  const release = auth.reserve(req, detailsCost(req));
+  try {
+    const unique = Array.from(new Set(urls));
+    const results = await lib.scrapeGumtreeListingDetails({
+      urls: unique,
+      headless: HEADLESS,
+      proxies: proxyManager,
+      sessions: sessionStore,
+      store,
+      pool,
+      images: images ? imageStore : undefined,
+    });
+    auth.charge(req, res, { details: unique.length });
+
+    res.json({
+      totalFound: results.listings.length,
+      results: results.listings,
+      removed: results.removed,
+      failures: results.errors.map((e) => ({ ...e, code: scrapeErrorCode(e) })),
+      selectorWarnings: selectorWarnings(results.health),
+    });
+  } catch (err) {
+    sendError(res, "INTERNAL_ERROR", err.message);
+  } finally {
+    release();
+  }
+});
+
+app.get("/listings", validate("listStoredListings"), (req, res) => {
+  const { q, query, state, since } = req.query;
+  const number = (v) => (v === undefined || v === "" ? undefined : Number(v));
+
+  const records = store.query({
+    text: q,
+    query,
+    state,
+    since,
+    minPrice: number(req.query.minPrice),
+    maxPrice: number(req.query.maxPrice),
+    limit: number(req.query.limit),
+  });
+
+  res.json({ total: store.size(), count: records.length, results: records });
+});
+
+app.get("/listings/:id", validate("getStoredListing"), (req, res) => {
+  const record = store.get(req.params.id);
+  if (!record) return sendError(res, "NOT_FOUND", "Listing not found");
+  res.json(record);
+});
+
+// Stored listings as store records' listings, with when each was seen
+function storedListings(filter) {
+  return store.query({ ...filter, limit: Infinity }).map((r) => ({
+    ...r.listing,
+    firstSeen: r.firstSeen,
+    lastSeen: r.lastSeen,
+    removedAt: r.removedAt,
+  }));
+}
+
+// Every seller in the store, most listings first: ?minListings=&limit=
+app.get("/sellers", validate("listSellers"), (req, res) => {
+  const number = (v) => (v === undefined || v === "" ? undefined : Number(v));
+  const sellers = lib.aggregateSellers(storedListings({}), { minListings: number(req.query.minListings) });
+  res.json({ total: sellers.length, results: sellers.slice(0, number(req.query.limit) ?? 100) });
+});
+
+// One seller's stored listings summed up; ?scrape=true fetches the profile
+// and their listings first (following a stored listing's seller link, or
+// ?listing=<url>)
+// Only ?scrape=true loads pages
+const sellerScrapeQuota = auth.scrapeQuota({
+  cost: (req) => ({ pages: 1, details: req.query.listing ? 1 : 0 }),
+  when: (req) => req.query.scrape === "true",
+});
+
+app.get("/sellers/:id", validate("getSeller"), sellerScrapeQuota, async (req, res) => {
+  const { id } = req.params;
+  let profile = sellerStore.get(id);
+
+  if (req.query.scrape === "true") {
+    const listingUrl = req.query.listing;
+    if (listingUrl && !lib.isGumtreeListingUrl(listingUrl))
+      return sendError(res, "VALIDATION_ERROR", "query.listing must be a Gumtree listing URL");
+
+    const known = storedListings({ seller: id });
+    const url = profile?.url || known.find((l) => l.sellerUrl)?.sellerUrl;
+    if (!url && !listingUrl && known.length === 0) return sendError(res, "NOT_FOUND", "Seller not found");
+
+    // Profile pages, and the listing page when the seller is found from one;
+    // no more profile pages than the key has left
+    const fromListing = Boolean(listingUrl || !url);
+    const available = auth.available(req);
+    const maxPages = Math.min(req.query.maxPages ? Number(req.query.maxPages) : MAX_PAGES, available.pages);
+    if (maxPages < 1 || (fromListing && available.details < 1))
+      return sendError(res, "QUOTA_EXCEEDED", BUDGET_USED_UP);
+    const release = auth.reserve(req, { pages: maxPages, details: fromListing ? 1 : 0 });
+    // Every page load tried is charged, blocked ones included
+    const usage = { pages: 0, details: 0 };
+
+    try {
+      const results = await limit(() => lib.scrapeGumtreeSeller({
+        url: listingUrl ? undefined : url,
+        listingUrl: listingUrl || known[0]?.url,
+        maxPages,
+        headless: HEADLESS,
+        proxies: proxyManager,
+        sessions: sessionStore,
+        store,
+        sellers: sellerStore,
+        pool,
+        onNavigate: ({ kind }) => {
+          if (kind === "seller") usage.pages++;
+          else usage.details++;
+        },
+      }));
+      auth.charge(req, res, usage);
+      if (results.removed) return sendError(res, "GONE", "Seller removed", { id });
+      if (!results.seller) {
+        const [failure = {}] = results.errors;
+        return sendError(res, scrapeErrorCode(failure), failure.error || "Seller not scraped", { id, state: failure.state || null });
+      }
+      profile = results.seller;
+    } catch (err) {
+      auth.charge(req, res, usage);
+      return sendError(res, "INTERNAL_ERROR", err.message);
+    } finally {
+      release();
+    }
+  }
+
+  // A scrape found the seller under their ID even if they were asked for by name
+  const listings = storedListings({ seller: profile?.id || id });
+  if (!profile && listings.length === 0) return sendError(res, "NOT_FOUND", "Seller not found");
+
+  res.json({
+    id: profile?.id || listings.find((l) => l.sellerId)?.sellerId || null,
+    name: profile?.name || listings.find((l) => l.seller)?.seller || null,
+    profile,
+    stats: lib.summarizeSeller(listings),
+    listings,
+  });
+});
+
+// A job or saved search, if the request's API key may see it (its own, or any with an admin key)
+function ownJob(req) {
+  const job = jobs.get(req.params.id);
+  return job && auth.owns(req, job) ? job : null;
+}
+
+function ownSavedSearch(req) {
+  const search = savedSearches.get(req.params.id);
+  return search && auth.owns(req, search) ? search : null;
+}
+
+// Background jobs hold no request open, so their own count is what the cap sees
+const jobQuota = auth.scrapeQuota({ cost: (req) => searchMinimum(req.body), hold: false });
+
+app.post("/jobs", validate("createJob"), jobQuota, (req, res) => {
+  const input = searchInput(req.body);
+  const problem = searchInputError(input);
+  if (problem) return sendError(res, "VALIDATION_ERROR", problem);
+
+  const job = jobs.submit(input, { owner: auth.owner(req) });
+  res.status(202).location(`/jobs/${job.id}`).json(jobSummary(job));
+});
+
+app.get("/jobs", validate("listJobs"), (req, res) => {
+  res.json(jobs.list().filter((job) => auth.owns(req, job)).map(jobSummary));
+});
+
+app.get("/jobs/:id", validate("getJob"), (req, res) => {
+  const job = ownJob(req);
+  if (!job) return sendError(res, "NOT_FOUND", "Job not found");
+  res.json(jobSummary(job));
+});
+
+app.get("/jobs/:id/results", validate("getJobResults"), (req, res) => {
+  const job = ownJob(req);
+  if (!job) return sendError(res, "NOT_FOUND", "Job not found");
+
+  const { listings, clusters, duplicates } = jobListings(job, req.query);
+  res.json({
+    id: job.id,
+    status: job.status,
+    partial: job.status !== "completed",
+    totalFound: listings.length,
+    duplicates,
+    results: listings,
+    clusters,
+    failures: job.failures,
+  });
+});
+
+// A job's listings as a file: ?format=json|csv|ndjson|xlsx|geojson
+app.get("/results/:id", validate("exportJobResults"), async (req, res) => {
+  const job = ownJob(req);
+  if (!job) return sendError(res, "NOT_FOUND", "Job not found");
+
+  const format = req.query.format || "json";
+  const info = lib.EXPORT_FORMATS[format];
+
+  res.set("X-Job-Status", job.status);
+  if (req.query.download !== "false")
+    res.attachment(`${job.id}.${info.extension}`);
+  // After attachment(), which would guess the type from the extension
+  res.type(info.contentType);
+
+  try {
+    const { listings } = jobListings(job, req.query);
+    if (format === "ndjson") {
+      await lib.writeNdjson(listings, res);
+      if (!res.destroyed) res.end();
+      return;
+    }
+    res.send(lib.exportListings(listings, { format }).body);
+  } catch (err) {
+    // Part of the file may be out already; cutting it short is all that's left
+    if (res.headersSent) return res.destroy(err);
+    sendError(res, "INTERNAL_ERROR", err.message);
+  }
+});
+
+const resumeQuota = auth.scrapeQuota({ cost: (req) => searchMinimum(jobs.get(req.params.id)?.input || {}), hold: false });
+
+app.post("/jobs/:id/resume", validate("resumeJob"), resumeQuota, (req, res) => {
+  const job = ownJob(req);
+  if (!job) return sendError(res, "NOT_FOUND", "Job not found");
+  if (!jobs.resume(job.id))
+    return sendError(res, "CONFLICT", `Job is ${job.status} with nothing left to resume`);
+
+  res.status(202).json(jobSummary(job));
+});
+
+app.delete("/jobs/:id", validate("cancelJob"), (req, res) => {
+  const job = ownJob(req);
+  if (!job) return sendError(res, "NOT_FOUND", "Job not found");
+  if (!jobs.cancel(job.id))
+    return sendError(res, "CONFLICT", `Job is ${job.status}, not running`);
+
+  res.status(202).json(jobSummary(job));
+});
+
+// The search a saved search (or a patched one) would run
+function savedSearchInput({ term, location, site, filters }) {
+  return { term, location: location || undefined, site, filters: lib.pickSearchFilters(filters) };
+}
+
+app.post("/saved-searches", validate("createSavedSearch"), async (req, res) => {
+  const problem = searchInputError(savedSearchInput(req.body)) ||
+    (req.body.webhookUrl && await savedSearches.webhookUrlError(req.body.webhookUrl));
+  if (problem) return sendError(res, "VALIDATION_ERROR", problem);
+
+  const search = savedSearches.create({ ...req.body, owner: auth.owner(req) });
+  res.status(201).location(`/saved-searches/${search.id}`).json(savedSearchSummary(search));
+});
+
+app.get("/saved-searches", validate("listSavedSearches"), (req, res) => {
+  res.json(savedSearches.list().filter((search) => auth.owns(req, search)).map(savedSearchSummary));
+});
+
+app.get("/saved-searches/:id", validate("getSavedSearch"), (req, res) => {
+  const search = ownSavedSearch(req);
+  if (!search) return sendError(res, "NOT_FOUND", "Saved search not found");
+  res.json(savedSearchSummary(search));
+});
+
+app.patch("/saved-searches/:id", validate("updateSavedSearch"), async (req, res) => {
+  const current = ownSavedSearch(req);
+  if (!current) return sendError(res, "NOT_FOUND", "Saved search not found");
+
+  const problem = searchInputError(savedSearchInput({ ...current, ...req.body })) ||
+    (req.body.webhookUrl && await savedSearches.webhookUrlError(req.body.webhookUrl));
+  if (problem) return sendError(res, "VALIDATION_ERROR", problem);
+
+  res.json(savedSearchSummary(savedSearches.update(req.params.id, req.body)));
+});
+
+app.delete("/saved-searches/:id", validate("deleteSavedSearch"), (req, res) => {
+  if (!ownSavedSearch(req) || !savedSearches.remove(req.params.id))
+    return sendError(res, "NOT_FOUND", "Saved search not found");
+  res.status(204).end();
+});
+
+const savedSearchQuota = auth.scrapeQuota({ cost: (req) => searchMinimum(savedSearches.get(req.params.id) || {}) });
+
+app.post("/saved-searches/:id/run", validate("runSavedSearch"), savedSearchQuota, async (req, res) => {
+  if (!ownSavedSearch(req))
+    return sendError(res, "NOT_FOUND", "Saved search not found");
+
+  try {
+    res.json(await savedSearches.run(req.params.id));
+  } catch (err) {
+    sendError(res, "INTERNAL_ERROR", err.message);
+  }
+});
+
+app.get("/saved-searches/:id/deliveries", validate("listDeliveries"), (req, res) => {
+  if (!ownSavedSearch(req))
+    return sendError(res, "NOT_FOUND", "Saved search not found");
+  res.json(savedSearches.deliveries(req.params.id));
+});
+
+app.get("/sites", validate("listSites"), (_, res) => {
+  res.json(lib.listSites().map((site) => {
+    const { name, baseUrl, currency } = lib.getAdapter(site);
+    const { version } = lib.getSiteProfile(site);
+    return { site, name, baseUrl, currency, profileVersion: version };
+  }));
+});
+
+app.get("/locations", validate("searchLocations"), (req, res) => {
+  const { q } = req.query;
+  const limit = req.query.limit ? Number(req.query.limit) : 5;
+  res.json(lib.searchLocations(q, { limit }));
+});
+
+// An image, if it was stored for one of the request's API key's jobs (any with an admin key)
+function ownImage(req) {
+  const image = imageStore.get(req.params.sha256);
+  if (!image || !req.apiKey || req.apiKey.admin) return image;
+  const stored = (listing) => (listing.storedImages || []).some((i) => i.sha256 === image.sha256);
+  return jobs.list().some((job) => auth.owns(req, job) && job.results.some(stored)) ? image : null;
+}
+
+app.get("/images/:sha256", validate("getImage"), (req, res) => {
+  const image = ownImage(req);
+  if (!image) return sendError(res, "NOT_FOUND", "Image not found");
+  res.type(image.contentType);
+  res.sendFile(path.resolve(imageStore.filePath(image.sha256)));
+});
+
+app.get("/checkpoints", validate("listCheckpoints"), auth.requireAdmin, (_, res) => {
+  res.json(checkpointStore.list());
+});
+
+app.get("/sessions", validate("listSessions"), auth.requireAdmin, (_, res) => {
+  res.json(sessionStore.list());
+});
+
+app.delete("/sessions/:name", validate("deleteSession"), auth.requireAdmin, (req, res) => {
+  if (!sessionStore.invalidate(req.params.name))
+    return sendError(res, "NOT_FOUND", "Session profile not found");
+  res.status(204).end();
+});
+
+app.get("/proxies", validate("listProxies"), auth.requireAdmin, (_, res) => {
+  res.json(proxyManager.stats());
+});
+
+app.get("/health", validate("health"), (_, res) => {
+  const { name, version } = lib.getSiteProfile();
+  const { total, available } = proxyManager.stats();
+  res.json({
+    ok: true,
+    pool: pool.stats(),
+    proxies: { total, available },
+    rateLimits: rateLimiter.stats(),
+    images: imageStore.stats(),
+    profile: { name, version },
+    expansion: { provider: expander.provider },
+    selectors: lastSelectorHealth,
+  });
+});
+
+app.get("/openapi.json", validate("openapi"), (_, res) => {
+  res.json(openapi);
+});
+
+// Unknown routes and anything a route didn't handle get the error envelope too
+app.use(notFound);
+app.use(errorHandler);
+
+const server = app.listen(PORT, () => {
+  console.log(`✅ Gumtree API running on :${PORT}`);
+  savedSearches.start();
+});
+
+// ==========================
+// Graceful shutdown
+// ==========================
+async function shutdown(signal) {
+  console.log(`\n${signal} received, shutting down...`);
+  savedSearches.stop();
+  server.close();
+  await pool.close();
+  process.exit(0);
+}
 
-app.listen(PORT, () => console.log(`✅ Gumtree API running on :${PORT}`));
+process.once("SIGINT", () => shutdown("SIGINT"));
+process.once("SIGTERM", () => shutdown("SIGTERM"));
@@ -0,0 +1,488 @@
+/**
+ * API keys, daily quotas and concurrency caps
+ *
+ * Every route but /health needs a key. Until one is created every request
+ * is refused, unless the server opts out with `allowAnonymous`. Each key has:
+ *
+ *   requestsPerDay      Requests of any kind
+ *   pagesPerDay         Search result and seller pages scraped
+ *   detailsPerDay       Listing pages scraped
+ *   maxConcurrentJobs   Scrapes in flight at once: running jobs plus
+ *                       /search, /listing... requests still going
+ *
+ * A limit of null means no limit. Days are UTC days.
+ *
+ * A scrape is only started when its worst case fits in what's left: while
+ * it runs, that worst case is reserved, so scrapes started meanwhile can't
+ * count on the same budget. Once it finishes it's charged every page load it
+ * tried, blocked ones and retries included.
+ *
+ * Keys are only stored as SHA-256 hashes (in keys.json), so the file can't
+ * be used to call the API; the key itself is shown once, when it's created.
+ * Usage counters are in usage.json, one entry per key for the current day.
+ * Both are written atomically. keys.json is re-read when it changes, so keys
+ * created or revoked with `szcraper keys` apply without a restart.
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { sendError } from "./errors.mjs";
+
+export const DEFAULT_LIMITS = {
+  requestsPerDay: 1000,
+  pagesPerDay: 200,
+  detailsPerDay: 500,
+  maxConcurrentJobs: 2,
+};
+
+const KEY_PREFIX = "szk_";
+
+/**
+ * Hash an API key for storage and lookup
+ */
+export function hashApiKey(key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex");
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// Next UTC midnight, when the daily counters start over
+function resetAt() {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+}
+
+function readJson(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (e) {
+    return fallback;
+  }
+}
+
+function writeJson(file, value) {
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(value, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+// ============================================================================
+// STORE
+// ============================================================================
+
+/**
+ * Open (or create) an API key store
+ *
+ * @param {string} dir - Directory for keys.json and usage.json
+ * @returns {Object}
+ */
+export function openApiKeyStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const keysFile = path.join(dir, "keys.json");
+  const usageFile = path.join(dir, "usage.json");
+
+  let keys = [];
+  let keysMtime = null;
+  const usage = readJson(usageFile, {});
+  // Worst-case pages and details of scrapes still running, per key (not persisted)
+  const reserved = new Map();
+  // Callbacks waiting for a key's next release, per key
+  const releaseListeners = new Map();
+
+  // Pick up keys created or revoked by another process (the CLI)
+  function load() {
+    const mtime = fs.existsSync(keysFile) ? fs.statSync(keysFile).mtimeMs : null;
+    if (mtime === keysMtime) return keys;
+    keys = readJson(keysFile, []);
+    keysMtime = mtime;
+    return keys;
+  }
+
+  function persistKeys() {
+    writeJson(keysFile, keys);
+    keysMtime = fs.statSync(keysFile).mtimeMs;
+  }
+
+  const find = (idOrName) => load().find((k) => k.id === idOrName || k.name === idOrName) || null;
+  const publicRecord = ({ hash, ...record }) => record;
+
+  function usageFor(id) {
+    const day = today();
+    if (usage[id]?.day !== day) usage[id] = { day, requests: 0, pages: 0, details: 0 };
+    return usage[id];
+  }
+
+  function remaining(id) {
+    const record = find(id);
+    const used = usageFor(id);
+    const left = (limit, count) => (record?.[limit] === null || record?.[limit] === undefined
+      ? Infinity
+      : Math.max(0, record[limit] - count));
+    return {
+      requests: left("requestsPerDay", used.requests),
+      pages: left("pagesPerDay", used.pages),
+      details: left("detailsPerDay", used.details),
+    };
+  }
+
+  return {
+    dir,
+
+    /**
+     * Whether any key was ever created: from then on every request needs one
+     */
+    enabled: () => load().length > 0,
+
+    /**
+     * Every key (without its hash) and today's usage
+     */
+    list: () => load().map((k) => ({ ...publicRecord(k), usage: usageFor(k.id) })),
+
+    get: (idOrName) => {
+      const record = find(idOrName);
+      return record ? publicRecord(record) : null;
+    },
+
+    /**
+     * The key record for a presented key, or null
+     */
+    authenticate(key) {
+      if (typeof key !== "string" || !key.startsWith(KEY_PREFIX)) return null;
+      const hash = hashApiKey(key);
+      const record = load().find((k) => crypto.timingSafeEqual(Buffer.from(k.hash, "hex"), Buffer.from(hash, "hex")));
+      return record ? publicRecord(record) : null;
+    },
+
+    /**
+     * Create a key
+     *
+     * @param {Object} input
+     * @param {string} input.name - Who or what the key is for; unique
+     * @param {boolean} input.admin - May see every job and saved search and use /sessions, /proxies, /checkpoints
+     * @param {number|null} input.requestsPerDay, input.pagesPerDay, input.detailsPerDay,
+     *   input.maxConcurrentJobs - See DEFAULT_LIMITS
+     * @returns {{key: string, record: Object}} The key in full - it can't be recovered later
+     * @throws If the name is taken
+     */
+    create(input) {
+      if (!input.name) throw new Error("An API key needs a name");
+      if (find(input.name)) throw new Error(`An API key named ${input.name} already exists`);
+
+      const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+      const record = {
+        id: crypto.randomUUID(),
+        name: input.name,
+        hash: hashApiKey(key),
+        prefix: key.slice(0, KEY_PREFIX.length + 6),
+        admin: Boolean(input.admin),
+        ...Object.fromEntries(Object.keys(DEFAULT_LIMITS).map((limit) =>
+          [limit, input[limit] === undefined ? DEFAULT_LIMITS[limit] : input[limit]])),
+        createdAt: new Date().toISOString(),
+        revokedAt: null,
+      };
+      keys = [...load(), record];
+      persistKeys();
+      return { key, record: publicRecord(record) };
+    },
+
+    /**
+     * Change a key's limits or admin flag
+     *
+     * @returns {Object|null} The updated record, or null if there's no such key
+     */
+    update(idOrName, patch) {
+      const record = find(idOrName);
+      if (!record) return null;
+      for (const field of ["admin", ...Object.keys(DEFAULT_LIMITS)]) {
+        if (patch[field] !== undefined) record[field] = patch[field];
+      }
+      persistKeys();
+      return publicRecord(record);
+    },
+
+    /**
+     * Revoke a key. It stays listed, so requests with it get 403 rather than 401.
+     *
+     * @returns {Object|null} The revoked record, or null if there's no such key
+     */
+    revoke(idOrName) {
+      const record = find(idOrName);
+      if (!record) return null;
+      record.revokedAt = record.revokedAt || new Date().toISOString();
+      persistKeys();
+      return publicRecord(record);
+    },
+
+    /**
+     * Today's counters for a key: { day, requests, pages, details }
+     */
+    usage: (id) => ({ ...usageFor(id) }),
+
+    /**
+     * What's left of a key's daily quotas (Infinity for no limit)
+     */
+    remaining,
+
+    /**
+     * What a key can still start today: remaining() less what its running
+     * scrapes have reserved
+     */
+    available(id) {
+      const left = remaining(id);
+      const held = reserved.get(id) || { pages: 0, details: 0 };
+      return {
+        ...left,
+        pages: Math.max(0, left.pages - held.pages),
+        details: Math.max(0, left.details - held.details),
+      };
+    },
+
+    /**
+     * Hold back a scrape's worst case while it runs
+     *
+     * @param {string} id
+     * @param {Object} amounts - { pages, details }
+     * @returns {Function} Gives the reservation back; call it once the scrape is charged
+     */
+    reserve(id, amounts = {}) {
+      const held = reserved.get(id) || { pages: 0, details: 0 };
+      const pages = Number.isFinite(amounts.pages) ? amounts.pages : 0;
+      const details = Number.isFinite(amounts.details) ? amounts.details : 0;
+      reserved.set(id, { pages: held.pages + pages, details: held.details + details });
+
+      let released = false;
+      return () => {
+        if (released) return;
+        released = true;
+        const now = reserved.get(id);
+        now.pages -= pages;
+        now.details -= details;
+        // Once the releasing scrape has wrapped up, so a listener that reacts
+        // (say, by cancelling the job) doesn't catch it half done
+        const listeners = Array.from(releaseListeners.get(id) || []);
+        if (listeners.length > 0) setImmediate(() => listeners.forEach((listener) => listener()));
+      };
+    },
+
+    /**
+     * Call back (on a later turn of the event loop) when one of a key's
+     * reservations is given back
+     *
+     * @returns {Function} Stops listening
+     */
+    onRelease(id, listener) {
+      if (!releaseListeners.has(id)) releaseListeners.set(id, new Set());
+      releaseListeners.get(id).add(listener);
+      return () => {
+        const listeners = releaseListeners.get(id);
+        listeners?.delete(listener);
+        if (listeners?.size === 0) releaseListeners.delete(id);
+      };
+    },
+
+    /**
+     * Add to a key's counters for today
+     *
+     * @param {string} id
+     * @param {Object} amounts - { requests, pages, details }
+     * @returns {Object} Today's counters
+     */
+    charge(id, amounts = {}) {
+      const used = usageFor(id);
+      for (const counter of ["requests", "pages", "details"]) used[counter] += amounts[counter] || 0;
+      // Yesterday's entries are dropped as their keys are next charged
+      writeJson(usageFile, usage);
+      return { ...used };
+    },
+  };
+}
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+/**
+ * The key a request presents: `Authorization: Bearer <key>`, `X-API-Key`,
+ * or `?apiKey=` (for EventSource, which can't set headers)
+ */
+function presentedKey(req) {
+  const auth = req.get("authorization") || "";
+  if (/^bearer /i.test(auth)) return auth.slice(7).trim();
+  return req.get("x-api-key") || (typeof req.query.apiKey === "string" ? req.query.apiKey : null);
+}
+
+const headerValue = (n) => (n === Infinity ? "unlimited" : String(n));
+
+/**
+ * Authentication and quota middleware over a key store
+ *
+ * With no keys created, every request is refused (401), unless
+ * `allowAnonymous` is set: then, until the first key exists, requests go
+ * through without one, with no quotas and admin rights.
+ *
+ * @param {Object} options
+ * @param {Object} options.keys - From openApiKeyStore()
+ * @param {boolean} options.allowAnonymous - Let requests through while no key exists (default: false)
+ * @param {Function} options.activeJobs - (keyId) => background jobs queued or running for the key
+ * @param {string[]} options.public - Paths that need no key (default: ["/health"])
+ * @returns {Object} { allowAnonymous, authenticate, requireAdmin, scrapeQuota, available, reserve, charge, owns, owner }
+ */
+export function createApiKeyAuth(options) {
+  const { keys, activeJobs = () => 0, allowAnonymous = false, public: publicPaths = ["/health"] } = options;
+  // Scrape requests in flight per key
+  const inFlight = new Map();
+
+  function setQuotaHeaders(res, record) {
+    if (res.headersSent) return;
+    const remaining = keys.remaining(record.id);
+    res.set({
+      "X-RateLimit-Limit": headerValue(record.requestsPerDay ?? Infinity),
+      "X-RateLimit-Remaining": headerValue(remaining.requests),
+      "X-RateLimit-Reset": String(Math.floor(resetAt().getTime() / 1000)),
+      "X-Quota-Pages-Remaining": headerValue(remaining.pages),
+      "X-Quota-Details-Remaining": headerValue(remaining.details),
+    });
+  }
+
+  function quotaExceeded(res, quota, message) {
+    const reset = resetAt();
+    res.set("Retry-After", String(Math.ceil((reset - Date.now()) / 1000)));
+    sendError(res, "QUOTA_EXCEEDED", message, { quota, resetAt: reset.toISOString() });
+  }
+
+  return {
+    allowAnonymous,
+
+    /**
+     * Check the request's key and count the request against it. Sets
+     * req.apiKey (undefined for anonymous requests).
+     */
+    authenticate(req, res, next) {
+      if (publicPaths.includes(req.path)) return next();
+      if (!keys.enabled()) {
+        if (allowAnonymous) return next();
+        return sendError(res, "UNAUTHORIZED", "No API keys configured - create one with `szcraper keys create <name>`");
+      }
+
+      const key = presentedKey(req);
+      if (!key) {
+        res.set("WWW-Authenticate", "Bearer");
+        return sendError(res, "UNAUTHORIZED", "Missing API key (Authorization: Bearer <key> or X-API-Key)");
+      }
+      const record = keys.authenticate(key);
+      if (!record) {
+        res.set("WWW-Authenticate", "Bearer");
+        return sendError(res, "UNAUTHORIZED", "Invalid API key");
+      }
+      if (record.revokedAt) return sendError(res, "FORBIDDEN", `API key ${record.name} was revoked`);
+
+      if (keys.remaining(record.id).requests <= 0) {
+        setQuotaHeaders(res, record);
+        return quotaExceeded(res, "requests", `Daily request quota of ${record.requestsPerDay} used up`);
+      }
+      keys.charge(record.id, { requests: 1 });
+      setQuotaHeaders(res, record);
+      req.apiKey = record;
+      next();
+    },
+
+    /**
+     * Only admin keys (or anonymous requests, when they are allowed)
+     */
+    requireAdmin(req, res, next) {
+      if (!req.apiKey || req.apiKey.admin) return next();
+      sendError(res, "FORBIDDEN", "This route needs an admin API key");
+    },
+
+    /**
+     * Check the key's page/detail budget and concurrency cap before a scrape
+     *
+     * Routes whose cost depends on what they find (searches, seller pages)
+     * pass their smallest possible cost here, then trim the scrape to
+     * available() and reserve() its worst case.
+     *
+     * @param {Object} options
+     * @param {Function} options.cost - (req) => { pages, details } the request needs at least (default: 1 page)
+     * @param {boolean} options.hold - Count the request as in flight until its response ends
+     *   (default: true; false for routes that start a background job, which counts itself)
+     * @param {Function} options.when - (req) => false to skip the check (default: always check)
+     */
+    scrapeQuota(options = {}) {
+      const { cost = () => ({ pages: 1 }), hold = true, when = () => true } = options;
+
+      return (req, res, next) => {
+        const record = req.apiKey;
+        if (!record || !when(req)) return next();
+
+        const remaining = keys.remaining(record.id);
+        const available = keys.available(record.id);
+        const needed = cost(req);
+        for (const budget of ["pages", "details"]) {
+          if (!needed[budget] || needed[budget] <= available[budget]) continue;
+          const what = budget === "pages" ? "page" : "detail page";
+          if (remaining[budget] <= 0) {
+            const limit = budget === "pages" ? record.pagesPerDay : record.detailsPerDay;
+            return quotaExceeded(res, budget, `Daily ${what} budget of ${limit} used up`);
+          }
+          return quotaExceeded(res, budget,
+            `This request needs up to ${needed[budget]} ${what}s but only ${available[budget]} are left today (running scrapes included)`);
+        }
+
+        const running = (inFlight.get(record.id) || 0) + activeJobs(record.id);
+        if (record.maxConcurrentJobs !== null && running >= record.maxConcurrentJobs) {
+          return sendError(res, "CONCURRENCY_LIMIT",
+            `This key already has ${running} scrape${running === 1 ? "" : "s"} running (limit ${record.maxConcurrentJobs})`,
+            { running, limit: record.maxConcurrentJobs });
+        }
+
+        if (hold) {
+          inFlight.set(record.id, (inFlight.get(record.id) || 0) + 1);
+          res.once("close", () => inFlight.set(record.id, inFlight.get(record.id) - 1));
+        }
+        next();
+      };
+    },
+
+    /**
+     * What the request's key can still start today (Infinity for anonymous requests)
+     *
+     * @returns {Object} { requests, pages, details }
+     */
+    available: (req) => (req.apiKey
+      ? keys.available(req.apiKey.id)
+      : { requests: Infinity, pages: Infinity, details: Infinity }),
+
+    /**
+     * Reserve a scrape's worst case against the request's key
+     *
+     * @returns {Function} Gives the reservation back
+     */
+    reserve: (req, amounts) => (req.apiKey ? keys.reserve(req.apiKey.id, amounts) : () => {}),
+
+    /**
+     * Charge what a request scraped to its key and refresh the quota headers
+     *
+     * @param {Request} req
+     * @param {Response} res
+     * @param {Object} amounts - { pages, details }
+     */
+    charge(req, res, amounts) {
+      if (!req.apiKey || !amounts) return;
+      keys.charge(req.apiKey.id, amounts);
+      setQuotaHeaders(res, req.apiKey);
+    },
+
+    /**
+     * The owner to record on a job or saved search created by this request
+     */
+    owner: (req) => req.apiKey?.id || null,
+
+    /**
+     * Whether a request may see a job or saved search: its owner's key, an
+     * admin key, or an anonymous request when they are allowed
+     */
+    owns: (req, resource) => !req.apiKey || req.apiKey.admin || resource.owner === req.apiKey.id,
+  };
+}
@@ -0,0 +1,132 @@
+/**
+ * Scrape budgets: fitting searches into what an API key has left
+ *
+ * A scrape's worst case is every page of every query and, with
+ * scrapeDetails, a listing page for every card on them. A search is trimmed
+ * until that worst case fits in the key's available() budget (what's left
+ * today, less what its running scrapes have reserved), and refused when not
+ * even one page does.
+ *
+ * A job's URLs run side by side, so each takes a share of the budget rather
+ * than the first taking all of it. A URL that finds the budget held by
+ * scrapes still running waits for them; the job is only cancelled once the
+ * key's day is used up.
+ */
+
+// Most listings one result page links to: the worst case for detail pages
+export const LISTINGS_PER_PAGE = 30;
+
+export const BUDGET_USED_UP = "The API key's daily budget is used up (running scrapes included)";
+
+/**
+ * Create the budget helpers over an API key store
+ *
+ * @param {Object} options
+ * @param {Object} options.keys - From openApiKeyStore()
+ * @param {number} options.maxPages - Pages per query when a search doesn't say
+ * @returns {Object} { searchCost, fitSearch, jobShare, jobQuery }
+ */
+export function createScrapeBudget(options) {
+  const { keys, maxPages: defaultMaxPages } = options;
+
+  /**
+   * The most a search could load
+   *
+   * @param {number} queries - Scrapes in the search
+   * @param {Object} input - { maxPages, scrapeDetails }
+   * @returns {{pages: number, details: number}}
+   */
+  function searchCost(queries, { maxPages = defaultMaxPages, scrapeDetails }) {
+    const pages = queries * maxPages;
+    return { pages, details: scrapeDetails === true || scrapeDetails === "true" ? pages * LISTINGS_PER_PAGE : 0 };
+  }
+
+  /**
+   * Trim a search so its worst case fits in a budget: fewer pages per query
+   * first, then fewer queries
+   *
+   * @param {Array} queries - Expanded terms or search specs, one scrape each
+   * @param {Object} input - { maxPages, scrapeDetails }
+   * @param {Object} available - auth.available(), keys.available() or a jobShare()
+   * @returns {{queries: Array, maxPages: number, cost: Object}|null} Null when not even one page fits
+   */
+  function fitSearch(queries, input, available) {
+    const perPage = searchCost(1, { ...input, maxPages: 1 });
+    const pages = Math.min(available.pages, perPage.details ? Math.floor(available.details / perPage.details) : Infinity);
+    if (pages < 1 || queries.length === 0) return null;
+
+    const kept = queries.slice(0, pages);
+    const maxPages = Math.min(input.maxPages ?? defaultMaxPages, Math.floor(pages / kept.length));
+    return { queries: kept, maxPages, cost: searchCost(kept.length, { ...input, maxPages }) };
+  }
+
+  /**
+   * One job URL's share of a budget: an equal part for it and each URL of
+   * the job still waiting to start, but at least one page while there is one
+   *
+   * @param {Object} available - keys.available()
+   * @param {number} parts - URLs sharing it, this one included
+   * @param {Object} input - { scrapeDetails }
+   * @returns {Object} Budget for fitSearch()
+   */
+  function jobShare(available, parts, input) {
+    const onePage = searchCost(1, { ...input, maxPages: 1 });
+    const share = (counter) =>
+      Math.min(available[counter], Math.max(onePage[counter], Math.floor(available[counter] / Math.max(1, parts))));
+    return { ...available, pages: share("pages"), details: share("details") };
+  }
+
+  // Resolves on the key's next release, or straight away once the signal aborts
+  function nextRelease(id, signal) {
+    return new Promise((resolve) => {
+      if (signal?.aborted) return resolve();
+      const done = () => {
+        stop();
+        signal?.removeEventListener("abort", done);
+        resolve();
+      };
+      const stop = keys.onRelease(id, done);
+      signal?.addEventListener("abort", done);
+    });
+  }
+
+  /**
+   * Budget a job manager's runQuery: each URL of an owned job takes its
+   * jobShare(), holds its worst case while it runs and is charged every page
+   * load it tried. When running scrapes hold what's left, the URL waits for
+   * them. Only when not even one page is left today is the job cancelled (it
+   * can be resumed the next day).
+   *
+   * @param {Function} run - async (search, options) => runOne() result, with `usage`
+   * @param {Object} options
+   * @param {Function} options.cancel - (jobId) => cancels the job
+   * @returns {Function} runQuery for createJobManager()
+   */
+  function jobQuery(run, { cancel }) {
+    return async (search, options) => {
+      const { owner, signal } = options;
+      if (!owner) return run(search, options);
+
+      let fit;
+      while (!(fit = fitSearch([search], options, jobShare(keys.available(owner), options.urlsLeft, options)))) {
+        if (!fitSearch([search], options, keys.remaining(owner))) {
+          cancel(options.jobId);
+          return { ok: false, error: BUDGET_USED_UP, code: "QUOTA_EXCEEDED" };
+        }
+        await nextRelease(owner, signal);
+        if (signal?.aborted) return { ok: false, error: "Cancelled" };
+      }
+
+      const release = keys.reserve(owner, fit.cost);
+      try {
+        const result = await run(search, { ...options, maxPages: fit.maxPages });
+        keys.charge(owner, result.usage);
+        return result;
+      } finally {
+        release();
+      }
+    };
+  }
+
+  return { searchCost, fitSearch, jobShare, jobQuery };
+}
@@ -0,0 +1,117 @@
+/**
+ * API errors
+ *
+ * Every error response has the same shape:
+ *
+ *   { "error": "maxPages must be at most 20", "code": "VALIDATION_ERROR", "details": { ... } }
+ *
+ * `error` is for people, `code` is for programs: clients branch on the
+ * code, never on the message. `details` is optional and code-specific
+ * (the failing fields of a VALIDATION_ERROR, the failed queries of a
+ * BLOCKED search).
+ */
+
+import lib from "../v2/lib.mjs";
+
+/**
+ * Error code -> HTTP status
+ */
+export const ERROR_CODES = {
+  VALIDATION_ERROR: 400,  // Bad body, query or path parameter
+  UNAUTHORIZED: 401,      // No API key, or one that doesn't exist
+  FORBIDDEN: 403,         // Revoked key, or a route that needs an admin key
+  NOT_FOUND: 404,         // No such route, job, listing, seller...
+  CONFLICT: 409,          // Not possible in the resource's current state
+  GONE: 410,              // Listing or seller removed from the site
+  QUOTA_EXCEEDED: 429,    // The key's daily requests, pages or details are used up
+  CONCURRENCY_LIMIT: 429, // The key already has as many scrapes running as it may
+  UPSTREAM_ERROR: 502,    // The scrape failed for another reason (network, browser)
+  UPSTREAM_CHANGED: 502,  // The site served a page we don't recognise - selectors out of date
+  BLOCKED: 503,           // Challenge, rate limit or login wall
+  TIMEOUT: 504,           // The site didn't answer in time
+  INTERNAL_ERROR: 500,    // A bug on our side
+};
+
+/**
+ * An Error carrying an API error code, for code that throws instead of
+ * responding (the error middleware turns it into a response)
+ *
+ * @param {string} code - One of ERROR_CODES
+ * @param {string} message
+ * @param {Object} details
+ * @returns {Error}
+ */
+export function apiError(code, message, details) {
+  const err = new Error(message);
+  err.code = code;
+  if (details) err.details = details;
+  return err;
+}
+
+/**
+ * Send an error response
+ *
+ * @param {Response} res
+ * @param {string} code - One of ERROR_CODES
+ * @param {string} message
+ * @param {Object} details
+ */
+export function sendError(res, code, message, details) {
+  const status = ERROR_CODES[code] || 500;
+  res.status(status).json(details ? { error: message, code, details } : { error: message, code });
+}
+
+/**
+ * The error code for a failed scrape
+ *
+ * @param {Object} failure - A scrape error or runOne() failure: `{ error, state }`
+ * @returns {string} BLOCKED, UPSTREAM_CHANGED, TIMEOUT or UPSTREAM_ERROR
+ */
+export function scrapeErrorCode(failure = {}) {
+  const { state, error = "" } = failure;
+  if (lib.isBlockingState(state) || state === lib.PAGE_STATES.LOGIN_WALL) return "BLOCKED";
+  if (state === lib.PAGE_STATES.UNEXPECTED) return "UPSTREAM_CHANGED";
+  if (/time(d)? ?out/i.test(error)) return "TIMEOUT";
+  return "UPSTREAM_ERROR";
+}
+
+/**
+ * The code for a request where every scrape failed: BLOCKED if any was
+ * blocked (another proxy or a later retry may get through), else the
+ * first failure's
+ *
+ * @param {Object[]} failures - Each with a `code`
+ * @returns {string}
+ */
+export function failuresErrorCode(failures) {
+  if (failures.some((f) => f.code === "BLOCKED")) return "BLOCKED";
+  return failures[0]?.code || "UPSTREAM_ERROR";
+}
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+/**
+ * Catch-all for routes that don't exist (mount after every route)
+ */
+export function notFound(req, res) {
+  sendError(res, "NOT_FOUND", `No route ${req.method} ${req.path}`);
+}
+
+/**
+ * Express error handler (mount last): body parser failures, apiError()s
+ * thrown by middleware and anything else a route let through
+ */
+export function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+
+  if (err.type === "entity.parse.failed")
+    return sendError(res, "VALIDATION_ERROR", "Request body is not valid JSON");
+  if (err.type === "entity.too.large")
+    return sendError(res, "VALIDATION_ERROR", "Request body is too large");
+  if (ERROR_CODES[err.code]) return sendError(res, err.code, err.message, err.details);
+
+  console.error(`[ERROR] ${req.method} ${req.path}: ${err.stack || err.message}`);
+  sendError(res, "INTERNAL_ERROR", err.message);
+}
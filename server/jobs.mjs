@@ -0,0 +1,326 @@
+/**
+ * Asynchronous search jobs
+ *
+ * A job expands a search term, scrapes every expanded query and collects
+ * the listings as they come in. Jobs are persisted under the jobs directory,
+ * so status and results survive a restart: `<id>.json` holds the job without
+ * its listings, which are appended to `<id>.results.ndjson` as pages come
+ * in. Status changes are written straight away; progress (pages, attempts)
+ * at most once a second.
+ *
+ * Each URL of a job runs under its own checkpoint run ID, so a job stopped
+ * by a restart, a cancel or a failure can be resumed: URLs already done are
+ * skipped and the others continue from their last checkpoint.
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+const ACTIVE_STATES = ["queued", "running"];
+
+// Longest a progress update waits to be written
+const SAVE_DELAY_MS = 1000;
+
+// ============================================================================
+// STORE
+// ============================================================================
+
+/**
+ * Create a file-backed job store (a JSON file and a results log per job)
+ *
+ * @param {string} dir - Directory holding the job files
+ * @returns {Object}
+ */
+export function createJobStore(dir) {
+  const jobs = new Map();
+  const timers = new Map();
+  fs.mkdirSync(dir, { recursive: true });
+
+  const jobFile = (id) => path.join(dir, `${id}.json`);
+  const resultsFile = (id) => path.join(dir, `${id}.results.ndjson`);
+  const toLines = (listings) => listings.map((l) => `${JSON.stringify(l)}\n`).join("");
+
+  function readResults(id) {
+    if (!fs.existsSync(resultsFile(id))) return null;
+    return fs.readFileSync(resultsFile(id), "utf-8")
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => JSON.parse(line));
+  }
+
+  function write(job) {
+    const { results, ...stored } = job;
+    fs.writeFileSync(`${jobFile(job.id)}.tmp`, JSON.stringify(stored, null, 2));
+    fs.renameSync(`${jobFile(job.id)}.tmp`, jobFile(job.id));
+  }
+
+  for (const file of fs.readdirSync(dir)) {
+    if (!file.endsWith(".json")) continue;
+    try {
+      const job = JSON.parse(fs.readFileSync(path.join(dir, file), "utf-8"));
+      const results = readResults(job.id);
+      // Jobs saved before results had their own log keep them in the JSON file
+      if (!results && job.results?.length > 0) fs.writeFileSync(resultsFile(job.id), toLines(job.results));
+      job.results = results || job.results || [];
+      jobs.set(job.id, job);
+    } catch (e) {
+      console.warn(`[WARN] skipping unreadable job file ${file}: ${e.message}`);
+    }
+  }
+
+  const store = {
+    get: (id) => jobs.get(id) || null,
+    list: () => Array.from(jobs.values()),
+
+    /**
+     * Write a job now (its listings are written by addResults())
+     */
+    save(job) {
+      clearTimeout(timers.get(job.id));
+      timers.delete(job.id);
+      job.updatedAt = new Date().toISOString();
+      jobs.set(job.id, job);
+      write(job);
+      return job;
+    },
+
+    /**
+     * Write a job within SAVE_DELAY_MS, once for any number of calls
+     */
+    saveSoon(job) {
+      jobs.set(job.id, job);
+      if (timers.has(job.id)) return job;
+      const timer = setTimeout(() => store.save(job), SAVE_DELAY_MS);
+      timer.unref();
+      timers.set(job.id, timer);
+      return job;
+    },
+
+    /**
+     * Add listings to a job and append them to its results log
+     */
+    addResults(job, listings) {
+      if (listings.length === 0) return;
+      job.results.push(...listings);
+      fs.appendFileSync(resultsFile(job.id), toLines(listings));
+    },
+  };
+  return store;
+}
+
+// ============================================================================
+// MANAGER
+// ============================================================================
+
+/**
+ * Summarize a job for status polling (everything except the listings)
+ */
+export function jobSummary(job) {
+  const { results, ...summary } = job;
+  return { ...summary, resultCount: results.length };
+}
+
+/**
+ * Create a job manager that runs searches in the background
+ *
+ * @param {Object} options
+ * @param {string} options.dir - Directory for persisted jobs
+ * @param {Function} options.expand - async (term) => string[] of expanded terms
+ * @param {Function} options.buildSearches - (expanded, input) => [{ query, search, url }]
+ * @param {Function} options.runQuery - async (search, { signal, proxyKey, runId, resume, owner, jobId, urlsLeft, onAttempt, onPage }) => runOne() result
+ * @param {Function} options.limit - p-limit instance shared with the rest of the server
+ * @returns {Object}
+ */
+export function createJobManager(options) {
+  const { dir, expand, buildSearches, runQuery, limit } = options;
+  const store = createJobStore(dir);
+  const controllers = new Map();
+
+  // Anything that was in flight when the server stopped is left for resume()
+  for (const job of store.list()) {
+    if (!ACTIVE_STATES.includes(job.status)) continue;
+    job.status = "interrupted";
+    job.finishedAt = new Date().toISOString();
+    for (const u of job.urls) {
+      if (["pending", "running"].includes(u.state)) u.state = "interrupted";
+    }
+    store.save(job);
+  }
+
+  function updateProgress(job) {
+    job.progress = {
+      total: job.urls.length,
+      done: job.urls.filter((u) => u.state === "done").length,
+      failed: job.urls.filter((u) => u.state === "failed").length,
+      listings: job.results.length,
+    };
+  }
+
+  async function runUrl(job, entry, signal, resume) {
+    if (signal.aborted) {
+      entry.state = "cancelled";
+      return;
+    }
+
+    entry.state = "running";
+    delete entry.error;
+    store.save(job);
+
+    // A resumed run can report the page it was cut off on a second time
+    const seen = new Set(job.results.filter((r) => r.source === entry.url).map((r) => r.url));
+
+    const result = await runQuery(entry.search, {
+      maxPages: job.input.maxPages,
+      scrapeDetails: job.input.scrapeDetails,
+      images: job.input.images,
+      // Every URL of a job goes out through the same proxy while it stays healthy
+      proxyKey: job.id,
+      runId: entry.runId,
+      owner: job.owner,
+      jobId: job.id,
+      // URLs of the job not started yet, this one included: they share the key's budget
+      urlsLeft: job.urls.filter((u) => u.state === "pending").length + 1,
+      resume,
+      signal,
+      onAttempt: (attempt) => {
+        entry.attempts = attempt;
+        store.saveSoon(job);
+      },
+      onPage: ({ page, listings }) => {
+        const fresh = listings.filter((l) => !seen.has(l.url));
+        fresh.forEach((l) => seen.add(l.url));
+        entry.pagesScraped = page;
+        entry.listings += fresh.length;
+        store.addResults(job, fresh.map((l) => ({ ...l, query: entry.query, source: entry.url })));
+        updateProgress(job);
+        store.saveSoon(job);
+      },
+    });
+
+    // What the last page turned out to be ("ok", "no-results", "challenge", ...)
+    entry.pageState = result.state || null;
+
+    if (signal.aborted) {
+      entry.state = "cancelled";
+    } else if (result.ok) {
+      entry.state = "done";
+    } else {
+      entry.state = "failed";
+      entry.error = result.error;
+      job.failures.push({ query: entry.query, url: entry.url, error: result.error, code: result.code, pageState: entry.pageState });
+    }
+    updateProgress(job);
+    store.save(job);
+  }
+
+  async function run(job, signal, resume = false) {
+    job.status = "running";
+    job.startedAt = job.startedAt || new Date().toISOString();
+    job.finishedAt = null;
+    delete job.error;
+    store.save(job);
+
+    try {
+      // A job stopped before its searches were built starts over
+      if (!resume || job.urls.length === 0) {
+        job.expanded = Array.from(new Set(await expand(job.input.term)));
+        job.urls = buildSearches(job.expanded, job.input).map(({ query, search, url }, i) => ({
+          query,
+          search,
+          url,
+          runId: `${job.id}-${i}`,
+          state: "pending",
+          attempts: 0,
+          pagesScraped: 0,
+          listings: 0,
+        }));
+      }
+      const remaining = job.urls.filter((u) => u.state !== "done");
+      for (const entry of remaining) entry.state = "pending";
+      job.failures = job.failures.filter((f) => !remaining.some((u) => u.url === f.url));
+      updateProgress(job);
+      store.save(job);
+
+      await Promise.all(remaining.map((entry) => limit(() => runUrl(job, entry, signal, resume))));
+
+      if (signal.aborted) job.status = "cancelled";
+      else if (job.progress.done === 0 && job.urls.length > 0) job.status = "failed";
+      else job.status = "completed";
+    } catch (err) {
+      job.status = signal.aborted ? "cancelled" : "failed";
+      job.error = err.message;
+    } finally {
+      controllers.delete(job.id);
+      job.finishedAt = new Date().toISOString();
+      updateProgress(job);
+      store.save(job);
+    }
+  }
+
+  return {
+    get: store.get,
+    list: store.list,
+
+    /**
+     * Queue a new search job and start it in the background
+     *
+     * @param {Object} input - Search input
+     * @param {Object} options
+     * @param {string} options.owner - API key ID the job belongs to (default: none)
+     */
+    submit(input, options = {}) {
+      const job = {
+        id: crypto.randomUUID(),
+        status: "queued",
+        owner: options.owner || null,
+        input,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        expanded: [],
+        urls: [],
+        progress: { total: 0, done: 0, failed: 0, listings: 0 },
+        results: [],
+        failures: [],
+      };
+      store.save(job);
+
+      const controller = new AbortController();
+      controllers.set(job.id, controller);
+      run(job, controller.signal);
+
+      return job;
+    },
+
+    /**
+     * Resume a stopped job in the background: the URLs that aren't done
+     * (failed, cancelled, interrupted) run again from their checkpoints
+     *
+     * @returns {Object|null} The job, or null if it's still running or every URL is done
+     */
+    resume(id) {
+      const job = store.get(id);
+      if (!job || controllers.has(id) || ACTIVE_STATES.includes(job.status)) return null;
+      if (job.urls.length > 0 && job.urls.every((u) => u.state === "done")) return null;
+
+      const controller = new AbortController();
+      controllers.set(job.id, controller);
+      run(job, controller.signal, true);
+
+      return job;
+    },
+
+    /**
+     * Cancel a running job. Its browsers are closed by the abort signal.
+     *
+     * @returns {boolean} false if the job was not running
+     */
+    cancel(id) {
+      const controller = controllers.get(id);
+      if (!controller) return false;
+      controller.abort();
+      return true;
+    },
+  };
+}
@@ -0,0 +1,630 @@
+/**
+ * OpenAPI document for the HTTP API
+ *
+ * Served at GET /openapi.json and used by server/validate.mjs to check
+ * requests, so what's documented is what's enforced. Every route in
+ * index.mjs has an entry in ROUTES; its operationId is what the route
+ * passes to validate().
+ *
+ * Request schemas are strict (unknown body fields are rejected, so a typo
+ * like "maxpages" doesn't silently do nothing). Response schemas list the
+ * main fields only and allow more.
+ */
+
+import lib from "../v2/lib.mjs";
+import { ERROR_CODES } from "./errors.mjs";
+
+// Bumped when a route or schema changes in a way clients can see
+const API_VERSION = "1.0.1";
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema) => ({ "application/json": { schema } });
+const list = (name) => ({ type: "array", items: ref(name) });
+const loose = (description, properties = {}) => ({ type: "object", description, properties, additionalProperties: true });
+
+// ============================================================================
+// PARAMETERS
+// ============================================================================
+
+const pathId = (name, description) => ({ name, in: "path", required: true, description, schema: { type: "string", maxLength: 200 } });
+const query = (name, schema, description, required = false) => ({ name, in: "query", required, description, schema });
+
+// Only web pages go to the browser; the adapters check the host and path
+const LISTING_URL = { type: "string", maxLength: 2048, pattern: "^https?://", "x-pattern-message": "must be an http(s) URL" };
+
+const LIMIT = query("limit", { type: "integer", minimum: 1, maximum: 10000 }, "Max results");
+const DEDUPE = query("dedupe", { type: "boolean" }, "false gives listings as scraped, without merging duplicates");
+
+// ============================================================================
+// SCHEMAS
+// ============================================================================
+
+function schemas({ maxPagesLimit }) {
+  const term = {
+    type: "string",
+    minLength: 1,
+    maxLength: 100,
+    pattern: "\\S",
+    "x-pattern-message": "must not be blank",
+    description: "What to search for, e.g. \"maltipoo puppy\"",
+  };
+  const location = {
+    type: "string",
+    maxLength: 100,
+    pattern: "^[\\p{L}\\p{N}][\\p{L}\\p{N} ,.'&()/-]*$",
+    "x-pattern-message": "must be a place name, slug or postcode",
+    description: "Suburb, city, state or postcode, e.g. \"sydney\" or \"Manchester\"",
+  };
+  const maxPages = { type: "integer", minimum: 1, maximum: maxPagesLimit, description: "Result pages to scrape per query" };
+  const site = { type: "string", enum: lib.listSites(), description: "Which Gumtree (default: gumtree-au)" };
+
+  const filters = {
+    category: { type: "string", maxLength: 60, pattern: "^[a-z0-9-]+$", "x-pattern-message": "must be a category slug like dogs-puppies", description: "Category slug" },
+    categoryId: { type: "integer", minimum: 1, description: "Category ID, for AU categories without a known slug" },
+    minPrice: { type: "number", minimum: 0 },
+    maxPrice: { type: "number", minimum: 0 },
+    sort: { type: "string", enum: Object.keys(lib.SORT_ORDERS) },
+    radius: { type: "integer", minimum: 1, maximum: 1000, description: "Search radius in km (miles on gumtree.com); needs a location" },
+    adType: { type: "string", enum: lib.AD_TYPES, description: "gumtree-au only" },
+    condition: { type: "string", enum: lib.CONDITIONS, description: "gumtree-au only" },
+  };
+
+  const savedSearchFields = {
+    name: { type: "string", minLength: 1, maxLength: 100 },
+    term,
+    site,
+    location: { ...location, nullable: true },
+    filters: ref("SearchFilters"),
+    maxPages,
+    scrapeDetails: { type: "boolean" },
+    intervalMinutes: { type: "number", minimum: 1, description: "Minutes between runs (default: 30)" },
+    webhookUrl: {
+      type: "string",
+      maxLength: 2048,
+      pattern: "^https?://",
+      "x-pattern-message": "must be an http(s) URL",
+      nullable: true,
+      description: "Where new listings, price drops and reposts are POSTed. Must be a public host: loopback, private and link-local addresses are refused unless listed in WEBHOOK_ALLOWED_HOSTS",
+    },
+    alertOnFirstRun: { type: "boolean" },
+    enabled: { type: "boolean" },
+  };
+
+  return {
+    Error: {
+      type: "object",
+      required: ["error", "code"],
+      properties: {
+        error: { type: "string", description: "What went wrong, for people" },
+        code: { type: "string", enum: Object.keys(ERROR_CODES), description: "What went wrong, for programs" },
+        details: { type: "object", additionalProperties: true, description: "Code-specific, e.g. `errors` for VALIDATION_ERROR" },
+      },
+    },
+
+    SearchFilters: {
+      type: "object",
+      additionalProperties: false,
+      properties: filters,
+    },
+
+    SearchRequest: {
+      type: "object",
+      required: ["term"],
+      additionalProperties: false,
+      properties: {
+        term,
+        site,
+        location,
+        maxPages,
+        scrapeDetails: { type: "boolean", description: "Also scrape every listing page" },
+        images: { type: "boolean", description: "Download listing images and flag reposts" },
+        ...filters,
+      },
+    },
+
+    Listing: loose("A listing as scraped (detail fields when scraped with scrapeDetails)", {
+      url: { type: "string" },
+      adId: { type: "string" },
+      site: { type: "string" },
+      title: { type: "string" },
+      price: { type: "string" },
+      priceValue: { type: "number", nullable: true },
+      currency: { type: "string" },
+      location: { type: "string" },
+      postedAt: { type: "string", nullable: true },
+      seller: { type: "string" },
+      sellerId: { type: "string" },
+      scrapedAt: { type: "string" },
+    }),
+
+    Failure: {
+      type: "object",
+      properties: {
+        query: { type: "string" },
+        url: { type: "string" },
+        error: { type: "string" },
+        code: { type: "string", enum: ["BLOCKED", "TIMEOUT", "UPSTREAM_CHANGED", "UPSTREAM_ERROR"] },
+      },
+    },
+
+    SearchResponse: {
+      type: "object",
+      properties: {
+        term: { type: "string" },
+        site: { type: "string" },
+        location: { type: "string" },
+        filters: ref("SearchFilters"),
+        expanded: { type: "array", items: { type: "string" }, description: "The term and the queries it was expanded to, each scraped once" },
+        maxPages: { type: "integer", description: "Pages scraped per query at most; lower than asked when the API key's budget is short" },
+        totalFound: { type: "integer" },
+        duplicates: { type: "integer" },
+        results: list("Listing"),
+        clusters: { type: "array", items: loose("Listings that look like the same item") },
+        failures: list("Failure"),
+        selectorWarnings: { type: "array", items: loose("A selector that stopped matching") },
+      },
+    },
+
+    ListingDetailsRequest: {
+      type: "object",
+      required: ["urls"],
+      additionalProperties: false,
+      properties: {
+        urls: { type: "array", minItems: 1, maxItems: 100, items: LISTING_URL },
+        images: { type: "boolean" },
+      },
+    },
+
+    ListingDetailsResponse: {
+      type: "object",
+      properties: {
+        totalFound: { type: "integer" },
+        results: list("Listing"),
+        removed: { type: "array", items: { type: "string" } },
+        failures: { type: "array", items: loose("A listing that couldn't be scraped") },
+        selectorWarnings: { type: "array", items: { type: "string" } },
+      },
+    },
+
+    StoreRecord: loose("A stored listing with when it was first and last seen", {
+      id: { type: "string" },
+      listing: ref("Listing"),
+      firstSeen: { type: "string" },
+      lastSeen: { type: "string" },
+      removedAt: { type: "string", nullable: true },
+      queries: { type: "array", items: { type: "string" } },
+    }),
+
+    SellerSummary: loose("A seller's stored listings summed up", {
+      key: { type: "string" },
+      id: { type: "string", nullable: true },
+      name: { type: "string", nullable: true },
+      listings: { type: "integer" },
+      active: { type: "integer" },
+      removed: { type: "integer" },
+    }),
+
+    Seller: {
+      type: "object",
+      properties: {
+        id: { type: "string", nullable: true },
+        name: { type: "string", nullable: true },
+        profile: loose("Last scraped profile page, or null"),
+        stats: loose("Listing counts, categories and price range"),
+        listings: list("Listing"),
+      },
+    },
+
+    // A job keeps its request with the filters grouped, like a saved search
+    JobInput: loose("The search a job runs", {
+      term,
+      site,
+      location,
+      maxPages,
+      scrapeDetails: { type: "boolean" },
+      images: { type: "boolean" },
+      filters: ref("SearchFilters"),
+    }),
+
+    Job: loose("A background search", {
+      id: { type: "string" },
+      status: {
+        type: "string",
+        enum: ["queued", "running", "completed", "failed", "cancelled", "interrupted"],
+        description: "interrupted: the server stopped while it ran; resume it with POST /jobs/{id}/resume",
+      },
+      input: ref("JobInput"),
+      progress: loose("URLs done, failed and left"),
+      failures: list("Failure"),
+    }),
+
+    JobResults: {
+      type: "object",
+      properties: {
+        id: { type: "string" },
+        status: { type: "string" },
+        partial: { type: "boolean" },
+        totalFound: { type: "integer" },
+        duplicates: { type: "integer" },
+        results: list("Listing"),
+        clusters: { type: "array", items: loose("Listings that look like the same item") },
+        failures: list("Failure"),
+      },
+    },
+
+    SavedSearchInput: {
+      type: "object",
+      required: ["term"],
+      additionalProperties: false,
+      properties: savedSearchFields,
+    },
+
+    SavedSearchPatch: {
+      type: "object",
+      additionalProperties: false,
+      properties: savedSearchFields,
+    },
+
+    SavedSearch: loose("A saved search and its schedule", {
+      id: { type: "string" },
+      ...savedSearchFields,
+      lastRunAt: { type: "string", nullable: true },
+      nextRunAt: { type: "string", nullable: true },
+      lastError: { type: "string", nullable: true },
+      failedRuns: { type: "integer", description: "Failed runs in a row; each doubles the wait before the next run" },
+    }),
+  };
+}
+
+// ============================================================================
+// ROUTES
+// ============================================================================
+
+/**
+ * Every route: method, Express path, operationId, parameters, request body
+ * schema name and success response. `scrape` routes spend the API key's page
+ * or detail budget and count against its concurrency cap, `admin` ones need an
+ * admin key and `public` ones need no key at all.
+ */
+export const ROUTES = [
+  {
+    method: "post", path: "/search", operationId: "search", scrape: true, tag: "Search",
+    summary: "Expand a term, scrape every query and merge the listings",
+    description: "Send `Accept: text/event-stream` to get progress as Server-Sent Events instead. " +
+      "When every query fails, responds with the failures' error code.",
+    body: "SearchRequest",
+    response: { status: 200, schema: ref("SearchResponse") },
+    errors: ["VALIDATION_ERROR", "BLOCKED", "TIMEOUT", "UPSTREAM_CHANGED", "UPSTREAM_ERROR"],
+  },
+  {
+    method: "get", path: "/search/stream", operationId: "searchStream", scrape: true, tag: "Search",
+    summary: "Search, reporting progress as Server-Sent Events",
+    parameters: (s) => Object.entries(s.SearchRequest.properties)
+      .map(([name, schema]) => query(name, schema, schema.description, name === "term")),
+    response: { status: 200, contentType: "text/event-stream", description: "expanded, page, listing, detail, retry, blocked, failure, done and error events" },
+    errors: ["VALIDATION_ERROR"],
+  },
+  {
+    method: "get", path: "/listing", operationId: "getListingDetails", scrape: true, tag: "Listings",
+    summary: "Scrape one listing page",
+    parameters: [
+      query("url", LISTING_URL, "Gumtree listing URL", true),
+      query("images", { type: "boolean" }, "Download the listing's images"),
+    ],
+    response: { status: 200, schema: ref("Listing") },
+    errors: ["VALIDATION_ERROR", "GONE", "BLOCKED", "TIMEOUT", "UPSTREAM_CHANGED", "UPSTREAM_ERROR"],
+  },
+  {
+    method: "post", path: "/listings/details", operationId: "scrapeListingDetails", scrape: true, tag: "Listings",
+    summary: "Scrape several listing pages",
+    body: "ListingDetailsRequest",
+    response: { status: 200, schema: ref("ListingDetailsResponse") },
+    errors: ["VALIDATION_ERROR"],
+  },
+  {
+    method: "get", path: "/listings", operationId: "listStoredListings", tag: "Listings",
+    summary: "Query the listing store",
+    parameters: [
+      query("q", { type: "string", maxLength: 200 }, "Text in the title or description"),
+      query("query", { type: "string", maxLength: 200 }, "Only ads surfaced by this search query"),
+      query("state", { type: "string", maxLength: 50 }, "e.g. NSW"),
+      query("since", { type: "string", maxLength: 40 }, "Only ads seen since this ISO date"),
+      query("minPrice", { type: "number", minimum: 0 }),
+      query("maxPrice", { type: "number", minimum: 0 }),
+      LIMIT,
+    ],
+    response: {
+      status: 200,
+      schema: { type: "object", properties: { total: { type: "integer" }, count: { type: "integer" }, results: list("StoreRecord") } },
+    },
+    errors: ["VALIDATION_ERROR"],
+  },
+  {
+    method: "get", path: "/listings/:id", operationId: "getStoredListing", tag: "Listings",
+    summary: "One stored listing by ad ID",
+    parameters: [pathId("id", "Ad ID")],
+    response: { status: 200, schema: ref("StoreRecord") },
+    errors: ["NOT_FOUND"],
+  },
+  {
+    method: "get", path: "/sellers", operationId: "listSellers", tag: "Sellers",
+    summary: "Every seller in the listing store, most listings first",
+    parameters: [query("minListings", { type: "integer", minimum: 1 }), LIMIT],
+    response: {
+      status: 200,
+      schema: { type: "object", properties: { total: { type: "integer" }, results: list("SellerSummary") } },
+    },
+    errors: ["VALIDATION_ERROR"],
+  },
+  {
+    method: "get", path: "/sellers/:id", operationId: "getSeller", scrape: true, tag: "Sellers",
+    summary: "One seller's stored listings summed up, optionally scraping their profile first",
+    parameters: (s) => [
+      pathId("id", "Seller ID or name"),
+      query("scrape", { type: "boolean" }, "Scrape the seller's profile and listings first"),
+      query("listing", LISTING_URL, "A listing URL to find the seller from"),
+      query("maxPages", s.SearchRequest.properties.maxPages),
+    ],
+    response: { status: 200, schema: ref("Seller") },
+    errors: ["VALIDATION_ERROR", "NOT_FOUND", "GONE", "BLOCKED", "TIMEOUT", "UPSTREAM_CHANGED", "UPSTREAM_ERROR"],
+  },
+  {
+    method: "post", path: "/jobs", operationId: "createJob", scrape: true, tag: "Jobs",
+    summary: "Start a search in the background",
+    body: "SearchRequest",
+    response: { status: 202, schema: ref("Job") },
+    errors: ["VALIDATION_ERROR"],
+  },
+  {
+    method: "get", path: "/jobs", operationId: "listJobs", tag: "Jobs",
+    summary: "Every job",
+    response: { status: 200, schema: list("Job") },
+  },
+  {
+    method: "get", path: "/jobs/:id", operationId: "getJob", tag: "Jobs",
+    summary: "A job's status and progress",
+    parameters: [pathId("id", "Job ID")],
+    response: { status: 200, schema: ref("Job") },
+    errors: ["NOT_FOUND"],
+  },
+  {
+    method: "get", path: "/jobs/:id/results", operationId: "getJobResults", tag: "Jobs",
+    summary: "A job's listings so far",
+    parameters: [pathId("id", "Job ID"), DEDUPE],
+    response: { status: 200, schema: ref("JobResults") },
+    errors: ["VALIDATION_ERROR", "NOT_FOUND"],
+  },
+  {
+    method: "get", path: "/results/:id", operationId: "exportJobResults", tag: "Jobs",
+    summary: "A job's listings as a file",
+    parameters: [
+      pathId("id", "Job ID"),
+      query("format", { type: "string", enum: Object.keys(lib.EXPORT_FORMATS) }, "Default: json"),
+      query("download", { type: "boolean" }, "false to show inline instead of as an attachment"),
+      DEDUPE,
+    ],
+    response: { status: 200, contentType: "application/octet-stream", description: "The listings in the requested format" },
+    errors: ["VALIDATION_ERROR", "NOT_FOUND"],
+  },
+  {
+    method: "post", path: "/jobs/:id/resume", operationId: "resumeJob", scrape: true, tag: "Jobs",
+    summary: "Resume a stopped or failed job",
+    parameters: [pathId("id", "Job ID")],
+    response: { status: 202, schema: ref("Job") },
+    errors: ["NOT_FOUND", "CONFLICT"],
+  },
+  {
+    method: "delete", path: "/jobs/:id", operationId: "cancelJob", tag: "Jobs",
+    summary: "Cancel a running job",
+    parameters: [pathId("id", "Job ID")],
+    response: { status: 202, schema: ref("Job") },
+    errors: ["NOT_FOUND", "CONFLICT"],
+  },
+  {
+    method: "post", path: "/saved-searches", operationId: "createSavedSearch", tag: "Saved searches",
+    summary: "Save a search to re-run on a schedule",
+    body: "SavedSearchInput",
+    response: { status: 201, schema: ref("SavedSearch") },
+    errors: ["VALIDATION_ERROR"],
+  },
+  {
+    method: "get", path: "/saved-searches", operationId: "listSavedSearches", tag: "Saved searches",
+    summary: "Every saved search",
+    response: { status: 200, schema: list("SavedSearch") },
+  },
+  {
+    method: "get", path: "/saved-searches/:id", operationId: "getSavedSearch", tag: "Saved searches",
+    summary: "One saved search",
+    parameters: [pathId("id", "Saved search ID")],
+    response: { status: 200, schema: ref("SavedSearch") },
+    errors: ["NOT_FOUND"],
+  },
+  {
+    method: "patch", path: "/saved-searches/:id", operationId: "updateSavedSearch", tag: "Saved searches",
+    summary: "Change a saved search",
+    parameters: [pathId("id", "Saved search ID")],
+    body: "SavedSearchPatch",
+    response: { status: 200, schema: ref("SavedSearch") },
+    errors: ["VALIDATION_ERROR", "NOT_FOUND"],
+  },
+  {
+    method: "delete", path: "/saved-searches/:id", operationId: "deleteSavedSearch", tag: "Saved searches",
+    summary: "Delete a saved search",
+    parameters: [pathId("id", "Saved search ID")],
+    response: { status: 204 },
+    errors: ["NOT_FOUND"],
+  },
+  {
+    method: "post", path: "/saved-searches/:id/run", operationId: "runSavedSearch", scrape: true, tag: "Saved searches",
+    summary: "Run a saved search now",
+    parameters: [pathId("id", "Saved search ID")],
+    response: { status: 200, schema: loose("The run: its new listings, price drops and reposts, and how many webhook deliveries are still pending") },
+    errors: ["NOT_FOUND", "INTERNAL_ERROR"],
+  },
+  {
+    method: "get", path: "/saved-searches/:id/deliveries", operationId: "listDeliveries", tag: "Saved searches",
+    summary: "A saved search's webhook delivery log, newest first",
+    parameters: [pathId("id", "Saved search ID")],
+    response: { status: 200, schema: { type: "array", items: loose("A webhook delivery") } },
+    errors: ["NOT_FOUND"],
+  },
+  {
+    method: "get", path: "/sites", operationId: "listSites", tag: "Reference",
+    summary: "Supported sites and their profile versions",
+    response: { status: 200, schema: { type: "array", items: loose("A site") } },
+  },
+  {
+    method: "get", path: "/locations", operationId: "searchLocations", tag: "Reference",
+    summary: "Look up Gumtree AU locations",
+    parameters: [query("q", { type: "string", minLength: 1, maxLength: 100 }, "Place name or postcode", true), LIMIT],
+    response: { status: 200, schema: { type: "array", items: loose("A location") } },
+    errors: ["VALIDATION_ERROR"],
+  },
+  {
+    method: "get", path: "/images/:sha256", operationId: "getImage", tag: "Reference",
+    summary: "A downloaded listing image (`storedImages[].sha256` of a listing in one of your jobs)",
+    parameters: [pathId("sha256", "Content hash")],
+    response: { status: 200, contentType: "image/*", description: "The image" },
+    errors: ["NOT_FOUND"],
+  },
+  {
+    method: "get", path: "/checkpoints", operationId: "listCheckpoints", admin: true, tag: "Operations",
+    summary: "Saved progress of unfinished search runs",
+    response: { status: 200, schema: { type: "array", items: loose("A checkpoint") } },
+  },
+  {
+    method: "get", path: "/sessions", operationId: "listSessions", admin: true, tag: "Operations",
+    summary: "Stored browser sessions",
+    response: { status: 200, schema: { type: "array", items: loose("A session profile") } },
+  },
+  {
+    method: "delete", path: "/sessions/:name", operationId: "deleteSession", admin: true, tag: "Operations",
+    summary: "Drop a stored browser session",
+    parameters: [pathId("name", "Session profile name")],
+    response: { status: 204 },
+    errors: ["NOT_FOUND"],
+  },
+  {
+    method: "get", path: "/proxies", operationId: "listProxies", admin: true, tag: "Operations",
+    summary: "Proxy health",
+    response: { status: 200, schema: loose("Proxies with their success rates and cooldowns") },
+  },
+  {
+    method: "get", path: "/health", operationId: "health", public: true, tag: "Operations",
+    summary: "Browser pool, proxies, rate limits, images, query expansion and selector health",
+    response: { status: 200, schema: loose("Health report") },
+  },
+  {
+    method: "get", path: "/openapi.json", operationId: "openapi", tag: "Operations",
+    summary: "This document",
+    response: { status: 200, schema: { type: "object" } },
+  },
+];
+
+// ============================================================================
+// DOCUMENT
+// ============================================================================
+
+const header = (description) => ({ description, schema: { type: "string" } });
+
+// On every response to a request with an API key; "unlimited" when the key has no limit
+const QUOTA_HEADERS = {
+  "X-RateLimit-Limit": header("Requests the key may make per UTC day"),
+  "X-RateLimit-Remaining": header("Requests left today"),
+  "X-RateLimit-Reset": header("When the daily counters start over (Unix seconds)"),
+  "X-Quota-Pages-Remaining": header("Search result and seller pages left today"),
+  "X-Quota-Details-Remaining": header("Listing pages left today"),
+};
+
+function errorResponses(codes) {
+  const byStatus = new Map();
+  for (const code of codes) {
+    const status = String(ERROR_CODES[code]);
+    byStatus.set(status, [...(byStatus.get(status) || []), code]);
+  }
+  return Object.fromEntries(Array.from(byStatus, ([status, names]) => [
+    status,
+    { description: names.join(" or "), content: json(ref("Error")) },
+  ]));
+}
+
+function operation(route, components) {
+  const { response } = route;
+  const parameters = typeof route.parameters === "function" ? route.parameters(components) : route.parameters;
+
+  const op = {
+    operationId: route.operationId,
+    summary: route.summary,
+    tags: [route.tag],
+  };
+  const notes = [
+    route.description,
+    route.admin && "Needs an admin API key.",
+    route.scrape && "Spends the API key's daily page or detail budget; trimmed to fit, or refused when not even one page does.",
+  ].filter(Boolean);
+  if (notes.length > 0) op.description = notes.join(" ");
+  if (route.public) op.security = [];
+  if (parameters?.length) op.parameters = parameters;
+  if (route.body) op.requestBody = { required: true, content: json(ref(route.body)) };
+
+  const success = { description: response.description || "OK" };
+  if (response.schema) success.content = json(response.schema);
+  else if (response.contentType) success.content = { [response.contentType]: {} };
+  if (!route.public) success.headers = QUOTA_HEADERS;
+
+  const errors = [
+    ...(route.errors || []),
+    ...(route.public ? [] : ["UNAUTHORIZED", "FORBIDDEN", "QUOTA_EXCEEDED"]),
+    ...(route.scrape ? ["CONCURRENCY_LIMIT"] : []),
+  ];
+  op.responses = {
+    [String(response.status)]: success,
+    ...errorResponses(errors),
+  };
+  // Any route with a body can get one that isn't valid JSON
+  if (route.body && !op.responses["400"]) Object.assign(op.responses, errorResponses(["VALIDATION_ERROR"]));
+  return op;
+}
+
+/**
+ * Build the OpenAPI 3.0 document
+ *
+ * @param {Object} options
+ * @param {number} options.maxPagesLimit - Largest maxPages a request may ask for (default: 20)
+ * @returns {Object}
+ */
+export function buildOpenApiDocument(options = {}) {
+  const { maxPagesLimit = 20 } = options;
+  const components = schemas({ maxPagesLimit });
+
+  const paths = {};
+  for (const route of ROUTES) {
+    // Express :params -> OpenAPI {params}
+    const key = route.path.replace(/:(\w+)/g, "{$1}");
+    paths[key] = { ...paths[key], [route.method]: operation(route, components) };
+  }
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "Gumtree scraper API",
+      version: API_VERSION,
+      description: "Search Gumtree AU and UK, scrape listings and sellers, run background jobs and saved searches. " +
+        "Every error response is an `Error`; branch on its `code`. " +
+        "Every route but /health needs an API key (`szcraper keys create`). Until one is created, " +
+        "every other request is refused, unless the server runs with ALLOW_ANONYMOUS=true.",
+    },
+    paths,
+    components: {
+      schemas: components,
+      securitySchemes: {
+        bearer: { type: "http", scheme: "bearer", description: "Authorization: Bearer <key>" },
+        apiKeyHeader: { type: "apiKey", in: "header", name: "X-API-Key" },
+        apiKeyQuery: { type: "apiKey", in: "query", name: "apiKey", description: "For EventSource, which can't set headers" },
+      },
+    },
+    // Every route but /health. With no keys yet, requests are refused unless
+    // ALLOW_ANONYMOUS=true, which lets them through without one
+    security: [{ bearer: [] }, { apiKeyHeader: [] }, { apiKeyQuery: [] }],
+  };
+}
@@ -0,0 +1,453 @@
+/**
+ * Saved searches with change alerts
+ *
+ * A saved search is a query, optional filters and an interval. Each run
+ * compares the results with the ads this search has already seen and POSTs
+ * new listings, price drops and reposts to the search's webhook. Failed
+ * deliveries are retried, first straight away and then again on the next
+ * run. Every delivery attempt is appended to a per-search log. A run that
+ * fails is recorded in `lastError`, and the search backs off: each failure
+ * in a row doubles the wait before the next run (up to a day).
+ *
+ * Webhooks can't point at this machine or its network: a host that resolves
+ * to a loopback, private or link-local address is refused when the search is
+ * saved, and again when connecting (the DNS answer may have changed). Hosts
+ * in `allowedWebhookHosts` skip the check, for receivers on the LAN.
+ *
+ * Files (under `dir`):
+ *   searches.json             - saved searches, including what each has seen
+ *   deliveries/<id>.ndjson    - delivery log per search
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import fetch from "node-fetch";
+import lib from "../v2/lib.mjs";
+
+const TICK_MS = 30 * 1000;
+const WEBHOOK_TIMEOUT_MS = 10000;
+// Longest wait between runs of a search that keeps failing
+const MAX_BACKOFF_MS = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// WEBHOOK HOSTS
+// ============================================================================
+
+// Addresses a webhook mustn't reach: this machine, the LAN, cloud metadata
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8],
+  ["169.254.0.0", 16], ["172.16.0.0", 12], ["192.168.0.0", 16], ["224.0.0.0", 3],
+]) BLOCKED_ADDRESSES.addSubnet(prefix, bits, "ipv4");
+for (const [prefix, bits] of [["::", 128], ["::1", 128], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) {
+  BLOCKED_ADDRESSES.addSubnet(prefix, bits, "ipv6");
+}
+
+// BlockList also matches IPv4-mapped IPv6 ("::ffff:127.0.0.1") against the IPv4 ranges
+function isBlockedAddress(address) {
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+}
+
+// URL hostnames keep IPv6 brackets ("[::1]")
+function bareHost(hostname) {
+  return hostname.replace(/^\[|\]$/g, "").toLowerCase();
+}
+
+/**
+ * Check that a webhook URL points at a public host
+ *
+ * @param {string} url
+ * @param {Object} options
+ * @param {string[]} options.allowedHosts - Hostnames that skip the check
+ * @returns {Promise<string|null>} Why it's refused, or null
+ */
+export async function webhookUrlError(url, options = {}) {
+  const { allowedHosts = [] } = options;
+  let host;
+  try {
+    host = bareHost(new URL(url).hostname);
+  } catch {
+    return "webhookUrl is not a valid URL";
+  }
+  if (allowedHosts.includes(host)) return null;
+
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+  } catch (err) {
+    return `webhookUrl host ${host} doesn't resolve (${err.code || err.message})`;
+  }
+  const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+  return blocked ? `webhookUrl host ${host} is a private, loopback or link-local address (${blocked.address})` : null;
+}
+
+// DNS lookup for the webhook agents that refuses blocked addresses, so a
+// host can't pass webhookUrlError() and then resolve somewhere else
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find((a) => isBlockedAddress(a.address));
+    if (blocked) return callback(new Error(`Webhook host ${hostname} resolves to a blocked address (${blocked.address})`));
+    callback(null, address, family);
+  });
+}
+
+const WEBHOOK_AGENTS = {
+  "http:": new http.Agent({ lookup: guardedLookup }),
+  "https:": new https.Agent({ lookup: guardedLookup }),
+};
+
+// ============================================================================
+// CHANGE DETECTION
+// ============================================================================
+
+function titleKey(title) {
+  return (title || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+}
+
+// What a repost shares with the ad it copies: title and price. Without both
+// there's nothing to go on (every "Free to good home" would match), so null.
+function repostKey({ title, priceValue }) {
+  const key = titleKey(title);
+  if (!key || priceValue === null || priceValue === undefined) return null;
+  return `${key}|${priceValue}`;
+}
+
+/**
+ * Check a listing against a saved search's filters
+ */
+export function matchesFilters(listing, filters = {}) {
+  const { minPrice, maxPrice, state, exclude = [] } = filters;
+  const text = `${listing.title || ""} ${listing.description || ""}`.toLowerCase();
+
+  if (minPrice !== undefined && !(listing.priceValue >= minPrice)) return false;
+  if (maxPrice !== undefined && !(listing.priceValue <= maxPrice)) return false;
+  if (state && listing.state && listing.state !== state) return false;
+  if (exclude.some((word) => text.includes(word.toLowerCase()))) return false;
+  return true;
+}
+
+/**
+ * Compare fresh results with what a saved search has seen before
+ *
+ * - "new": an ad ID we have never seen
+ * - "price_drop": a known ad whose price went down
+ * - "repost": a new ad ID with the same title and price as an ad we saw
+ *   earlier (ads without a price or title are never reposts)
+ *
+ * Mutates `seen` to include the fresh results.
+ *
+ * @param {Object[]} listings
+ * @param {Object} seen - adId -> { title, priceValue, firstSeen, lastSeen }
+ * @param {string} at - ISO timestamp of this run
+ * @returns {Object[]} events
+ */
+export function detectChanges(listings, seen, at) {
+  const events = [];
+  const byTitle = new Map();
+  for (const [id, s] of Object.entries(seen)) {
+    const key = repostKey(s);
+    if (key) byTitle.set(key, id);
+  }
+
+  for (const listing of listings) {
+    const id = lib.parseAdId(listing.url);
+    if (!id) continue;
+    const previous = seen[id];
+
+    if (!previous) {
+      const key = repostKey(listing);
+      const repostOf = key ? byTitle.get(key) : undefined;
+      events.push(repostOf
+        ? { type: "repost", adId: id, repostOf, listing }
+        : { type: "new", adId: id, listing });
+      seen[id] = { title: listing.title, priceValue: listing.priceValue, firstSeen: at, lastSeen: at };
+      continue;
+    }
+
+    if (listing.priceValue !== null && listing.priceValue !== undefined
+      && previous.priceValue !== null && previous.priceValue !== undefined
+      && listing.priceValue < previous.priceValue) {
+      events.push({ type: "price_drop", adId: id, previousPrice: previous.priceValue, listing });
+    }
+
+    previous.title = listing.title || previous.title;
+    if (listing.priceValue !== null && listing.priceValue !== undefined) previous.priceValue = listing.priceValue;
+    previous.lastSeen = at;
+  }
+
+  return events;
+}
+
+// ============================================================================
+// MANAGER
+// ============================================================================
+
+/**
+ * Create the saved search manager and its scheduler
+ *
+ * @param {Object} options
+ * @param {string} options.dir - Directory for saved searches and delivery logs
+ * @param {Function} options.runSearch - async (savedSearch, { maxPages, scrapeDetails }) => runOne() result
+ * @param {Function} options.skip - (savedSearch) => why it mustn't run now, or null (default: always runs)
+ * @param {number} options.webhookRetries - Immediate retries per delivery (default: 3)
+ * @param {string[]} options.allowedWebhookHosts - Webhook hosts allowed on private addresses (default: none)
+ * @returns {Object}
+ */
+export function createSavedSearchManager(options) {
+  const { dir, runSearch, skip = () => null, webhookRetries = 3 } = options;
+  const allowedWebhookHosts = (options.allowedWebhookHosts || []).map(bareHost);
+  const file = path.join(dir, "searches.json");
+  const deliveriesDir = path.join(dir, "deliveries");
+  const running = new Set();
+  let timer = null;
+
+  fs.mkdirSync(deliveriesDir, { recursive: true });
+  const searches = new Map(
+    (fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf-8")) : []).map((s) => [s.id, s])
+  );
+
+  function persist() {
+    lib.saveJson(file, Array.from(searches.values()));
+  }
+
+  function logDelivery(search, entry) {
+    fs.appendFileSync(path.join(deliveriesDir, `${search.id}.ndjson`), JSON.stringify(entry) + "\n");
+  }
+
+  async function postWebhook(url, payload) {
+    const problem = await webhookUrlError(url, { allowedHosts: allowedWebhookHosts });
+    if (problem) throw new Error(problem);
+
+    const { protocol, hostname } = new URL(url);
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
+    try {
+      const resp = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "User-Agent": "szcraper-alerts" },
+        body: JSON.stringify(payload),
+        signal: controller.signal,
+        // No redirects: one could lead to a private address
+        redirect: "manual",
+        agent: allowedWebhookHosts.includes(bareHost(hostname)) ? undefined : WEBHOOK_AGENTS[protocol],
+      });
+      if (!resp.ok) throw new Error(`Webhook HTTP ${resp.status}`);
+      return resp.status;
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  // Deliver one payload with immediate retries. Returns true when delivered.
+  async function deliver(search, delivery) {
+    let attempts = 0;
+    try {
+      const status = await lib.withRetry(
+        () => {
+          attempts++;
+          return postWebhook(search.webhookUrl, delivery.payload);
+        },
+        { retries: webhookRetries }
+      );
+      logDelivery(search, { id: delivery.id, at: new Date().toISOString(), ok: true, status, attempts, events: delivery.payload.events.length });
+      return true;
+    } catch (err) {
+      logDelivery(search, { id: delivery.id, at: new Date().toISOString(), ok: false, error: err.message, attempts, events: delivery.payload.events.length });
+      return false;
+    }
+  }
+
+  /**
+   * Run one saved search now
+   *
+   * @returns {Promise<Object>} Run summary
+   */
+  async function run(id) {
+    const search = searches.get(id);
+    if (!search) throw new Error("Saved search not found");
+    if (running.has(id)) return { id, skipped: true, reason: "Already running" };
+    const reason = skip(search);
+    if (reason) return { id, skipped: true, reason };
+
+    running.add(id);
+    const at = new Date().toISOString();
+    let failed = true;
+
+    try {
+      // Deliveries that failed last time go out before anything new
+      const pending = search.pendingDeliveries || [];
+      search.pendingDeliveries = [];
+      for (const delivery of pending) {
+        if (!(await deliver(search, delivery))) search.pendingDeliveries.push(delivery);
+      }
+
+      const result = await runSearch(search, { maxPages: search.maxPages, scrapeDetails: search.scrapeDetails });
+
+      if (!result.ok) {
+        search.lastError = result.error;
+        return { id, ok: false, error: result.error, state: result.state || null };
+      }
+
+      failed = false;
+      search.lastError = null;
+      const listings = result.results.listings.filter((l) => matchesFilters(l, search.filters));
+      const firstRun = Object.keys(search.seen).length === 0;
+      const events = detectChanges(listings, search.seen, at);
+
+      // The first run only records a baseline unless asked otherwise
+      const alerts = firstRun && !search.alertOnFirstRun ? [] : events;
+
+      if (alerts.length > 0 && search.webhookUrl) {
+        const delivery = {
+          id: crypto.randomUUID(),
+          payload: {
+            savedSearch: { id: search.id, name: search.name, term: search.term, site: search.site, location: search.location },
+            runAt: at,
+            events: alerts,
+          },
+        };
+        if (!(await deliver(search, delivery))) search.pendingDeliveries.push(delivery);
+      }
+
+      return {
+        id,
+        ok: true,
+        listings: listings.length,
+        baseline: firstRun && !search.alertOnFirstRun,
+        events: alerts.map(({ type, adId }) => ({ type, adId })),
+        pendingDeliveries: search.pendingDeliveries.length,
+      };
+    } catch (err) {
+      search.lastError = err.message;
+      throw err;
+    } finally {
+      // However the run ended, the next one waits: twice as long after each
+      // failure in a row, so a search that keeps failing doesn't run every tick
+      search.lastRunAt = at;
+      search.failedRuns = failed ? (search.failedRuns || 0) + 1 : 0;
+      const interval = search.intervalMinutes * 60 * 1000;
+      const wait = failed ? Math.min(interval * 2 ** (search.failedRuns - 1), Math.max(interval, MAX_BACKOFF_MS)) : interval;
+      search.nextRunAt = new Date(Date.now() + wait).toISOString();
+      running.delete(id);
+      persist();
+    }
+  }
+
+  function tick() {
+    const now = new Date().toISOString();
+    for (const search of searches.values()) {
+      if (!search.enabled || running.has(search.id)) continue;
+      if (search.nextRunAt && search.nextRunAt > now) continue;
+      run(search.id).catch((err) =>
+        console.warn(`[WARN] saved search ${search.id} failed: ${err.message}`)
+      );
+    }
+  }
+
+  return {
+    run,
+
+    /**
+     * Why a webhook URL can't be used, or null
+     */
+    webhookUrlError: (url) => webhookUrlError(url, { allowedHosts: allowedWebhookHosts }),
+
+    list: () => Array.from(searches.values()),
+    get: (id) => searches.get(id) || null,
+
+    /**
+     * Create a saved search. It first runs on the next scheduler tick.
+     */
+    create(input) {
+      const search = {
+        id: crypto.randomUUID(),
+        name: input.name || input.term,
+        term: input.term,
+        site: input.site || "gumtree-au",
+        location: input.location || null,
+        filters: input.filters || {},
+        maxPages: input.maxPages || 1,
+        scrapeDetails: Boolean(input.scrapeDetails),
+        intervalMinutes: input.intervalMinutes || 30,
+        webhookUrl: input.webhookUrl || null,
+        alertOnFirstRun: Boolean(input.alertOnFirstRun),
+        enabled: input.enabled !== false,
+        // API key ID it was created with; its scrapes count against that key
+        owner: input.owner || null,
+        createdAt: new Date().toISOString(),
+        lastRunAt: null,
+        nextRunAt: null,
+        lastError: null,
+        failedRuns: 0,
+        seen: {},
+        pendingDeliveries: [],
+      };
+      searches.set(search.id, search);
+      persist();
+      return search;
+    },
+
+    /**
+     * Update the editable fields of a saved search
+     */
+    update(id, patch) {
+      const search = searches.get(id);
+      if (!search) return null;
+      const editable = ["name", "term", "site", "location", "filters", "maxPages", "scrapeDetails", "intervalMinutes", "webhookUrl", "alertOnFirstRun", "enabled"];
+      for (const key of editable) {
+        if (key in patch) search[key] = patch[key];
+      }
+      persist();
+      return search;
+    },
+
+    remove(id) {
+      const removed = searches.delete(id);
+      if (removed) persist();
+      return removed;
+    },
+
+    /**
+     * Read a search's delivery log, newest first
+     */
+    deliveries(id, limit = 100) {
+      const logFile = path.join(deliveriesDir, `${id}.ndjson`);
+      if (!fs.existsSync(logFile)) return [];
+      return fs.readFileSync(logFile, "utf-8")
+        .split("\n")
+        .filter(Boolean)
+        .map((line) => JSON.parse(line))
+        .reverse()
+        .slice(0, limit);
+    },
+
+    start() {
+      if (!timer) timer = setInterval(tick, TICK_MS);
+      tick();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+}
+
+/**
+ * Strip the bookkeeping fields (seen ads, queued payloads) for API responses
+ */
+export function savedSearchSummary(search) {
+  const { seen, pendingDeliveries, ...summary } = search;
+  return {
+    ...summary,
+    seenCount: Object.keys(seen).length,
+    pendingDeliveries: pendingDeliveries.length,
+  };
+}
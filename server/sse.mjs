@@ -0,0 +1,66 @@
+/**
+ * Server-Sent Events helpers
+ */
+
+const HEARTBEAT_MS = 15000;
+
+/**
+ * Check whether a request asked for an event stream
+ */
+export function wantsEventStream(req) {
+  return (req.get("accept") || "").includes("text/event-stream");
+}
+
+/**
+ * Switch a response into an event stream
+ *
+ * Sends a comment line every 15s so proxies don't drop an idle connection
+ * while a slow page is loading. `closed` turns true (and `onClose` handlers
+ * run) when the client goes away.
+ *
+ * @param {Response} res
+ * @returns {{ send: Function, end: Function, onClose: Function, closed: boolean }}
+ */
+export function openEventStream(res) {
+  res.status(200).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  const closeHandlers = [];
+  let nextId = 1;
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+
+  const stream = {
+    closed: false,
+
+    send(event, data) {
+      if (stream.closed) return;
+      res.write(`id: ${nextId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+
+    end() {
+      if (stream.closed) return;
+      stream.closed = true;
+      clearInterval(heartbeat);
+      res.end();
+    },
+
+    onClose(fn) {
+      closeHandlers.push(fn);
+    },
+  };
+
+  res.on("close", () => {
+    clearInterval(heartbeat);
+    if (stream.closed) return;
+    stream.closed = true;
+    closeHandlers.forEach((fn) => fn());
+  });
+
+  return stream;
+}
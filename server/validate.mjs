@@ -0,0 +1,198 @@
+/**
+ * Request validation against the OpenAPI document
+ *
+ * The published document (server/openapi.mjs) is what requests are checked
+ * against, so the two can't drift apart. Only the JSON Schema keywords the
+ * document uses are supported: type, enum, minLength/maxLength, pattern,
+ * minimum/maximum, required, properties, additionalProperties, items,
+ * minItems/maxItems and $ref to #/components/schemas.
+ *
+ * Query and path parameters arrive as strings; they are converted to the
+ * schema's type for the check only. Handlers still read req.query as is.
+ */
+
+import { apiError } from "./errors.mjs";
+
+// ============================================================================
+// SCHEMAS
+// ============================================================================
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+  return typeof value;
+}
+
+function matchesType(type, value) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+/**
+ * Check a value against a schema
+ *
+ * @param {Object} schema
+ * @param {*} value
+ * @param {Object} options
+ * @param {string} options.path - Where the value is, for messages (e.g. "body.maxPages")
+ * @param {Object} options.components - `components.schemas` for $refs
+ * @returns {{path: string, message: string}[]} Empty when the value is valid
+ */
+export function validateValue(schema, value, options = {}) {
+  const { path = "value", components = {} } = options;
+  const errors = [];
+  const fail = (message, at = path) => errors.push({ path: at, message });
+
+  if (schema.$ref) {
+    const name = schema.$ref.replace("#/components/schemas/", "");
+    if (!components[name]) throw new Error(`Unknown schema ${schema.$ref}`);
+    return validateValue(components[name], value, options);
+  }
+
+  if (value === null && schema.nullable) return errors;
+  if (schema.type && !matchesType(schema.type, value)) {
+    fail(`must be ${schema.type === "integer" ? "a whole number" : `a${/^[aeiou]/.test(schema.type) ? "n" : ""} ${schema.type}`}`);
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.join(", ")}`);
+    return errors;
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength)
+      fail(schema.minLength === 1 ? "must not be empty" : `must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength)
+      fail(`must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && errors.length === 0 && !new RegExp(schema.pattern, "u").test(value))
+      fail(schema["x-pattern-message"] || `must match ${schema.pattern}`);
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be at most ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems)
+      fail(`must have at least ${schema.minItems} item${schema.minItems === 1 ? "" : "s"}`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems)
+      fail(`must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateValue(schema.items, item, { ...options, path: `${path}[${i}]` })));
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) fail("is required", `${path}.${key}`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const at = `${path}.${key}`;
+      if (properties[key]) {
+        if (item !== undefined) errors.push(...validateValue(properties[key], item, { ...options, path: at }));
+      } else if (schema.additionalProperties === false) {
+        fail("is not a known field", at);
+      } else if (typeof schema.additionalProperties === "object") {
+        errors.push(...validateValue(schema.additionalProperties, item, { ...options, path: at }));
+      }
+    }
+  }
+
+  return errors;
+}
+
+// ============================================================================
+// PARAMETERS
+// ============================================================================
+
+/**
+ * A query or path string as the schema's type, or the string itself when
+ * it isn't one (so the type check reports it)
+ */
+function coerceParameter(schema, value) {
+  if (Array.isArray(value)) return value;
+  switch (schema.type) {
+    case "integer":
+    case "number":
+      return value.trim() !== "" && Number.isFinite(Number(value)) ? Number(value) : value;
+    case "boolean":
+      return value === "true" ? true : value === "false" ? false : value;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Check a request's path, query and body against one operation
+ *
+ * Empty query parameters (`?maxPages=`) count as not given, as the
+ * handlers treat them.
+ *
+ * @param {Object} operation - An operation object from the document
+ * @param {Request} req
+ * @param {Object} components - `components.schemas`
+ * @returns {{path: string, message: string}[]}
+ */
+export function validateRequest(operation, req, components) {
+  const errors = [];
+
+  for (const parameter of operation.parameters || []) {
+    const source = parameter.in === "path" ? req.params : req.query;
+    const raw = source?.[parameter.name];
+    const path = `${parameter.in}.${parameter.name}`;
+    if (raw === undefined || raw === "") {
+      if (parameter.required) errors.push({ path, message: "is required" });
+      continue;
+    }
+    const value = coerceParameter(parameter.schema, raw);
+    errors.push(...validateValue(parameter.schema, value, { path, components }));
+  }
+
+  const schema = operation.requestBody?.content?.["application/json"]?.schema;
+  if (schema) {
+    // express.json() leaves other content types as an empty object
+    if (!req.is("application/json")) {
+      if (operation.requestBody.required) errors.push({ path: "body", message: "must be JSON (Content-Type: application/json)" });
+    } else {
+      errors.push(...validateValue(schema, req.body, { path: "body", components }));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validation middleware factory for an OpenAPI document
+ *
+ *   const validate = createValidator(document);
+ *   app.post("/search", validate("search"), handler);
+ *
+ * A request that fails goes to the error handler as a VALIDATION_ERROR;
+ * `details.errors` lists every problem, the message names the first.
+ *
+ * @param {Object} document - From buildOpenApiDocument()
+ * @returns {(operationId: string) => Function}
+ * @throws When an operationId isn't in the document (at startup, not per request)
+ */
+export function createValidator(document) {
+  const operations = new Map();
+  for (const item of Object.values(document.paths)) {
+    for (const operation of Object.values(item)) operations.set(operation.operationId, operation);
+  }
+  const components = document.components?.schemas || {};
+
+  return (operationId) => {
+    const operation = operations.get(operationId);
+    if (!operation) throw new Error(`No operation ${operationId} in the OpenAPI document`);
+
+    return (req, res, next) => {
+      const errors = validateRequest(operation, req, components);
+      if (errors.length === 0) return next();
+      const [first] = errors;
+      next(apiError("VALIDATION_ERROR", `${first.path} ${first.message}`, { errors }));
+    };
+  };
+}
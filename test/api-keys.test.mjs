@@ -0,0 +1,48 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { openApiKeyStore, createApiKeyAuth } from "../server/api-keys.mjs";
+
+const openStore = () => openApiKeyStore(fs.mkdtempSync(path.join(os.tmpdir(), "szcraper-test-")));
+
+// Run a request through the middleware: "next", or the status it was refused with
+function authenticate(auth, { path: reqPath = "/search", headers = {} } = {}) {
+  const req = { path: reqPath, query: {}, get: (name) => headers[name.toLowerCase()] };
+  let outcome = null;
+  const res = {
+    headersSent: false,
+    set: () => res,
+    status: (code) => {
+      outcome = code;
+      return res;
+    },
+    json: () => res,
+  };
+  auth.authenticate(req, res, () => {
+    outcome = "next";
+  });
+  return { outcome, req };
+}
+
+test("with no keys, every request but /health is refused", () => {
+  const auth = createApiKeyAuth({ keys: openStore() });
+
+  assert.equal(authenticate(auth).outcome, 401);
+  assert.equal(authenticate(auth, { path: "/proxies" }).outcome, 401);
+  assert.equal(authenticate(auth, { path: "/health" }).outcome, "next");
+});
+
+test("allowAnonymous lets requests through until the first key exists", () => {
+  const keys = openStore();
+  const auth = createApiKeyAuth({ keys, allowAnonymous: true });
+
+  const anonymous = authenticate(auth);
+  assert.equal(anonymous.outcome, "next");
+  assert.equal(anonymous.req.apiKey, undefined);
+
+  const { key } = keys.create({ name: "first" });
+  assert.equal(authenticate(auth).outcome, 401);
+  assert.equal(authenticate(auth, { headers: { "x-api-key": key } }).outcome, "next");
+});
@@ -0,0 +1,85 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import pLimit from "p-limit";
+import { openApiKeyStore } from "../server/api-keys.mjs";
+import { createScrapeBudget } from "../server/budget.mjs";
+import { createJobManager } from "../server/jobs.mjs";
+
+const tmpDir = () => fs.mkdtempSync(path.join(os.tmpdir(), "szcraper-test-"));
+
+// A job over three queries whose scrapes load every page they're allowed
+function setup(limits) {
+  const dir = tmpDir();
+  const keys = openApiKeyStore(path.join(dir, "keys"));
+  const { record } = keys.create({ name: "test", ...limits });
+  const budget = createScrapeBudget({ keys, maxPages: 3 });
+  const runs = [];
+
+  const run = async (search, options) => {
+    const entry = { query: search.query, maxPages: options.maxPages, aborted: false };
+    runs.push(entry);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    entry.aborted = options.signal.aborted;
+    return { ok: true, usage: { pages: options.maxPages, details: 0 }, results: { listings: [] } };
+  };
+
+  const jobs = createJobManager({
+    dir: path.join(dir, "jobs"),
+    expand: async () => ["a", "b", "c"],
+    buildSearches: (expanded) => expanded.map((query) => ({ query, search: { query }, url: `https://example.test/${query}` })),
+    runQuery: budget.jobQuery(run, { cancel: (id) => jobs.cancel(id) }),
+    limit: pLimit(2),
+  });
+
+  return { keys, owner: record.id, jobs, runs };
+}
+
+async function finished(jobs, id) {
+  while (["queued", "running"].includes(jobs.get(id).status)) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+  return jobs.get(id);
+}
+
+test("a job's URLs share the budget instead of the first one taking it all", async () => {
+  const { keys, owner, jobs, runs } = setup({ pagesPerDay: 9 });
+  const job = await finished(jobs, jobs.submit({ term: "a", maxPages: 5 }, { owner }).id);
+
+  assert.equal(job.status, "completed");
+  assert.deepEqual(runs.map((r) => r.maxPages), [3, 3, 3]);
+  assert.equal(keys.usage(owner).pages, 9);
+});
+
+test("a job doesn't cancel itself while its own URLs hold the budget", async () => {
+  const { keys, owner, jobs, runs } = setup({ pagesPerDay: 2 });
+  const job = await finished(jobs, jobs.submit({ term: "a", maxPages: 5 }, { owner }).id);
+
+  // The third URL waits for the first two, then finds the day used up
+  assert.equal(job.status, "cancelled");
+  assert.deepEqual(job.urls.map((u) => u.state), ["done", "done", "cancelled"]);
+  assert.ok(runs.every((r) => !r.aborted), "no running URL was aborted");
+  assert.equal(keys.usage(owner).pages, 2);
+});
+
+test("a URL waits for a running one to give back what it didn't use", async () => {
+  const dir = tmpDir();
+  const keys = openApiKeyStore(dir);
+  const { record } = keys.create({ name: "test", pagesPerDay: 4 });
+  const budget = createScrapeBudget({ keys, maxPages: 4 });
+  const runQuery = budget.jobQuery(
+    async () => {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      return { ok: true, usage: { pages: 1, details: 0 } };
+    },
+    { cancel: () => assert.fail("cancelled") }
+  );
+  const signal = new AbortController().signal;
+  const options = { owner: record.id, maxPages: 4, urlsLeft: 1, signal };
+
+  const results = await Promise.all([runQuery({}, options), runQuery({}, options)]);
+  assert.ok(results.every((r) => r.ok));
+  assert.equal(keys.usage(record.id).pages, 2);
+});
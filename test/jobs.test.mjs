@@ -0,0 +1,45 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createJobStore } from "../server/jobs.mjs";
+
+test("a job's listings are appended to its results log, not rewritten with the job", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "szcraper-test-"));
+  const store = createJobStore(dir);
+  const job = store.save({ id: "job-1", status: "running", results: [] });
+
+  store.addResults(job, [{ url: "https://example.test/1" }]);
+  store.addResults(job, [{ url: "https://example.test/2" }]);
+  store.save(job);
+
+  assert.equal(JSON.parse(fs.readFileSync(path.join(dir, "job-1.json"), "utf-8")).results, undefined);
+  assert.equal(fs.readFileSync(path.join(dir, "job-1.results.ndjson"), "utf-8").trim().split("\n").length, 2);
+  assert.deepEqual(createJobStore(dir).get("job-1").results.map((l) => l.url), ["https://example.test/1", "https://example.test/2"]);
+});
+
+test("progress saves are batched, and a status save writes straight away", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "szcraper-test-"));
+  const store = createJobStore(dir);
+  const job = store.save({ id: "job-1", status: "running", progress: { done: 0 }, results: [] });
+  const read = () => JSON.parse(fs.readFileSync(path.join(dir, "job-1.json"), "utf-8"));
+
+  job.progress = { done: 1 };
+  store.saveSoon(job);
+  assert.equal(read().progress.done, 0);
+
+  job.status = "completed";
+  store.save(job);
+  assert.deepEqual([read().status, read().progress.done], ["completed", 1]);
+});
+
+test("jobs saved with their listings inline still load them", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "szcraper-test-"));
+  fs.writeFileSync(path.join(dir, "old.json"), JSON.stringify({ id: "old", status: "completed", results: [{ url: "u" }] }));
+
+  const store = createJobStore(dir);
+  assert.equal(store.get("old").results.length, 1);
+  store.save(store.get("old"));
+  assert.equal(createJobStore(dir).get("old").results.length, 1);
+});
@@ -0,0 +1,42 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import lib from "../v2/lib.mjs";
+import { buildOpenApiDocument } from "../server/openapi.mjs";
+import { validateRequest } from "../server/validate.mjs";
+
+const NOT_WEB_PAGES = [
+  "javascript://www.gumtree.com.au/s-ad/%0aalert(1)",
+  "file://www.gumtree.com.au/s-ad/sydney/dogs/x/1234567890",
+  "ftp://www.gumtree.com.au/s-ad/sydney/dogs/x/1234567890",
+  "javascript://www.gumtree.com/p/%0aalert(1)",
+  "file://www.gumtree.com/p/dogs/x/1234567890",
+];
+
+test("listing URLs must be http(s) pages on a supported site", () => {
+  assert.ok(lib.isGumtreeListingUrl("https://www.gumtree.com.au/s-ad/sydney/dogs/x/1234567890"));
+  assert.ok(lib.isGumtreeListingUrl("http://www.gumtree.com/p/dogs/x/1234567890"));
+  for (const url of NOT_WEB_PAGES) {
+    assert.equal(lib.isGumtreeListingUrl(url), false, url);
+    assert.equal(lib.adapterForUrl(url), null, url);
+  }
+});
+
+test("the API rejects listing URLs that aren't http(s) before scraping", () => {
+  const document = buildOpenApiDocument({ maxPagesLimit: 20 });
+  const operation = (id) => Object.values(document.paths).flatMap(Object.values).find((o) => o.operationId === id);
+  const components = document.components.schemas;
+  const url = NOT_WEB_PAGES[0];
+
+  const listing = validateRequest(operation("getListingDetails"), { query: { url } }, components);
+  assert.equal(listing[0]?.path, "query.url");
+
+  const details = validateRequest(
+    operation("scrapeListingDetails"),
+    { body: { urls: [url] }, is: () => true },
+    components
+  );
+  assert.equal(details[0]?.path, "body.urls[0]");
+
+  const seller = validateRequest(operation("getSeller"), { params: { id: "123" }, query: { listing: url } }, components);
+  assert.equal(seller[0]?.path, "query.listing");
+});
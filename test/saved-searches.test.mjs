@@ -0,0 +1,22 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { detectChanges } from "../server/saved-searches.mjs";
+
+const AT = "2026-10-19T00:00:00.000Z";
+const ad = (id, title, priceValue) => ({ url: `https://www.gumtree.com.au/s-ad/sydney/pets/x/${id}`, title, priceValue });
+
+test("a new ad with the title and price of one seen before is a repost", () => {
+  const seen = {};
+  detectChanges([ad("1000000001", "Cavoodle puppy", 2500)], seen, AT);
+
+  const events = detectChanges([ad("1000000002", "Cavoodle  Puppy!", 2500)], seen, AT);
+  assert.deepEqual(events.map((e) => [e.type, e.repostOf]), [["repost", "1000000001"]]);
+});
+
+test("ads without a price are never reposts of each other", () => {
+  const seen = {};
+  detectChanges([ad("1000000001", "Free to good home", null), ad("1000000002", "Kitten", undefined)], seen, AT);
+
+  const events = detectChanges([ad("1000000003", "Free to good home", null), ad("1000000004", "Kitten", undefined)], seen, AT);
+  assert.deepEqual(events.map((e) => e.type), ["new", "new"]);
+});
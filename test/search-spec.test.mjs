@@ -0,0 +1,34 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildSearchUrl, parseSearchUrl } from "../v2/search-spec.mjs";
+
+const roundTrip = (spec, options) => parseSearchUrl(buildSearchUrl(spec, options));
+
+test("search specs survive a build/parse round trip", () => {
+  const specs = [
+    { keywords: "iphone 15" },
+    { keywords: "maltipoo", location: "sydney", locationId: 3003435 },
+    { keywords: "couch", category: "furniture", categoryId: 20045, location: "melbourne", locationId: 3001317, radius: 20 },
+    { category: "dogs-puppies", categoryId: 18434 },
+    { keywords: "ps5", minPrice: 100, maxPrice: 500, sort: "price_asc", adType: "offering", condition: "used" },
+  ];
+  for (const spec of specs) {
+    assert.deepEqual(roundTrip(spec), { spec, page: 1 });
+  }
+});
+
+test("a categoryId without a slug leaves the location segment alone", () => {
+  const spec = { keywords: "iphone 15", location: "sydney", locationId: 3003435, categoryId: 18553 };
+  const url = buildSearchUrl(spec, { page: 2 });
+
+  assert.equal(new URL(url).pathname, "/s-sydney/iphone+15/page-2/k0c18553l3003435");
+  assert.deepEqual(parseSearchUrl(url), { spec, page: 2 });
+});
+
+test("a known category slug is read as the category when it's the only segment", () => {
+  assert.deepEqual(roundTrip({ keywords: "cavoodle", category: "dogs-puppies" }).spec, {
+    keywords: "cavoodle",
+    category: "dogs-puppies",
+    categoryId: 18434,
+  });
+});
@@ -0,0 +1,476 @@
+/**
+ * Shared extraction for marketplace adapters
+ *
+ * Sites differ in URLs and markup, not in how a page is read: structured
+ * data first, then the site profile's selectors for whatever is missing.
+ * These functions do that for any adapter; the adapter supplies its
+ * profile, listing URL shape and normalization.
+ */
+
+import { getSiteProfile } from "../profiles.mjs";
+import {
+  readStructuredData,
+  listingFromStructuredData,
+  listingsFromStructuredData,
+  mergeListings,
+} from "../structured.mjs";
+import { parseSellerId, normalizeSellerProfile } from "../sellers.mjs";
+
+// ============================================================================
+// SEARCH PAGES
+// ============================================================================
+
+/**
+ * Extract listing cards from a search results page
+ *
+ * @param {Page} page
+ * @param {Object} adapter
+ * @param {Object} options
+ * @param {Object} options.profile - Site profile (default: the adapter's active profile)
+ * @returns {Promise<Object[]>} Normalized listings with `site` and `sources`
+ */
+export async function extractListings(page, adapter, options = {}) {
+  const { profile = getSiteProfile(adapter.site) } = options;
+  const scrapedAt = new Date().toISOString();
+  const structured = await readStructuredData(page)
+    .then((data) => listingsFromStructuredData(data, adapter))
+    .catch(() => []);
+
+  const scraped = await page.evaluate((rules) => {
+    const read = (el, attribute = "text") => {
+      if (!el) return "";
+      if (attribute === "text") return el.innerText?.trim() || "";
+      return (el[attribute] || el.getAttribute(attribute) || "").trim();
+    };
+    const readField = (card, rule) => {
+      for (const selector of rule.selectors) {
+        const value = read(card.querySelector(selector), rule.attribute);
+        if (value) return value;
+      }
+      return "";
+    };
+
+    const listings = [];
+
+    document.querySelectorAll(rules.card).forEach(card => {
+      const listing = {};
+      for (const [field, rule] of Object.entries(rules.fields)) {
+        listing[field] = readField(card, rule);
+      }
+      if (listing.url) listings.push(listing);
+    });
+
+    // Fallback: any listing links if no cards found
+    if (listings.length === 0 && rules.fallbackLink) {
+      document.querySelectorAll(rules.fallbackLink).forEach(a => {
+        const listing = {};
+        for (const field of Object.keys(rules.fields)) listing[field] = "";
+        listings.push({ ...listing, url: a.href, title: a.innerText?.trim() || "" });
+      });
+    }
+
+    return listings;
+  }, profile.search);
+
+  for (const listing of scraped) {
+    listing.sources = {};
+    for (const field of Object.keys(profile.search.fields)) {
+      if (listing[field]) listing.sources[field] = "selector";
+    }
+  }
+
+  return mergeListings(structured, scraped)
+    .map((listing) => adapter.normalize({ ...listing, site: adapter.site, scrapedAt }));
+}
+
+/**
+ * Read pagination from a search results page
+ *
+ * @param {Page} page
+ * @param {Object} profile - Site profile
+ * @returns {Promise<{currentPage: number, totalPages: number, hasNext: boolean, nextUrl?: string}>}
+ */
+export async function readPagination(page, profile) {
+  return page.evaluate((rules) => {
+    const pager = document.querySelector(rules.container);
+    if (!pager) return { currentPage: 1, totalPages: 1, hasNext: false };
+
+    const current = pager.querySelector(rules.current);
+    const next = pager.querySelector(rules.next);
+    const pages = Array.from(pager.querySelectorAll(rules.pageLinks)).map(el => parseInt(el.innerText)).filter(n => !isNaN(n));
+
+    return {
+      currentPage: current ? parseInt(current.innerText) || 1 : 1,
+      totalPages: pages.length > 0 ? Math.max(...pages) : 1,
+      hasNext: !!next,
+      nextUrl: next?.href || null,
+    };
+  }, profile.pagination);
+}
+
+// ============================================================================
+// LISTING PAGES
+// ============================================================================
+
+/**
+ * Extract full details from a listing page
+ *
+ * Structured data first, profile selectors for the fields it doesn't
+ * provide. `data.sources` records where each field came from.
+ *
+ * @param {Page} page
+ * @param {Object} adapter
+ * @param {Object} options
+ * @param {Object} options.profile - Site profile (default: the adapter's active profile)
+ * @returns {Promise<Object>} Normalized listing with `site` and `sources`
+ */
+export async function extractListingDetails(page, adapter, options = {}) {
+  const { profile = getSiteProfile(adapter.site) } = options;
+  const { fields, attributes, images } = profile.detail;
+
+  const structured = await readStructuredData(page)
+    .then(listingFromStructuredData)
+    .catch(() => ({}));
+
+  const data = {
+    title: "",
+    price: "",
+    location: "",
+    description: "",
+    seller: "",
+    postedDate: "",
+    attributes: {},
+    images: [],
+    url: page.url(),
+    site: adapter.site,
+    scrapedAt: new Date().toISOString(),
+    sources: {},
+  };
+
+  const missing = {};
+  for (const [field, rule] of Object.entries(fields)) {
+    if (structured[field]) {
+      data[field] = structured[field].value;
+      data.sources[field] = structured[field].source;
+    } else {
+      missing[field] = rule;
+    }
+  }
+
+  // Selector fallback for everything structured data didn't cover, in one round trip
+  try {
+    const found = await page.evaluate((rules) => {
+      const values = {};
+      for (const [field, rule] of Object.entries(rules)) {
+        values[field] = "";
+        for (const selector of rule.selectors) {
+          const el = document.querySelector(selector);
+          if (!el) continue;
+          const attribute = rule.attribute || "text";
+          const value = attribute === "text"
+            ? el.innerText?.trim()
+            : el.getAttribute(attribute)?.trim();
+          if (value) {
+            values[field] = value;
+            break;
+          }
+        }
+      }
+      return values;
+    }, missing);
+
+    for (const [field, value] of Object.entries(found)) {
+      data[field] = value;
+      if (value) data.sources[field] = "selector";
+    }
+  } catch (e) {}
+
+  // The seller link is usually relative; the ID ties the ad to the seller's other ads
+  if (data.sellerUrl) {
+    try {
+      data.sellerUrl = new URL(data.sellerUrl, data.url).href;
+    } catch (e) {}
+    data.sellerId = parseSellerId(data.sellerUrl);
+  }
+
+  // Extract attributes/specs
+  if (attributes) {
+    try {
+      data.attributes = await page.evaluate((rules) => {
+        const attrs = {};
+        document.querySelectorAll(rules.row).forEach(row => {
+          const label = row.querySelector(rules.label)?.innerText?.trim();
+          const value = row.querySelector(rules.value)?.innerText?.trim();
+          if (label && value) attrs[label] = value;
+        });
+        return attrs;
+      }, attributes);
+    } catch (e) {}
+  }
+
+  if (Object.keys(data.attributes).length > 0) data.sources.attributes = "selector";
+
+  // Extract images
+  if (structured.images) {
+    data.images = structured.images.value;
+    data.sources.images = structured.images.source;
+  } else if (images) {
+    try {
+      data.images = await page.evaluate((rules) => {
+        return Array.from(document.querySelectorAll(rules.selector))
+          .map(img => rules.attributes.map(attr => img[attr] || img.getAttribute(attr)).find(Boolean))
+          .filter(Boolean);
+      }, images);
+      if (data.images.length > 0) data.sources.images = "selector";
+    } catch (e) {}
+  }
+
+  return adapter.normalize(data);
+}
+
+// ============================================================================
+// SELLER PAGES
+// ============================================================================
+
+/**
+ * Extract a seller's profile from their profile page
+ *
+ * Reads the site profile's `seller` section; the seller's listings on the
+ * same page are search cards (see extractListings).
+ *
+ * @param {Page} page
+ * @param {Object} adapter
+ * @param {Object} options
+ * @param {Object} options.profile - Site profile (default: the adapter's active profile)
+ * @returns {Promise<Object>} Normalized seller: `id`, `url`, `site`, the profile's
+ *   fields as raw strings, `badges` and `sources`
+ * @throws If the profile has no `seller` section
+ */
+export async function extractSellerProfile(page, adapter, options = {}) {
+  const { profile = getSiteProfile(adapter.site) } = options;
+  if (!profile.seller?.fields) throw new Error(`Site profile ${profile.name} has no seller section`);
+
+  const found = await page.evaluate((rules) => {
+    const values = {};
+    for (const [field, rule] of Object.entries(rules.fields)) {
+      values[field] = "";
+      for (const selector of rule.selectors) {
+        const el = document.querySelector(selector);
+        const value = el && (rule.attribute ? el.getAttribute(rule.attribute) : el.innerText)?.trim();
+        if (value) {
+          values[field] = value;
+          break;
+        }
+      }
+    }
+    const badges = rules.badges
+      ? Array.from(document.querySelectorAll(rules.badges)).map((el) => el.innerText?.trim()).filter(Boolean)
+      : [];
+    return { values, badges };
+  }, profile.seller);
+
+  const url = page.url();
+  const seller = {
+    id: parseSellerId(url),
+    url,
+    site: adapter.site,
+    ...found.values,
+    badges: Array.from(new Set(found.badges)),
+    scrapedAt: new Date().toISOString(),
+    sources: {},
+  };
+  for (const [field, value] of Object.entries(found.values)) {
+    if (value) seller.sources[field] = "selector";
+  }
+  return normalizeSellerProfile(seller);
+}
+
+// ============================================================================
+// PAGE STATE
+// ============================================================================
+
+/**
+ * What a loaded page turned out to be
+ */
+export const PAGE_STATES = {
+  OK: "ok",                         // Results or a listing, as expected
+  NO_RESULTS: "no-results",         // Search ran fine and found nothing
+  CHALLENGE: "challenge",           // Bot-check interstitial or 403
+  RATE_LIMITED: "rate-limited",     // 429, or a "too many requests" page
+  REMOVED: "removed",               // Listing expired, deleted or 404/410
+  LOGIN_WALL: "login-wall",         // Site wants a signed-in user
+  UNEXPECTED: "unexpected-layout",  // None of the above - selectors probably out of date
+};
+
+// Real blocks: the IP/session is the problem, so a different proxy may help
+const BLOCKING_STATES = [PAGE_STATES.CHALLENGE, PAGE_STATES.RATE_LIMITED];
+
+/**
+ * Whether a page state means the proxy/session was blocked
+ */
+export function isBlockingState(type) {
+  return BLOCKING_STATES.includes(type);
+}
+
+// Interstitials the bot-check vendors serve. Matched on markup and the page
+// title only - listing text that mentions "cloudflare" is not a challenge.
+const CHALLENGE_MARKERS = {
+  selectors: [
+    "#challenge-form",
+    "#challenge-running",
+    "#challenge-stage",
+    "#cf-challenge-running",
+    "iframe[src*=\"challenges.cloudflare.com\"]",
+    "script[src*=\"/cdn-cgi/challenge-platform/\"]",
+    "#px-captcha",
+    "iframe[src*=\"captcha-delivery.com\"]",
+  ],
+  titles: ["just a moment", "attention required", "access denied", "checking your browser", "pardon our interruption"],
+};
+
+const RATE_LIMIT_MARKERS = {
+  titles: ["too many requests", "rate limit"],
+};
+
+/**
+ * Classify a loaded page
+ *
+ * Status codes decide first (403 challenge, 429 rate-limited, 404/410
+ * removed listing or seller); otherwise one round trip reads the page for
+ * challenge markup, the profile's `states` markers (matched against
+ * headings and alerts, not listing text) and whether the expected cards,
+ * listing title or seller name are there.
+ *
+ * @param {Page} page
+ * @param {Object|null} adapter - Supplies the profile; null checks challenges only
+ * @param {Object} options
+ * @param {string} options.kind - "search" (results page), "listing" or "seller" (default: "search")
+ * @param {number} options.status - HTTP status of the navigation
+ * @param {Object} options.profile - Site profile (default: the adapter's active profile)
+ * @returns {Promise<{type: string, blocked: boolean, evidence: string[], status: number|null}>}
+ */
+export async function classifyPage(page, adapter, options = {}) {
+  const { kind = "search", status = null } = options;
+  const profile = options.profile || (adapter ? getSiteProfile(adapter.site) : null);
+  const result = (type, evidence) => ({ type, blocked: isBlockingState(type), evidence, status });
+
+  if (status === 429) return result(PAGE_STATES.RATE_LIMITED, ["HTTP 429"]);
+  if (kind !== "search" && (status === 404 || status === 410)) return result(PAGE_STATES.REMOVED, [`HTTP ${status}`]);
+
+  let seen;
+  try {
+    seen = await page.evaluate((args) => {
+      const { challenge, rateLimit, states, card, heading } = args;
+      const title = (document.title || "").toLowerCase();
+      // Headings, alerts and banners - where sites say "no results" or "ad expired"
+      const notices = Array.from(document.querySelectorAll("h1, h2, h3, [role=\"alert\"], [role=\"status\"], .alert, .notice"))
+        .map((el) => el.innerText?.trim().toLowerCase() || "")
+        .filter(Boolean)
+        .slice(0, 50);
+
+      const found = (selectors = []) => selectors.filter((s) => {
+        try {
+          return document.querySelector(s) !== null;
+        } catch (e) {
+          return false;
+        }
+      });
+      // Whole words only, so "0 results" doesn't match "10 results"
+      const phrases = (list = [], texts) => list.filter((p) => {
+        const escaped = p.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        const pattern = new RegExp(`(^|[^a-z0-9])${escaped}($|[^a-z0-9])`);
+        return texts.some((t) => pattern.test(t));
+      });
+      const marker = (rule = {}) => [
+        ...found(rule.selectors).map((s) => `element ${s}`),
+        ...phrases(rule.text, notices).map((p) => `text "${p}"`),
+      ];
+
+      return {
+        challenge: [
+          ...found(challenge.selectors).map((s) => `element ${s}`),
+          ...phrases(challenge.titles, [title]).map((p) => `title "${p}"`),
+        ],
+        rateLimited: [
+          ...phrases(rateLimit.titles, [title, ...notices.slice(0, 3)]).map((p) => `text "${p}"`),
+        ],
+        loginWall: marker(states.loginWall),
+        noResults: marker(states.noResults),
+        removed: marker(states.removed),
+        cards: card ? document.querySelectorAll(card).length : 0,
+        hasTitle: heading.some((s) => {
+          try {
+            return Boolean(document.querySelector(s)?.innerText?.trim());
+          } catch (e) {
+            return false;
+          }
+        }),
+      };
+    }, {
+      challenge: CHALLENGE_MARKERS,
+      rateLimit: RATE_LIMIT_MARKERS,
+      states: profile?.states || {},
+      card: profile?.search?.card || null,
+      heading: (kind === "seller" ? profile?.seller?.fields?.name : profile?.detail?.fields?.title)?.selectors || [],
+    });
+  } catch (e) {
+    return result(PAGE_STATES.UNEXPECTED, [`page not readable: ${e.message}`]);
+  }
+
+  if (seen.challenge.length > 0) return result(PAGE_STATES.CHALLENGE, seen.challenge);
+  if (status === 403) return result(PAGE_STATES.CHALLENGE, ["HTTP 403"]);
+  if (seen.rateLimited.length > 0) return result(PAGE_STATES.RATE_LIMITED, seen.rateLimited);
+  if (status === 503) return result(PAGE_STATES.RATE_LIMITED, ["HTTP 503"]);
+  if (seen.loginWall.length > 0) return result(PAGE_STATES.LOGIN_WALL, seen.loginWall);
+
+  if (!profile) return result(PAGE_STATES.OK, []);
+
+  if (kind === "listing") {
+    if (seen.removed.length > 0) return result(PAGE_STATES.REMOVED, seen.removed);
+    if (seen.hasTitle) return result(PAGE_STATES.OK, ["listing title"]);
+    return result(PAGE_STATES.UNEXPECTED, ["no listing title", ...(status ? [`HTTP ${status}`] : [])]);
+  }
+
+  if (kind === "seller") {
+    if (seen.removed.length > 0) return result(PAGE_STATES.REMOVED, seen.removed);
+    if (seen.hasTitle) return result(PAGE_STATES.OK, ["seller name"]);
+    if (seen.cards > 0) return result(PAGE_STATES.OK, [`${seen.cards} cards`]);
+    return result(PAGE_STATES.UNEXPECTED, ["no seller name", ...(status ? [`HTTP ${status}`] : [])]);
+  }
+
+  if (seen.cards > 0) return result(PAGE_STATES.OK, [`${seen.cards} cards`]);
+  if (seen.noResults.length > 0) return result(PAGE_STATES.NO_RESULTS, seen.noResults);
+  return result(PAGE_STATES.UNEXPECTED, ["no cards and no zero-results marker", ...(status ? [`HTTP ${status}`] : [])]);
+}
+
+const STATE_LABELS = {
+  [PAGE_STATES.OK]: "OK",
+  [PAGE_STATES.NO_RESULTS]: "No results",
+  [PAGE_STATES.CHALLENGE]: "Challenge page detected",
+  [PAGE_STATES.RATE_LIMITED]: "Rate limited",
+  [PAGE_STATES.REMOVED]: "Listing removed",
+  [PAGE_STATES.LOGIN_WALL]: "Login required",
+  [PAGE_STATES.UNEXPECTED]: "Unexpected page layout",
+};
+
+/**
+ * One-line description of a classified page, for `errors` entries
+ *
+ * @param {Object} state - From classifyPage()
+ * @returns {string} e.g. 'Challenge page detected (title "just a moment")'
+ */
+export function describePageState(state) {
+  const label = STATE_LABELS[state.type] || state.type;
+  return state.evidence.length > 0 ? `${label} (${state.evidence.join(", ")})` : label;
+}
+
+/**
+ * Check if current page shows a bot-check challenge
+ *
+ * @deprecated Use classifyPage(), which also tells rate limits, removed
+ *   listings and empty results apart
+ */
+export async function isCloudflareChallenge(page) {
+  const state = await classifyPage(page, null);
+  return state.type === PAGE_STATES.CHALLENGE;
+}
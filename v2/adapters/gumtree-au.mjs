@@ -0,0 +1,56 @@
+/**
+ * Gumtree Australia adapter (www.gumtree.com.au)
+ *
+ * Search URLs come from search-spec.mjs; locations are resolved through the
+ * bundled AU location table.
+ */
+
+import { buildSearchUrl, parseSearchUrl } from "../search-spec.mjs";
+import { resolveSearchLocation } from "../locations.mjs";
+import { normalizeListing } from "../normalize.mjs";
+import { parseAdId } from "../store.mjs";
+import { getSiteProfile } from "../profiles.mjs";
+import {
+  extractListings,
+  extractListingDetails,
+  extractSellerProfile,
+  readPagination,
+  classifyPage,
+} from "./common.mjs";
+
+const adapter = {
+  site: "gumtree-au",
+  name: "Gumtree Australia",
+  baseUrl: "https://www.gumtree.com.au",
+  homeUrl: "https://www.gumtree.com.au/",
+  hostPattern: /(^|\.)gumtree\.com\.au$/,
+  listingPath: "/s-ad/",
+  currency: "AUD",
+
+  buildSearchUrl,
+  parseSearchUrl,
+  resolveSearch: resolveSearchLocation,
+  parseAdId,
+
+  isListingUrl(url) {
+    try {
+      const { protocol, hostname, pathname } = new URL(url);
+      // Only web pages: "javascript://www.gumtree..." has the right host too
+      return ["https:", "http:"].includes(protocol) &&
+        adapter.hostPattern.test(hostname) && pathname.startsWith(adapter.listingPath);
+    } catch (e) {
+      return false;
+    }
+  },
+
+  normalize: (listing) => normalizeListing(listing, { currency: adapter.currency }),
+
+  profile: () => getSiteProfile(adapter.site),
+  extractListings: (page, options) => extractListings(page, adapter, options),
+  extractListingDetails: (page, options) => extractListingDetails(page, adapter, options),
+  extractSellerProfile: (page, options) => extractSellerProfile(page, adapter, options),
+  getPaginationInfo: (page, options = {}) => readPagination(page, options.profile || adapter.profile()),
+  classify: (page, options) => classifyPage(page, adapter, options),
+};
+
+export default adapter;
@@ -0,0 +1,151 @@
+/**
+ * Gumtree UK adapter (www.gumtree.com)
+ *
+ * UK search URLs are query strings rather than path segments:
+ *
+ *   https://www.gumtree.com/search?search_category=all&q=iphone+15&search_location=london&distance=10&min_price=10&max_price=500&sort=date&page=2
+ *
+ * Locations are passed to the site as free text. Listing URLs look like
+ * https://www.gumtree.com/p/{category}/{title}/{id}.
+ */
+
+import { normalizeListing } from "../normalize.mjs";
+import { parseAdId } from "../store.mjs";
+import { getSiteProfile } from "../profiles.mjs";
+import {
+  extractListings,
+  extractListingDetails,
+  extractSellerProfile,
+  readPagination,
+  classifyPage,
+} from "./common.mjs";
+
+const BASE_URL = "https://www.gumtree.com";
+
+// Spec sort -> gumtree.com `sort` parameter (relevance is the default, so no parameter)
+const SORT_ORDERS = {
+  relevance: null,
+  newest: "date",
+  price_asc: "price_lowest_first",
+  price_desc: "price_highest_first",
+};
+
+// Spec fields gumtree.com has no equivalent for
+const UNSUPPORTED_FILTERS = ["adType", "condition", "locationId", "categoryId"];
+
+/**
+ * Build a gumtree.com search URL from a search spec
+ *
+ * Takes the same spec as the AU buildSearchUrl(); `category` is a
+ * gumtree.com category slug (e.g. "mobile-phones").
+ *
+ * @param {Object} spec
+ * @param {Object} options
+ * @param {number} options.page - Page number (1-based)
+ * @returns {string}
+ */
+function buildSearchUrl(spec = {}, options = {}) {
+  const { page = 1 } = options;
+  const { keywords = "", location, category, minPrice, maxPrice, sort, radius } = spec;
+
+  if (sort && !(sort in SORT_ORDERS)) throw new Error(`Unknown sort order: ${sort}`);
+  const unsupported = UNSUPPORTED_FILTERS.filter((key) => spec[key] !== undefined);
+  if (unsupported.length > 0) throw new Error(`Not supported on gumtree-uk: ${unsupported.join(", ")}`);
+
+  const url = new URL("/search", BASE_URL);
+  url.searchParams.set("search_category", category || "all");
+  if (keywords.trim()) url.searchParams.set("q", keywords.trim());
+  if (location) url.searchParams.set("search_location", location);
+  if (radius && location) url.searchParams.set("distance", String(radius));
+  if (minPrice !== undefined && minPrice !== null) url.searchParams.set("min_price", String(minPrice));
+  if (maxPrice !== undefined && maxPrice !== null) url.searchParams.set("max_price", String(maxPrice));
+  if (SORT_ORDERS[sort]) url.searchParams.set("sort", SORT_ORDERS[sort]);
+  if (page > 1) url.searchParams.set("page", String(page));
+
+  return url.href;
+}
+
+/**
+ * Parse a gumtree.com search URL back into a search spec
+ *
+ * @param {string} url
+ * @returns {{spec: Object, page: number}}
+ */
+function parseSearchUrl(url) {
+  const { pathname, searchParams } = new URL(url);
+  if (pathname !== "/search") throw new Error(`Not a Gumtree UK search URL: ${url}`);
+
+  const spec = {};
+  const number = (key) => (searchParams.has(key) ? parseFloat(searchParams.get(key)) : undefined);
+
+  if (searchParams.get("q")) spec.keywords = searchParams.get("q");
+  const category = searchParams.get("search_category");
+  if (category && category !== "all") spec.category = category;
+  if (searchParams.get("search_location")) spec.location = searchParams.get("search_location");
+  if (number("distance") !== undefined) spec.radius = number("distance");
+  if (number("min_price") !== undefined) spec.minPrice = number("min_price");
+  if (number("max_price") !== undefined) spec.maxPrice = number("max_price");
+
+  const sort = searchParams.get("sort");
+  if (sort) spec.sort = Object.keys(SORT_ORDERS).find((k) => SORT_ORDERS[k] === sort) || "relevance";
+
+  return { spec, page: parseInt(searchParams.get("page") || "1", 10) };
+}
+
+/**
+ * Parse a UK location string ("Hackney, London", "Leeds LS1")
+ *
+ * Same fields as the AU parseLocation(); `state` is always null and
+ * `postcode` holds whatever part of a UK postcode is shown.
+ */
+function parseUkLocation(raw) {
+  const text = (raw || "").replace(/\s+/g, " ").trim();
+  if (!text) return { suburb: null, state: null, postcode: null };
+
+  const postcodeMatch = text.match(/\b([A-Z]{1,2}\d[A-Z\d]?(?: ?\d[A-Z]{2})?)\b/);
+  const rest = postcodeMatch ? text.replace(postcodeMatch[0], "") : text;
+  const suburb = rest.split(",")[0].replace(/[\s,]+$/, "").trim() || null;
+
+  return { suburb, state: null, postcode: postcodeMatch ? postcodeMatch[1] : null };
+}
+
+const adapter = {
+  site: "gumtree-uk",
+  name: "Gumtree UK",
+  baseUrl: BASE_URL,
+  homeUrl: `${BASE_URL}/`,
+  hostPattern: /(^|\.)gumtree\.com$/,
+  listingPath: "/p/",
+  currency: "GBP",
+
+  buildSearchUrl,
+  parseSearchUrl,
+  // gumtree.com takes free-text locations, so there is nothing to resolve
+  resolveSearch: (spec) => ({ search: spec, location: null }),
+  parseAdId,
+
+  isListingUrl(url) {
+    try {
+      const { protocol, hostname, pathname } = new URL(url);
+      // Only web pages: "javascript://www.gumtree..." has the right host too
+      return ["https:", "http:"].includes(protocol) &&
+        adapter.hostPattern.test(hostname) && pathname.startsWith(adapter.listingPath);
+    } catch (e) {
+      return false;
+    }
+  },
+
+  normalize: (listing) => ({
+    ...normalizeListing(listing, { currency: adapter.currency }),
+    ...parseUkLocation(listing.location),
+  }),
+
+  profile: () => getSiteProfile(adapter.site),
+  extractListings: (page, options) => extractListings(page, adapter, options),
+  extractListingDetails: (page, options) => extractListingDetails(page, adapter, options),
+  extractSellerProfile: (page, options) => extractSellerProfile(page, adapter, options),
+  getPaginationInfo: (page, options = {}) => readPagination(page, options.profile || adapter.profile()),
+  classify: (page, options) => classifyPage(page, adapter, options),
+};
+
+export default adapter;
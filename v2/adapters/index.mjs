@@ -0,0 +1,87 @@
+/**
+ * Marketplace adapters
+ *
+ * An adapter is everything site-specific the scrapers need:
+ *
+ *   site, name, baseUrl, homeUrl (warm-up page), currency
+ *   buildSearchUrl(spec, { page }) / parseSearchUrl(url)
+ *   resolveSearch(spec) -> { search, location }
+ *   isListingUrl(url), parseAdId(url)
+ *   extractListings(page, { profile }), extractListingDetails(page, { profile })
+ *   extractSellerProfile(page, { profile }) (optional)
+ *   getPaginationInfo(page, { profile })
+ *   classify(page, { kind, status, profile }) -> { type, blocked, evidence } (see PAGE_STATES)
+ *   normalize(listing), profile()
+ *
+ * Every adapter returns listings in the same shape, tagged with `site`.
+ */
+
+import gumtreeAu from "./gumtree-au.mjs";
+import gumtreeUk from "./gumtree-uk.mjs";
+
+export const DEFAULT_SITE = gumtreeAu.site;
+
+const REQUIRED = [
+  "site",
+  "homeUrl",
+  "buildSearchUrl",
+  "parseSearchUrl",
+  "resolveSearch",
+  "isListingUrl",
+  "parseAdId",
+  "extractListings",
+  "extractListingDetails",
+  "getPaginationInfo",
+  "classify",
+  "normalize",
+];
+
+const adapters = new Map();
+
+/**
+ * Add (or replace) a site adapter
+ *
+ * @param {Object} adapter
+ * @throws If the adapter is missing part of the interface
+ */
+export function registerAdapter(adapter) {
+  const missing = REQUIRED.filter((key) => !adapter?.[key]);
+  if (missing.length > 0) throw new Error(`Adapter is missing: ${missing.join(", ")}`);
+  adapters.set(adapter.site, adapter);
+  return adapter;
+}
+
+registerAdapter(gumtreeAu);
+registerAdapter(gumtreeUk);
+
+/**
+ * Look up an adapter by site name
+ *
+ * @param {string} site - e.g. "gumtree-au" (default), "gumtree-uk"
+ * @throws On an unknown site
+ */
+export function getAdapter(site = DEFAULT_SITE) {
+  const adapter = adapters.get(site);
+  if (!adapter) throw new Error(`Unknown site: ${site} (known: ${listSites().join(", ")})`);
+  return adapter;
+}
+
+/**
+ * The adapter whose site a URL belongs to, or null
+ */
+export function adapterForUrl(url) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    if (!["https:", "http:"].includes(protocol)) return null;
+    return Array.from(adapters.values()).find((a) => a.hostPattern?.test(hostname)) || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Names of all registered sites
+ */
+export function listSites() {
+  return Array.from(adapters.keys());
+}
@@ -0,0 +1,124 @@
+/**
+ * Crawl checkpoints
+ *
+ * A long search (many pages, with details) saves its progress to disk as it
+ * goes: the pages finished, the listings gathered so far, the page in
+ * progress with its listing URLs and which of them already have details.
+ * If Chrome crashes or the process is killed, `resume: runId` picks the
+ * crawl up from the last checkpoint without fetching finished details again.
+ *
+ * One JSON file per run, rewritten atomically on every step.
+ *
+ * Checkpoint:
+ *   { runId, status, createdAt, updatedAt, site, search, resolvedLocation,
+ *     maxPages, scrapeDetails,
+ *     nextPage, hasMore, pagesScraped, listings,
+ *     current: { page, url, listings, pagination } | null,
+ *     detailsDone: [url], removed: [url] }
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+/**
+ * Open (or create) a checkpoint store
+ *
+ * @param {string} dir - Directory for checkpoint files (default: ./output/checkpoints)
+ * @returns {Object} { create, load, save, remove, list }
+ */
+export function openCheckpointStore(dir = "./output/checkpoints") {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const fileFor = (runId) => path.join(dir, `${String(runId).replace(/[^a-z0-9_-]/gi, "_")}.json`);
+
+  function write(checkpoint) {
+    checkpoint.updatedAt = new Date().toISOString();
+    const file = fileFor(checkpoint.runId);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(checkpoint));
+    fs.renameSync(`${file}.tmp`, file);
+    return checkpoint;
+  }
+
+  return {
+    dir,
+
+    /**
+     * Start a checkpoint for a new run
+     *
+     * @param {Object} run - { runId?, site, search, resolvedLocation, maxPages, scrapeDetails }
+     * @returns {Object} Checkpoint
+     */
+    create(run) {
+      const now = new Date().toISOString();
+      return write({
+        runId: run.runId || crypto.randomUUID(),
+        status: "running",
+        createdAt: now,
+        updatedAt: now,
+        site: run.site,
+        search: run.search,
+        resolvedLocation: run.resolvedLocation || null,
+        maxPages: run.maxPages,
+        scrapeDetails: run.scrapeDetails,
+        nextPage: 1,
+        hasMore: true,
+        pagesScraped: 0,
+        listings: [],
+        current: null,
+        detailsDone: [],
+        removed: [],
+      });
+    },
+
+    /**
+     * Checkpoint for a run, or null if there is none
+     */
+    load(runId) {
+      try {
+        return JSON.parse(fs.readFileSync(fileFor(runId), "utf-8"));
+      } catch (e) {
+        return null;
+      }
+    },
+
+    save: write,
+
+    /**
+     * Delete a run's checkpoint
+     *
+     * @returns {boolean} Whether there was one
+     */
+    remove(runId) {
+      try {
+        fs.unlinkSync(fileFor(runId));
+        return true;
+      } catch (e) {
+        return false;
+      }
+    },
+
+    /**
+     * Summaries of every checkpoint (no listings), newest first
+     */
+    list() {
+      return fs.readdirSync(dir)
+        .filter((f) => f.endsWith(".json"))
+        .map((f) => {
+          try {
+            return JSON.parse(fs.readFileSync(path.join(dir, f), "utf-8"));
+          } catch (e) {
+            return null;
+          }
+        })
+        .filter(Boolean)
+        .map(({ listings, current, detailsDone, removed, ...summary }) => ({
+          ...summary,
+          listings: listings.length,
+          detailsDone: detailsDone.length,
+          inProgressPage: current?.page || null,
+        }))
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    },
+  };
+}
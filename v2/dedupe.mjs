@@ -0,0 +1,369 @@
+/**
+ * Listing dedupe and near-duplicate clustering
+ *
+ * Two stages:
+ *   1. dedupeListings() collapses copies of the same ad (same ad ID) found
+ *      by several queries or pages into one listing, keeping every query,
+ *      source and page that matched it in `seenIn`.
+ *   2. clusterListings() groups different ads that are probably the same
+ *      item - reposts under a new ID, the same thing listed twice - by title
+ *      and description similarity, price and location (and shared images,
+ *      when the image pipeline ran). Each cluster gets a stable ID and a
+ *      canonical listing.
+ */
+
+import { parseAdId } from "./store.mjs";
+
+// Default score (0..1) at which two listings count as the same item
+const DEFAULT_THRESHOLD = 0.8;
+
+// Prices further apart than this fraction never match
+const DEFAULT_PRICE_TOLERANCE = 0.15;
+
+// Below this title similarity the other signals can't make a match
+const MIN_TITLE_SIMILARITY = 0.5;
+
+const WEIGHTS = { title: 0.45, description: 0.25, price: 0.15, location: 0.15 };
+
+const STOPWORDS = new Set([
+  "a", "an", "and", "the", "for", "with", "in", "on", "of", "to", "or",
+  "is", "it", "this", "my", "your", "be", "are", "at", "as", "by", "from",
+]);
+
+/**
+ * The ad ID listings are deduped by (the URL when there is no ID)
+ */
+export function listingKey(listing) {
+  return parseAdId(listing.url) || listing.url || null;
+}
+
+function isEmpty(value) {
+  if (value === null || value === undefined || value === "") return true;
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === "object") return Object.keys(value).length === 0;
+  return false;
+}
+
+// ============================================================================
+// EXACT DUPLICATES
+// ============================================================================
+
+/**
+ * Collapse listings with the same ad ID
+ *
+ * The first copy's fields win; later copies fill in what it's missing
+ * (usually detail fields a card didn't have). Each `{ query, source, page }`
+ * a copy was found with goes into `seenIn`.
+ *
+ * @param {Object[]} listings - Listings, optionally carrying `query`, `source` and `page`
+ * @returns {Object[]} One listing per ad, in first-seen order, with `id` and `seenIn`
+ */
+export function dedupeListings(listings) {
+  const byKey = new Map();
+  const unkeyed = [];
+
+  for (const listing of listings) {
+    const key = listingKey(listing);
+    const seen = { query: listing.query ?? null, source: listing.source ?? null, page: listing.page ?? null };
+    const seenIn = [...(listing.seenIn || [])];
+    if (seen.query !== null || seen.source !== null || seen.page !== null) seenIn.push(seen);
+
+    if (!key) {
+      unkeyed.push({ ...listing, id: null, seenIn });
+      continue;
+    }
+
+    const existing = byKey.get(key);
+    if (!existing) {
+      byKey.set(key, { ...listing, id: key, seenIn });
+      continue;
+    }
+
+    for (const [field, value] of Object.entries(listing)) {
+      if (field === "seenIn") continue;
+      if (isEmpty(existing[field]) && !isEmpty(value)) existing[field] = value;
+    }
+    for (const s of seenIn) {
+      if (!existing.seenIn.some((e) => e.query === s.query && e.source === s.source && e.page === s.page)) {
+        existing.seenIn.push(s);
+      }
+    }
+  }
+
+  return [...byKey.values(), ...unkeyed];
+}
+
+// ============================================================================
+// SIMILARITY
+// ============================================================================
+
+function normalizeText(text) {
+  return String(text || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+function words(text) {
+  return normalizeText(text).split(" ").filter((w) => w && !STOPWORDS.has(w));
+}
+
+function trigrams(text) {
+  const padded = ` ${words(text).join(" ")} `;
+  const grams = new Set();
+  for (let i = 0; i < padded.length - 2; i++) grams.add(padded.slice(i, i + 3));
+  return grams;
+}
+
+function bigrams(text) {
+  const list = words(text).slice(0, 500);
+  const grams = new Set();
+  for (let i = 0; i < list.length - 1; i++) grams.add(`${list[i]} ${list[i + 1]}`);
+  // One-word descriptions still compare by that word
+  if (list.length === 1) grams.add(list[0]);
+  return grams;
+}
+
+function dice(a, b) {
+  if (a.size === 0 || b.size === 0) return null;
+  let shared = 0;
+  for (const gram of a) if (b.has(gram)) shared++;
+  return (2 * shared) / (a.size + b.size);
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return null;
+  let shared = 0;
+  for (const gram of a) if (b.has(gram)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+function features(listing) {
+  return {
+    key: listingKey(listing),
+    site: listing.site || null,
+    titleWords: new Set(words(listing.title)),
+    title: trigrams(listing.title),
+    description: bigrams(listing.description),
+    price: Number.isFinite(listing.priceValue) ? listing.priceValue : null,
+    suburb: normalizeText(listing.suburb) || null,
+    state: listing.state || null,
+    location: normalizeText(listing.location) || null,
+    images: new Map((listing.imageMatches || []).map((m) => [m.id, m.similarity])),
+  };
+}
+
+function priceSimilarity(a, b, tolerance) {
+  if (a === null || b === null) return null;
+  if (a === b) return 1;
+  const diff = Math.abs(a - b) / Math.max(a, b);
+  return diff > tolerance ? 0 : 1 - diff / tolerance / 2;
+}
+
+function locationSimilarity(a, b) {
+  if (a.suburb && b.suburb) {
+    if (a.suburb === b.suburb && a.state === b.state) return 1;
+    return a.state && a.state === b.state ? 0.5 : 0;
+  }
+  if (a.location && b.location) return a.location === b.location ? 1 : 0;
+  return null;
+}
+
+/**
+ * How alike two listings are, 0..1, with the score of each signal
+ *
+ * Title (character trigrams), description (word pairs), price and location
+ * are weighted; signals missing on either side are left out of the average.
+ * A shared image (from processListingImages) counts as at least that
+ * image's similarity.
+ *
+ * @param {Object} a - Listing
+ * @param {Object} b - Listing
+ * @param {Object} options
+ * @param {number} options.priceTolerance - Relative price gap that still counts (default: 0.15)
+ * @returns {{score: number, signals: Object}}
+ */
+export function listingSimilarity(a, b, options = {}) {
+  return compare(features(a), features(b), options);
+}
+
+function compare(a, b, options = {}) {
+  const { priceTolerance = DEFAULT_PRICE_TOLERANCE } = options;
+  const signals = {
+    title: dice(a.title, b.title),
+    description: jaccard(a.description, b.description),
+    price: priceSimilarity(a.price, b.price, priceTolerance),
+    location: locationSimilarity(a, b),
+  };
+
+  let total = 0;
+  let weight = 0;
+  for (const [signal, value] of Object.entries(signals)) {
+    if (value === null) continue;
+    total += value * WEIGHTS[signal];
+    weight += WEIGHTS[signal];
+  }
+  let score = weight > 0 && (signals.title ?? 0) >= MIN_TITLE_SIMILARITY ? total / weight : 0;
+
+  // Different prices are a different item, however alike the text
+  if (signals.price === 0) score = Math.min(score, 0.5);
+
+  const image = Math.max(a.images.get(b.key) || 0, b.images.get(a.key) || 0);
+  if (image > 0) {
+    signals.image = image;
+    score = Math.max(score, image);
+  }
+
+  return { score: Math.round(score * 1000) / 1000, signals };
+}
+
+// ============================================================================
+// CLUSTERING
+// ============================================================================
+
+// Fields whose presence makes a listing a better canonical pick
+const COMPLETENESS_FIELDS = ["title", "price", "location", "description", "seller", "postedDate", "images", "attributes"];
+
+function completeness(listing) {
+  return COMPLETENESS_FIELDS.filter((f) => !isEmpty(listing[f])).length;
+}
+
+// Oldest first: a repost is the newer copy
+function postedTime(listing) {
+  const time = Date.parse(listing.postedAt || "");
+  return isNaN(time) ? Infinity : time;
+}
+
+/**
+ * Group listings that are probably the same item
+ *
+ * Listings are compared when they're on the same site and share a title
+ * word (or an image); pairs scoring at least `threshold` are joined, and
+ * clusters are the connected groups. The canonical listing is the most complete one, then the
+ * oldest. Cluster IDs are "c-" plus the canonical listing's ad ID, so they
+ * stay the same between runs while the canonical listing does (listings
+ * without a URL get "c-#<index>").
+ *
+ * @param {Object[]} listings - Usually the output of dedupeListings()
+ * @param {Object} options
+ * @param {number} options.threshold - Score that joins two listings (default: 0.8)
+ * @param {number} options.priceTolerance - See listingSimilarity()
+ * @returns {{listings: Object[], clusters: Object[]}} Listings gain `clusterId`,
+ *   `canonical` (boolean) and, for duplicates, `duplicateOf` and `similarity`.
+ *   Clusters: `{ id, canonical, members, size, score }` for every group of
+ *   two or more, largest first; score is the weakest link that joined it.
+ */
+export function clusterListings(listings, options = {}) {
+  const { threshold = DEFAULT_THRESHOLD } = options;
+  const feats = listings.map(features);
+
+  // Union-find over listing indexes; weakest[root] is the lowest score that
+  // joined the group
+  const parent = listings.map((_, i) => i);
+  const weakest = listings.map(() => 1);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+  const join = (i, j, score) => {
+    const a = find(i);
+    const b = find(j);
+    if (a === b) return;
+    parent[b] = a;
+    weakest[a] = Math.min(weakest[a], weakest[b], score);
+  };
+
+  const byWord = new Map();
+  feats.forEach((f, i) => {
+    for (const word of f.titleWords) {
+      if (!byWord.has(word)) byWord.set(word, []);
+      byWord.get(word).push(i);
+    }
+  });
+  const indexByKey = new Map(feats.map((f, i) => [f.key, i]));
+
+  // Pairs are only compared when they share a title word (or an image).
+  // Words most titles share - "ps5" in a PS5 search - say nothing, so they
+  // only count for a title with no rarer word.
+  const common = Math.max(50, listings.length * 0.1);
+  const blockWords = (f) => {
+    const byRarity = Array.from(f.titleWords).sort((a, b) => byWord.get(a).length - byWord.get(b).length);
+    const rare = byRarity.filter((w) => byWord.get(w).length <= common);
+    return rare.length > 0 ? rare : byRarity.slice(0, 1);
+  };
+
+  feats.forEach((f, i) => {
+    const candidates = new Set();
+    for (const word of blockWords(f)) {
+      for (const j of byWord.get(word)) if (j > i) candidates.add(j);
+    }
+    for (const id of f.images.keys()) {
+      if (indexByKey.has(id)) candidates.add(indexByKey.get(id));
+    }
+    for (const j of candidates) {
+      if (j === i || feats[j].site !== f.site || find(i) === find(j)) continue;
+      const { score } = compare(f, feats[j], options);
+      if (score >= threshold) join(i, j, score);
+    }
+  });
+
+  const groups = new Map();
+  listings.forEach((_, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(i);
+  });
+
+  const out = listings.map((listing) => ({ ...listing }));
+  const clusters = [];
+
+  for (const members of groups.values()) {
+    const [canonical] = [...members].sort((a, b) =>
+      completeness(listings[b]) - completeness(listings[a])
+      || postedTime(listings[a]) - postedTime(listings[b])
+      || a - b
+    );
+    const canonicalKey = feats[canonical].key;
+    const clusterId = `c-${canonicalKey || `#${canonical}`}`;
+
+    for (const i of members) {
+      out[i].clusterId = clusterId;
+      out[i].canonical = i === canonical;
+      if (i === canonical) continue;
+      out[i].duplicateOf = canonicalKey;
+      out[i].similarity = compare(feats[canonical], feats[i], options).score;
+    }
+
+    if (members.length > 1) {
+      clusters.push({
+        id: clusterId,
+        canonical: canonicalKey,
+        members: members.map((i) => feats[i].key),
+        size: members.length,
+        score: weakest[find(canonical)],
+      });
+    }
+  }
+
+  clusters.sort((a, b) => b.size - a.size);
+  return { listings: out, clusters };
+}
+
+/**
+ * Both stages: collapse exact duplicates, then cluster near-duplicates
+ *
+ * @param {Object[]} listings
+ * @param {Object} options - See clusterListings()
+ * @returns {{listings: Object[], clusters: Object[], duplicates: number}}
+ *   duplicates is how many exact copies were collapsed
+ */
+export function dedupeAndCluster(listings, options = {}) {
+  const unique = dedupeListings(listings);
+  const { listings: clustered, clusters } = clusterListings(unique, options);
+  return { listings: clustered, clusters, duplicates: listings.length - unique.length };
+}
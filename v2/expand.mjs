@@ -0,0 +1,466 @@
+/**
+ * Search term expansion
+ *
+ * A search for "maltipoo" misses the ads titled "malti poo" or "maltese x
+ * poodle", and the ones whose seller wrote "maltipo". An expander turns one
+ * term into a few queries that find the same items, each scraped on its own.
+ *
+ * Providers (all `{ name, id, cacheable, expand(term, { signal }) }`, where
+ * expand resolves to alternative queries, not including the term itself):
+ *   offline - a bundled dictionary of marketplace synonyms and common
+ *             misspellings (./data/expansions.json); no network
+ *   llm     - any OpenAI-compatible chat completions API (OpenAI, or a local
+ *             server such as llama.cpp, vLLM or Ollama), with the answer
+ *             constrained to a JSON schema
+ *   none    - no expansion, the term is searched as given
+ *
+ * createQueryExpander() puts a provider behind an on-disk cache, falls back
+ * (to another provider, or to the bare term) when it fails, and drops
+ * queries that would return the same results as one already kept.
+ *
+ * That dedupe compares text, not meaning: two queries are the same when
+ * their queryKey() is (same words once case, punctuation, word order, plurals
+ * and filler words are ignored). Synonyms and misspellings from one
+ * dictionary group are different queries on purpose, since each finds ads
+ * the others miss, and nothing checks that an LLM's answers mean the term.
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+export const EXPANSION_PROVIDERS = ["offline", "llm", "none"];
+
+const DEFAULT_MAX_TERMS = 5;
+
+const DEFAULT_CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const DEFAULT_LLM_BASE_URL = "https://api.openai.com/v1";
+const DEFAULT_LLM_MODEL = "gpt-4o-mini";
+const DEFAULT_LLM_TIMEOUT_MS = 15000;
+
+// Longest query kept; the API rejects longer search terms
+const MAX_QUERY_LENGTH = 100;
+
+// Words that don't change what a marketplace search returns
+const STOPWORDS = new Set([
+  "a", "an", "and", "the", "for", "with", "in", "on", "of", "to", "or",
+  "sale", "buy", "selling", "near", "me",
+]);
+
+const DICTIONARY = JSON.parse(
+  fs.readFileSync(new URL("./data/expansions.json", import.meta.url), "utf-8")
+);
+
+// ============================================================================
+// QUERY KEYS
+// ============================================================================
+
+function normalizeText(text) {
+  return String(text || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+// Crude English singular, good enough to make "puppies" and "puppy" one query
+function singular(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  if (word.endsWith("ies")) return `${word.slice(0, -3)}y`;
+  if (/(ches|shes|sses|xes|zes)$/.test(word)) return word.slice(0, -2);
+  if (/(ss|us|is)$/.test(word)) return word;
+  if (word.endsWith("s")) return word.slice(0, -1);
+  return word;
+}
+
+function tokens(text) {
+  const normalized = normalizeText(text);
+  return normalized ? normalized.split(" ") : [];
+}
+
+/**
+ * Key under which queries that return the same results compare equal:
+ * case, punctuation, accents, word order, plurals and filler words
+ * ("for sale", "near me") are ignored
+ *
+ * Spelling is not: "malti poo" and "maltipoo" are different searches on
+ * purpose.
+ *
+ * @param {string} query
+ * @returns {string}
+ */
+export function queryKey(query) {
+  const all = tokens(query);
+  const meaningful = all.filter((w) => !STOPWORDS.has(w)).map(singular);
+  return (meaningful.length > 0 ? meaningful : all).sort().join(" ");
+}
+
+/**
+ * Drop queries that return the same results as an earlier one
+ *
+ * Keeps the first spelling of each, trimmed; blank queries and ones over
+ * 100 characters are dropped.
+ *
+ * @param {string[]} queries
+ * @returns {string[]}
+ */
+export function dedupeQueries(queries) {
+  const seen = new Set();
+  const kept = [];
+  for (const query of queries) {
+    if (typeof query !== "string") continue;
+    const text = query.trim().replace(/\s+/g, " ");
+    if (!text || text.length > MAX_QUERY_LENGTH) continue;
+    const key = queryKey(text);
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    kept.push(text);
+  }
+  return kept;
+}
+
+// ============================================================================
+// PROVIDERS
+// ============================================================================
+
+/**
+ * Dictionary expansion: every phrase of the term found in a group is
+ * swapped for the group's other terms, then its misspellings
+ *
+ *   "maltipoo puppies" -> ["malti poo puppies", "maltese x poodle puppies", ...]
+ *
+ * Phrases match on whole words, longest first, ignoring case and plurals.
+ * With several matched phrases one is swapped at a time, taking turns.
+ *
+ * @param {Object} options
+ * @param {Object} options.dictionary - { groups: [{ terms, misspellings }] } (default: the bundled one)
+ * @param {boolean} options.misspellings - Include misspellings (default: true)
+ * @returns {Object} Provider
+ */
+export function createOfflineProvider(options = {}) {
+  const { dictionary = DICTIONARY, misspellings = true } = options;
+
+  // First word -> phrases starting with it, longest first
+  const index = new Map();
+  for (const group of dictionary.groups || []) {
+    const phrases = [...(group.terms || []), ...(misspellings ? group.misspellings || [] : [])];
+    for (const phrase of phrases) {
+      const words = tokens(phrase).map(singular);
+      if (words.length === 0) continue;
+      if (!index.has(words[0])) index.set(words[0], []);
+      index.get(words[0]).push({ words, phrases });
+    }
+  }
+  for (const entries of index.values()) entries.sort((a, b) => b.words.length - a.words.length);
+
+  function matchAt(words, start) {
+    for (const entry of index.get(words[start]) || []) {
+      if (entry.words.every((w, i) => words[start + i] === w)) return entry;
+    }
+    return null;
+  }
+
+  return {
+    name: "offline",
+    id: "offline",
+    cacheable: false,
+
+    async expand(term) {
+      const original = tokens(term);
+      const words = original.map(singular);
+
+      // For each matched phrase, the term with it swapped for each alternative
+      const swaps = [];
+      for (let i = 0; i < words.length; ) {
+        const entry = matchAt(words, i);
+        if (!entry) {
+          i++;
+          continue;
+        }
+        const end = i + entry.words.length;
+        const matched = entry.words.join(" ");
+        swaps.push(
+          entry.phrases
+            .filter((phrase) => tokens(phrase).map(singular).join(" ") !== matched)
+            .map((phrase) => [...original.slice(0, i), ...tokens(phrase), ...original.slice(end)].join(" "))
+        );
+        i = end;
+      }
+
+      const queries = [];
+      for (let round = 0; swaps.some((list) => round < list.length); round++) {
+        for (const list of swaps) if (round < list.length) queries.push(list[round]);
+      }
+      return queries;
+    },
+  };
+}
+
+// The answer the model must give (OpenAI structured outputs, strict mode)
+const EXPANSION_SCHEMA = {
+  type: "object",
+  properties: {
+    queries: { type: "array", items: { type: "string" } },
+  },
+  required: ["queries"],
+  additionalProperties: false,
+};
+
+function llmPrompt(maxTerms) {
+  return [
+    "You expand search terms for a second-hand marketplace (Gumtree).",
+    `Give up to ${maxTerms} other search queries that find the same kind of item:`,
+    "synonyms, regional or brand names, and misspellings sellers commonly use.",
+    "Don't narrow the search (no \"cheap\", \"used\", \"near me\", \"for sale\") or change what is being searched for.",
+    "Keep each query short, like something typed into a search box.",
+    "Answer with JSON: {\"queries\": [\"...\"]}.",
+  ].join(" ");
+}
+
+/**
+ * Expansion by an OpenAI-compatible chat completions API
+ *
+ * The request asks for `response_format: json_schema` so the answer is
+ * `{ "queries": [...] }` and nothing else; servers that ignore it still
+ * have to return that JSON or the expansion fails.
+ *
+ * @param {Object} options
+ * @param {string} options.baseUrl - API root (default: https://api.openai.com/v1)
+ * @param {string} options.apiKey - Sent as a bearer token (optional for local servers)
+ * @param {string} options.model - Model name (default: gpt-4o-mini)
+ * @param {number} options.maxTerms - Most queries to ask for (default: 5)
+ * @param {number} options.timeoutMs - Per request (default: 15000)
+ * @param {Function} options.fetch - fetch implementation (default: global fetch)
+ * @returns {Object} Provider
+ */
+export function createLlmProvider(options = {}) {
+  const {
+    baseUrl = DEFAULT_LLM_BASE_URL,
+    apiKey = null,
+    model = DEFAULT_LLM_MODEL,
+    maxTerms = DEFAULT_MAX_TERMS,
+    timeoutMs = DEFAULT_LLM_TIMEOUT_MS,
+    fetch: fetchFn = globalThis.fetch,
+  } = options;
+  const root = baseUrl.replace(/\/+$/, "");
+
+  return {
+    name: "llm",
+    // Different servers or models give different answers
+    id: `llm:${root}:${model}`,
+    cacheable: true,
+
+    async expand(term, expandOptions = {}) {
+      const timeout = AbortSignal.timeout(timeoutMs);
+      const signal = expandOptions.signal ? AbortSignal.any([expandOptions.signal, timeout]) : timeout;
+
+      const resp = await fetchFn(`${root}/chat/completions`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        },
+        body: JSON.stringify({
+          model,
+          temperature: 0.2,
+          messages: [
+            { role: "system", content: llmPrompt(maxTerms) },
+            { role: "user", content: term },
+          ],
+          response_format: {
+            type: "json_schema",
+            json_schema: { name: "query_expansions", strict: true, schema: EXPANSION_SCHEMA },
+          },
+        }),
+        signal,
+      });
+      if (!resp.ok) throw new Error(`LLM HTTP ${resp.status} from ${root}`);
+
+      const data = await resp.json();
+      const content = data?.choices?.[0]?.message?.content;
+      let answer;
+      try {
+        answer = JSON.parse(content);
+      } catch {
+        throw new Error("LLM answer is not JSON");
+      }
+      if (!Array.isArray(answer?.queries) || !answer.queries.every((q) => typeof q === "string")) {
+        throw new Error("LLM answer has no queries array of strings");
+      }
+      return answer.queries.slice(0, maxTerms);
+    },
+  };
+}
+
+/**
+ * No expansion
+ *
+ * @returns {Object} Provider
+ */
+export function createNoneProvider() {
+  return {
+    name: "none",
+    id: "none",
+    cacheable: false,
+    async expand() {
+      return [];
+    },
+  };
+}
+
+/**
+ * A provider by name
+ *
+ * @param {string} name - One of EXPANSION_PROVIDERS
+ * @param {Object} options - Passed to the provider's factory
+ * @returns {Object} Provider
+ * @throws On an unknown name
+ */
+export function createExpansionProvider(name, options = {}) {
+  switch (name) {
+    case "offline":
+      return createOfflineProvider(options);
+    case "llm":
+      return createLlmProvider(options);
+    case "none":
+      return createNoneProvider();
+    default:
+      throw new Error(`Unknown expansion provider "${name}" (expected ${EXPANSION_PROVIDERS.join(", ")})`);
+  }
+}
+
+// ============================================================================
+// CACHE
+// ============================================================================
+
+/**
+ * Open (or create) an expansion cache: one JSON file per provider and
+ * query key, rewritten atomically
+ *
+ * File: { provider, term, queries, at }
+ *
+ * @param {string} dir - Directory for cache files (default: ./output/expansions)
+ * @param {Object} options
+ * @param {number} options.ttlMs - How long an entry is used (default: 7 days)
+ * @returns {Object} { dir, get, set, clear }
+ */
+export function openExpansionCache(dir = "./output/expansions", options = {}) {
+  const { ttlMs = DEFAULT_CACHE_TTL_MS } = options;
+  fs.mkdirSync(dir, { recursive: true });
+
+  const fileFor = (providerId, term) => {
+    const hash = crypto.createHash("sha256").update(`${providerId}\n${queryKey(term)}`).digest("hex");
+    return path.join(dir, `${hash.slice(0, 32)}.json`);
+  };
+
+  return {
+    dir,
+
+    /**
+     * Cached queries for a term, or null when there are none or they expired
+     */
+    get(providerId, term) {
+      try {
+        const entry = JSON.parse(fs.readFileSync(fileFor(providerId, term), "utf-8"));
+        if (Date.now() - Date.parse(entry.at) > ttlMs) return null;
+        return entry.queries;
+      } catch {
+        return null;
+      }
+    },
+
+    set(providerId, term, queries) {
+      const file = fileFor(providerId, term);
+      const entry = { provider: providerId, term, queries, at: new Date().toISOString() };
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify(entry));
+      fs.renameSync(`${file}.tmp`, file);
+    },
+
+    /**
+     * Remove every entry
+     *
+     * @returns {number} Entries removed
+     */
+    clear() {
+      let removed = 0;
+      for (const name of fs.readdirSync(dir)) {
+        if (!name.endsWith(".json")) continue;
+        fs.rmSync(path.join(dir, name), { force: true });
+        removed++;
+      }
+      return removed;
+    },
+  };
+}
+
+// ============================================================================
+// EXPANDER
+// ============================================================================
+
+/**
+ * Create a query expander
+ *
+ *   const expander = createQueryExpander({ provider: createOfflineProvider() });
+ *   await expander.expand("maltipoo");
+ *   // ["maltipoo", "malti poo", "maltese x poodle", "maltese cross poodle", "moodle"]
+ *
+ * The result always starts with the term itself and never holds two
+ * queries with the same queryKey(). When the provider throws, `fallback`
+ * is asked instead (or only the term is searched) and the result isn't
+ * cached, so the provider is tried again next time.
+ *
+ * @param {Object} options
+ * @param {Object} options.provider - Default: offline
+ * @param {Object} options.fallback - Provider to use when `provider` fails
+ * @param {Object} options.cache - From openExpansionCache(); only cacheable providers use it
+ * @param {number} options.maxTerms - Most queries returned, the term included (default: 5)
+ * @param {Function} options.onError - (err, term, source) when a provider fails, or a cache write (source "cache")
+ * @returns {Object} { provider, expand }
+ */
+export function createQueryExpander(options = {}) {
+  const {
+    provider = createOfflineProvider(),
+    fallback = null,
+    cache = null,
+    maxTerms = DEFAULT_MAX_TERMS,
+    onError = null,
+  } = options;
+
+  return {
+    provider: provider.name,
+
+    /**
+     * @param {string} term
+     * @param {Object} expandOptions - { signal }
+     * @returns {Promise<string[]>}
+     */
+    async expand(term, expandOptions = {}) {
+      const useCache = cache && provider.cacheable;
+      let queries = useCache ? cache.get(provider.id, term) : null;
+
+      if (!queries) {
+        let answered = false;
+        try {
+          queries = dedupeQueries(await provider.expand(term, expandOptions));
+          answered = true;
+        } catch (err) {
+          onError?.(err, term, provider.name);
+          queries = fallback ? await fallback.expand(term, expandOptions).catch(() => []) : [];
+        }
+
+        // Apart from the provider call: the answer is still good when it can't be cached
+        if (answered && useCache) {
+          try {
+            cache.set(provider.id, term, queries);
+          } catch (err) {
+            onError?.(err, term, "cache");
+          }
+        }
+      }
+
+      return dedupeQueries([term, ...queries]).slice(0, maxTerms);
+    },
+  };
+}
@@ -0,0 +1,510 @@
+/**
+ * Listing export
+ *
+ * Turns scraped listings into files other tools can read: CSV and XLSX for
+ * spreadsheets, NDJSON for pipelines, GeoJSON for maps.
+ *
+ * Listings are flattened first - `attributes` become `attributes.<label>`
+ * columns, arrays are joined with " | " - and every export uses the same
+ * column order: the fixed LISTING_COLUMNS, then attributes, then anything
+ * else, alphabetically. XLSX files are written by hand (a zip of a few XML
+ * parts), so there is no spreadsheet dependency.
+ */
+
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import { parseAdId } from "./store.mjs";
+import { resolveLocation } from "./locations.mjs";
+
+/**
+ * Columns every CSV/XLSX export starts with, whether or not any listing has them
+ */
+export const LISTING_COLUMNS = [
+  "id",
+  "url",
+  "site",
+  "title",
+  "price",
+  "priceValue",
+  "currency",
+  "priceType",
+  "location",
+  "suburb",
+  "state",
+  "postcode",
+  "postedDate",
+  "postedAt",
+  "seller",
+  "description",
+  "image",
+  "images",
+  "imageCount",
+  "scrapedAt",
+];
+
+// Nested values that don't belong in a row (where each field came from)
+const SKIPPED_FIELDS = ["sources"];
+
+const LIST_SEPARATOR = " | ";
+
+/**
+ * Export formats with their content type and file extension
+ */
+export const EXPORT_FORMATS = {
+  json: { contentType: "application/json", extension: "json" },
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  ndjson: { contentType: "application/x-ndjson", extension: "ndjson" },
+  xlsx: { contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", extension: "xlsx" },
+  geojson: { contentType: "application/geo+json", extension: "geojson" },
+};
+
+// ============================================================================
+// FLATTENING
+// ============================================================================
+
+function flattenValue(value) {
+  if (value === null || value === undefined) return "";
+  if (Array.isArray(value)) {
+    return value
+      .map((v) => (v && typeof v === "object" ? JSON.stringify(v) : String(v)))
+      .join(LIST_SEPARATOR);
+  }
+  return value;
+}
+
+/**
+ * Flatten a listing into one level of scalar fields
+ *
+ * Nested objects become dotted keys (`attributes.Breed`), arrays are joined
+ * with " | " and `imageCount` is added next to `images`. `id` is filled in
+ * from the URL when missing.
+ *
+ * @param {Object} listing
+ * @returns {Object}
+ */
+export function flattenListing(listing) {
+  const flat = { id: listing.id || parseAdId(listing.url) };
+
+  for (const [key, value] of Object.entries(listing)) {
+    if (SKIPPED_FIELDS.includes(key) || key === "id") continue;
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      for (const [nested, nestedValue] of Object.entries(value)) {
+        flat[`${key}.${nested}`] = flattenValue(nestedValue);
+      }
+    } else {
+      flat[key] = flattenValue(value);
+    }
+  }
+
+  if (Array.isArray(listing.images)) flat.imageCount = listing.images.length;
+  return flat;
+}
+
+/**
+ * Column order for a set of flattened listings: LISTING_COLUMNS, then
+ * `attributes.*`, then every other field, each group alphabetical
+ *
+ * @param {Object[]} rows - From flattenListing()
+ * @returns {string[]}
+ */
+export function listingColumns(rows) {
+  const extra = new Set();
+  for (const row of rows) {
+    for (const key of Object.keys(row)) {
+      if (!LISTING_COLUMNS.includes(key)) extra.add(key);
+    }
+  }
+  const sorted = Array.from(extra).sort();
+  return [
+    ...LISTING_COLUMNS,
+    ...sorted.filter((c) => c.startsWith("attributes.")),
+    ...sorted.filter((c) => !c.startsWith("attributes.")),
+  ];
+}
+
+// ============================================================================
+// CSV
+// ============================================================================
+
+function csvCell(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  // Spreadsheets run cells starting with these as formulas
+  if (/^[=+@\t\r]/.test(text) || /^-[^\d.]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Listings as CSV (RFC 4180, CRLF line endings, header row first)
+ *
+ * @param {Object[]} listings
+ * @param {Object} options
+ * @param {string[]} options.columns - Columns to write (default: listingColumns())
+ * @param {boolean} options.bom - Start with a UTF-8 byte order mark, for Excel (default: false)
+ * @returns {string}
+ */
+export function toCsv(listings, options = {}) {
+  const rows = listings.map(flattenListing);
+  const columns = options.columns || listingColumns(rows);
+  const lines = [
+    columns.map(csvCell).join(","),
+    ...rows.map((row) => columns.map((c) => csvCell(row[c])).join(",")),
+  ];
+  return `${options.bom ? "\uFEFF" : ""}${lines.join("\r\n")}\r\n`;
+}
+
+// ============================================================================
+// NDJSON
+// ============================================================================
+
+/**
+ * Listings as NDJSON - one listing per line, unflattened
+ *
+ * @param {Object[]} listings
+ * @returns {string}
+ */
+export function toNdjson(listings) {
+  return listings.map((listing) => `${JSON.stringify(listing)}\n`).join("");
+}
+
+// Resolves true once the stream drains, false if it closes or fails first
+function waitForDrain(stream) {
+  return new Promise((resolve) => {
+    const finish = (drained) => {
+      stream.off("drain", onDrain);
+      stream.off("close", onClose);
+      stream.off("error", onClose);
+      resolve(drained);
+    };
+    const onDrain = () => finish(true);
+    const onClose = () => finish(false);
+    stream.on("drain", onDrain);
+    stream.on("close", onClose);
+    stream.on("error", onClose);
+  });
+}
+
+/**
+ * Write listings to a stream as NDJSON, one line at a time, waiting for
+ * the stream to drain when it's full. The stream is left open. Stops early
+ * when the stream is closed or fails, e.g. an HTTP client that went away.
+ *
+ * @param {Iterable<Object>|AsyncIterable<Object>} listings
+ * @param {Writable} stream - e.g. an HTTP response or fs.createWriteStream()
+ * @returns {Promise<number>} Lines written
+ */
+export async function writeNdjson(listings, stream) {
+  let count = 0;
+  for await (const listing of listings) {
+    if (stream.destroyed) break;
+    const ok = stream.write(`${JSON.stringify(listing)}\n`);
+    count++;
+    if (!ok && (stream.destroyed || !(await waitForDrain(stream)))) break;
+  }
+  return count;
+}
+
+// ============================================================================
+// GEOJSON
+// ============================================================================
+
+/**
+ * Coordinates for a listing
+ *
+ * Uses the listing's own `lat`/`lng` when it has them. Otherwise Gumtree AU
+ * listings are placed at their suburb (or region, or state) from the bundled
+ * location table; other sites have no table.
+ *
+ * @param {Object} listing
+ * @param {Map} cache - Reused between calls so each location is only resolved once
+ * @returns {{lat: number, lng: number, precision: string}|null} precision is
+ *   "exact", "suburb", "region" or "state"
+ */
+export function geocodeListing(listing, cache = new Map()) {
+  if (Number.isFinite(listing.lat) && Number.isFinite(listing.lng)) {
+    return { lat: listing.lat, lng: listing.lng, precision: "exact" };
+  }
+  if (listing.site && listing.site !== "gumtree-au") return null;
+
+  const text = [listing.suburb, listing.state, listing.postcode].filter(Boolean).join(" ") || listing.location;
+  if (!text) return null;
+  if (!cache.has(text)) {
+    const entry = resolveLocation(text);
+    cache.set(text, Number.isFinite(entry?.lat) && Number.isFinite(entry?.lng)
+      ? { lat: entry.lat, lng: entry.lng, precision: entry.type }
+      : null);
+  }
+  return cache.get(text);
+}
+
+/**
+ * Listings as a GeoJSON FeatureCollection of points
+ *
+ * Listings that can't be geocoded are left out; `skipped` on the collection
+ * counts them. Properties are the flattened listing plus `precision`.
+ *
+ * @param {Object[]} listings
+ * @returns {Object} FeatureCollection
+ */
+export function toGeoJson(listings) {
+  const cache = new Map();
+  const features = [];
+  let skipped = 0;
+
+  for (const listing of listings) {
+    const point = geocodeListing(listing, cache);
+    if (!point) {
+      skipped++;
+      continue;
+    }
+    features.push({
+      type: "Feature",
+      geometry: { type: "Point", coordinates: [point.lng, point.lat] },
+      properties: { ...flattenListing(listing), precision: point.precision },
+    });
+  }
+
+  return { type: "FeatureCollection", features, skipped };
+}
+
+// ============================================================================
+// XLSX
+// ============================================================================
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a zip archive (deflated entries, no zip64 - fine below 4GB)
+ *
+ * @param {Array<{name: string, data: string|Buffer}>} files
+ * @returns {Buffer}
+ */
+function zip(files) {
+  const now = new Date();
+  const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = Buffer.from(file.name, "utf-8");
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data, "utf-8");
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);           // version needed
+    local.writeUInt16LE(0x0800, 6);       // UTF-8 names
+    local.writeUInt16LE(8, 8);            // deflate
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);         // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);    // extra, comment, disk, attributes stay 0
+
+    locals.push(local, name, compressed);
+    centrals.push(central, name);
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
+
+function xmlEscape(text) {
+  return String(text)
+    // Control characters aren't allowed in XML at all
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function columnName(index) {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+// Excel's limit for one cell
+const MAX_CELL_LENGTH = 32767;
+
+function xlsxCell(ref, value, style = 0) {
+  const s = style ? ` s="${style}"` : "";
+  if (typeof value === "number" && Number.isFinite(value)) return `<c r="${ref}"${s}><v>${value}</v></c>`;
+  if (typeof value === "boolean") return `<c r="${ref}"${s} t="b"><v>${value ? 1 : 0}</v></c>`;
+  if (value === null || value === undefined || value === "") return "";
+  const text = xmlEscape(String(value).slice(0, MAX_CELL_LENGTH));
+  return `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${text}</t></is></c>`;
+}
+
+/**
+ * Listings as an XLSX workbook with one sheet: a bold, frozen, filterable
+ * header row and one row per listing
+ *
+ * @param {Object[]} listings
+ * @param {Object} options
+ * @param {string[]} options.columns - Columns to write (default: listingColumns())
+ * @param {string} options.sheetName - Sheet name (default: "Listings")
+ * @returns {Buffer}
+ */
+export function toXlsx(listings, options = {}) {
+  const rows = listings.map(flattenListing);
+  const columns = options.columns || listingColumns(rows);
+  const sheetName = xmlEscape(String(options.sheetName || "Listings").replace(/[\\/?*[\]:]/g, " ").slice(0, 31));
+  const lastColumn = columnName(Math.max(columns.length - 1, 0));
+
+  const sheetRows = [
+    `<row r="1">${columns.map((c, i) => xlsxCell(`${columnName(i)}1`, c, 1)).join("")}</row>`,
+    ...rows.map((row, r) => {
+      const n = r + 2;
+      return `<row r="${n}">${columns.map((c, i) => xlsxCell(`${columnName(i)}${n}`, row[c])).join("")}</row>`;
+    }),
+  ];
+
+  const sheet = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+<sheetData>${sheetRows.join("")}</sheetData>
+<autoFilter ref="A1:${lastColumn}${rows.length + 1}"/>
+</worksheet>`;
+
+  return zip([
+    {
+      name: "[Content_Types].xml",
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+</Types>`,
+    },
+    {
+      name: "_rels/.rels",
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`,
+    },
+    {
+      name: "xl/workbook.xml",
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets><sheet name="${sheetName}" sheetId="1" r:id="rId1"/></sheets>
+<definedNames><definedName name="_xlnm._FilterDatabase" localSheetId="0" hidden="1">'${sheetName.replace(/'/g, "''")}'!$A$1:$${lastColumn}$${rows.length + 1}</definedName></definedNames>
+</workbook>`,
+    },
+    {
+      name: "xl/_rels/workbook.xml.rels",
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`,
+    },
+    {
+      name: "xl/styles.xml",
+      // Style 1 is the bold header
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`,
+    },
+    { name: "xl/worksheets/sheet1.xml", data: sheet },
+  ]);
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+/**
+ * Export listings in one of EXPORT_FORMATS
+ *
+ * @param {Object[]} listings
+ * @param {Object} options
+ * @param {string} options.format - "json", "csv", "ndjson", "xlsx" or "geojson"
+ * @param {string[]} options.columns - Columns for csv/xlsx
+ * @param {boolean} options.bom - UTF-8 byte order mark for csv
+ * @param {string} options.sheetName - Sheet name for xlsx
+ * @returns {{format: string, contentType: string, extension: string, body: string|Buffer}}
+ */
+export function exportListings(listings, options = {}) {
+  const format = String(options.format || "json").toLowerCase();
+  const info = EXPORT_FORMATS[format];
+  if (!info) {
+    throw new Error(`Unknown export format "${options.format}" (expected ${Object.keys(EXPORT_FORMATS).join(", ")})`);
+  }
+
+  const body = {
+    json: () => JSON.stringify(listings, null, 2),
+    csv: () => toCsv(listings, options),
+    ndjson: () => toNdjson(listings),
+    xlsx: () => toXlsx(listings, options),
+    geojson: () => JSON.stringify(toGeoJson(listings)),
+  }[format]();
+
+  return { format, ...info, body };
+}
+
+/**
+ * Write listings to a file, in the format given or the one its extension names
+ *
+ * @param {string} filepath - e.g. "./output/ps5.xlsx"
+ * @param {Object[]} listings
+ * @param {Object} options - As exportListings(); `format` defaults to the extension
+ * @returns {string} The format written
+ */
+export function saveExport(filepath, listings, options = {}) {
+  const format = options.format || path.extname(filepath).slice(1);
+  const { body } = exportListings(listings, { ...options, format });
+  fs.mkdirSync(path.dirname(filepath), { recursive: true });
+  fs.writeFileSync(filepath, body);
+  return format;
+}
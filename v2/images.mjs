@@ -0,0 +1,408 @@
+/**
+ * Listing images: download, dedupe and repost detection
+ *
+ * Images are downloaded through the scrape's own page (same cookies, proxy
+ * and user agent), stored once per content hash and given a perceptual hash
+ * (dHash) computed in the page's canvas. A listing whose images look like
+ * an earlier listing's is flagged with the best match and its similarity -
+ * sellers often repost the same item under a new ad ID and title.
+ *
+ * Store layout (one directory):
+ *   files/<sha256>.<ext>   - image bytes, one file per distinct image
+ *   images.ndjson          - append-only log
+ *
+ * Log lines:
+ *   { type: "image", sha256, phash, contentType, bytes, width, height, file, at }
+ *   { type: "use", sha256, imageUrl, listingId, listingUrl, at }  - image seen on a listing
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { parseAdId } from "./store.mjs";
+
+// Perceptual hashes within this similarity count as the same picture
+const DEFAULT_MIN_SIMILARITY = 0.9;
+
+const EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/gif": "gif",
+  "image/avif": "avif",
+};
+
+// ============================================================================
+// HASHES
+// ============================================================================
+
+const BIT_COUNTS = Array.from({ length: 16 }, (_, n) => n.toString(2).replace(/0/g, "").length);
+
+/**
+ * Number of differing bits between two hex hashes of the same length
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    distance += BIT_COUNTS[parseInt(a[i], 16) ^ parseInt(b[i], 16)];
+  }
+  return distance;
+}
+
+/**
+ * Similarity of two perceptual hashes, 0 (unrelated) to 1 (identical)
+ *
+ * @param {string} a - Hex dHash
+ * @param {string} b - Hex dHash
+ * @returns {number}
+ */
+export function imageSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  return Math.round((1 - hammingDistance(a, b) / (a.length * 4)) * 1000) / 1000;
+}
+
+/**
+ * dHash of the image the page is showing (call after navigating to an
+ * image URL, so the image is same-origin and the canvas isn't tainted)
+ *
+ * The image is shrunk to 9x8 greyscale and each bit says whether a pixel
+ * is brighter than its right-hand neighbour: 64 bits that survive resizing,
+ * recompression and small edits.
+ *
+ * @param {Page} page
+ * @returns {Promise<{phash: string, width: number, height: number}|null>}
+ */
+export async function perceptualHash(page) {
+  return page.evaluate(async () => {
+    const img = document.images[0];
+    if (!img) return null;
+    if (!img.complete) await img.decode().catch(() => {});
+    if (!img.naturalWidth) return null;
+
+    const width = 9;
+    const height = 8;
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext("2d");
+    ctx.imageSmoothingQuality = "high";
+    // Transparent areas count as white
+    ctx.fillStyle = "#fff";
+    ctx.fillRect(0, 0, width, height);
+    ctx.drawImage(img, 0, 0, width, height);
+    const { data } = ctx.getImageData(0, 0, width, height);
+
+    const grey = [];
+    for (let i = 0; i < width * height; i++) {
+      grey.push(0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2]);
+    }
+
+    let phash = "";
+    for (let y = 0; y < height; y++) {
+      let nibble = 0;
+      for (let x = 0; x < width - 1; x++) {
+        nibble = (nibble << 1) | (grey[y * width + x] > grey[y * width + x + 1] ? 1 : 0);
+        if (x % 4 === 3) {
+          phash += nibble.toString(16);
+          nibble = 0;
+        }
+      }
+    }
+    return { phash, width: img.naturalWidth, height: img.naturalHeight };
+  });
+}
+
+// ============================================================================
+// DOWNLOAD
+// ============================================================================
+
+/**
+ * Download an image by navigating the page to it
+ *
+ * @param {Page} page
+ * @param {string} url
+ * @param {Object} options
+ * @param {Object} options.limiter - Rate limiter to wait on (see createRateLimiter)
+ * @param {AbortSignal} options.signal
+ * @param {number} options.timeout - Navigation timeout (default: 30000)
+ * @returns {Promise<{ok: boolean, buffer?: Buffer, contentType?: string, status: number, error?: string}>}
+ */
+export async function downloadImage(page, url, options = {}) {
+  const { limiter, signal, timeout = 30000 } = options;
+  try {
+    if (limiter) {
+      const slot = await limiter.schedule(url, { signal });
+      if (!slot.allowed) return { ok: false, status: 0, error: "Disallowed by robots.txt" };
+    }
+
+    const response = await page.goto(url, { waitUntil: "load", timeout });
+    const status = response ? response.status() : 0;
+    if (limiter && status) limiter.report(url, { status, retryAfter: response.headers()["retry-after"] });
+    if (!response || !response.ok()) return { ok: false, status, error: `Image not downloaded (HTTP ${status})` };
+
+    const contentType = (response.headers()["content-type"] || "").split(";")[0].trim().toLowerCase();
+    if (!contentType.startsWith("image/")) {
+      return { ok: false, status, error: `Not an image (${contentType || "no content type"})` };
+    }
+    return { ok: true, status, contentType, buffer: await response.buffer() };
+  } catch (e) {
+    return { ok: false, status: 0, error: e.message };
+  }
+}
+
+// ============================================================================
+// STORE
+// ============================================================================
+
+/**
+ * Open (or create) an image store
+ *
+ * @param {string} dir - Store directory (default: ./output/images)
+ * @param {Object} options
+ * @param {number} options.minSimilarity - Perceptual similarity that counts as a match (default: 0.9)
+ * @returns {Object} { dir, get, getByUrl, add, use, listingImages, findSimilar, filePath, stats }
+ */
+export function openImageStore(dir = "./output/images", options = {}) {
+  const { minSimilarity = DEFAULT_MIN_SIMILARITY } = options;
+  const filesDir = path.join(dir, "files");
+  const logFile = path.join(dir, "images.ndjson");
+  fs.mkdirSync(filesDir, { recursive: true });
+
+  const images = new Map();   // sha256 -> image record
+  const byUrl = new Map();    // image URL -> sha256
+  const byListing = new Map(); // listing ID -> Set of sha256
+  const listingUrls = new Map(); // listing ID -> listing URL
+
+  function apply(entry) {
+    if (entry.type === "image") {
+      images.set(entry.sha256, { ...entry, listings: new Set() });
+    } else if (entry.type === "use") {
+      const image = images.get(entry.sha256);
+      if (!image) return;
+      if (entry.imageUrl) byUrl.set(entry.imageUrl, entry.sha256);
+      if (!entry.listingId) return;
+      image.listings.add(entry.listingId);
+      if (!byListing.has(entry.listingId)) byListing.set(entry.listingId, new Set());
+      byListing.get(entry.listingId).add(entry.sha256);
+      if (entry.listingUrl) listingUrls.set(entry.listingId, entry.listingUrl);
+    }
+  }
+
+  if (fs.existsSync(logFile)) {
+    for (const line of fs.readFileSync(logFile, "utf-8").split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        apply(JSON.parse(line));
+      } catch (e) {
+        // A torn last line from a crash mid-write is skipped
+      }
+    }
+  }
+
+  function append(entry) {
+    fs.appendFileSync(logFile, `${JSON.stringify(entry)}\n`);
+    apply(entry);
+  }
+
+  function summary(image) {
+    const { listings, type, ...rest } = image;
+    return { ...rest, listings: Array.from(listings) };
+  }
+
+  return {
+    dir,
+
+    /**
+     * Image by content hash, or null
+     */
+    get(sha256) {
+      const image = images.get(sha256);
+      return image ? summary(image) : null;
+    },
+
+    /**
+     * Image already downloaded from this URL, or null
+     */
+    getByUrl(url) {
+      const sha256 = byUrl.get(url);
+      return sha256 ? this.get(sha256) : null;
+    },
+
+    /**
+     * Path of an image's file, or null
+     */
+    filePath(sha256) {
+      const image = images.get(sha256);
+      return image ? path.join(dir, image.file) : null;
+    },
+
+    /**
+     * Store downloaded bytes (once per content hash)
+     *
+     * @param {Object} image - { buffer, contentType, phash, width, height }
+     * @returns {{image: Object, added: boolean}} added is false when the bytes were already stored
+     */
+    add({ buffer, contentType, phash = null, width = null, height = null }) {
+      const sha256 = crypto.createHash("sha256").update(buffer).digest("hex");
+      if (images.has(sha256)) return { image: this.get(sha256), added: false };
+
+      const file = path.join("files", `${sha256}.${EXTENSIONS[contentType] || "img"}`);
+      // Write-then-rename so a crash never leaves half an image behind
+      const target = path.join(dir, file);
+      fs.writeFileSync(`${target}.tmp`, buffer);
+      fs.renameSync(`${target}.tmp`, target);
+
+      append({
+        type: "image",
+        sha256,
+        phash,
+        contentType,
+        bytes: buffer.length,
+        width,
+        height,
+        file,
+        at: new Date().toISOString(),
+      });
+      return { image: this.get(sha256), added: true };
+    },
+
+    /**
+     * Record that a listing shows an image
+     *
+     * @param {string} sha256
+     * @param {Object} use - { imageUrl, listingUrl }
+     */
+    use(sha256, { imageUrl, listingUrl }) {
+      const listingId = parseAdId(listingUrl) || listingUrl || null;
+      const image = images.get(sha256);
+      if (!image) return;
+      if (byUrl.get(imageUrl) === sha256 && (!listingId || image.listings.has(listingId))) return;
+      append({ type: "use", sha256, imageUrl, listingId, listingUrl, at: new Date().toISOString() });
+    },
+
+    /**
+     * Images recorded for a listing
+     *
+     * @param {string} listingIdOrUrl - Ad ID or listing URL
+     * @returns {Object[]}
+     */
+    listingImages(listingIdOrUrl) {
+      const id = parseAdId(listingIdOrUrl) || listingIdOrUrl;
+      return Array.from(byListing.get(id) || []).map((sha256) => this.get(sha256));
+    },
+
+    /**
+     * Other listings with an image that looks like this one
+     *
+     * @param {string} phash - Hex dHash
+     * @param {Object} options
+     * @param {string} options.exclude - Listing ID to leave out (the listing itself)
+     * @param {number} options.minSimilarity - Override the store's threshold
+     * @returns {Array<{id: string, url: string|null, similarity: number, sha256: string}>}
+     *   Best match per listing, most similar first
+     */
+    findSimilar(phash, findOptions = {}) {
+      const { exclude, minSimilarity: threshold = minSimilarity } = findOptions;
+      const best = new Map();
+      if (!phash) return [];
+      for (const image of images.values()) {
+        const similarity = imageSimilarity(phash, image.phash);
+        if (similarity < threshold) continue;
+        for (const id of image.listings) {
+          if (id === exclude) continue;
+          if (!best.has(id) || best.get(id).similarity < similarity) {
+            best.set(id, { id, url: listingUrls.get(id) || null, similarity, sha256: image.sha256 });
+          }
+        }
+      }
+      return Array.from(best.values()).sort((a, b) => b.similarity - a.similarity);
+    },
+
+    /**
+     * Counts for monitoring
+     */
+    stats() {
+      let bytes = 0;
+      for (const image of images.values()) bytes += image.bytes;
+      return { images: images.size, urls: byUrl.size, listings: byListing.size, bytes };
+    },
+  };
+}
+
+// ============================================================================
+// PIPELINE
+// ============================================================================
+
+/**
+ * Download, store and hash a listing's images, then compare them with every
+ * other listing in the store
+ *
+ * Image URLs already in the store aren't downloaded again, and identical
+ * bytes from different URLs are stored once. The page is left on the last
+ * image, so call this after the listing's details are extracted.
+ *
+ * Adds to the listing:
+ *   storedImages: [{ url, sha256, phash, file }]
+ *   imageMatches: [{ id, url, similarity, sha256 }] - other listings with a matching image
+ *   repostOf: best entry of imageMatches, or null
+ *
+ * @param {Page} page
+ * @param {Object} listing - Listing with `url` and `images` (or a card `image`)
+ * @param {Object} store - From openImageStore()
+ * @param {Object} options
+ * @param {number} options.maxImages - Images per listing (default: 5)
+ * @param {Object} options.limiter - Rate limiter for downloads
+ * @param {AbortSignal} options.signal
+ * @param {number} options.minSimilarity - Override the store's match threshold
+ * @returns {Promise<{downloaded: number, reused: number, errors: Object[]}>}
+ */
+export async function processListingImages(page, listing, store, options = {}) {
+  const { maxImages = 5, limiter, signal, minSimilarity } = options;
+  const urls = Array.from(new Set(
+    (Array.isArray(listing.images) && listing.images.length > 0 ? listing.images : [listing.image])
+      .filter((u) => typeof u === "string" && /^https?:\/\//.test(u))
+  )).slice(0, maxImages);
+
+  const report = { downloaded: 0, reused: 0, errors: [] };
+  const stored = [];
+
+  for (const url of urls) {
+    if (signal?.aborted) break;
+
+    let image = store.getByUrl(url);
+    if (image) {
+      report.reused++;
+    } else {
+      const download = await downloadImage(page, url, { limiter, signal });
+      if (!download.ok) {
+        report.errors.push({ url, error: download.error });
+        continue;
+      }
+      // Only new content needs hashing; the page is showing the image now
+      const known = store.get(crypto.createHash("sha256").update(download.buffer).digest("hex"));
+      const hash = known ? null : await perceptualHash(page).catch(() => null);
+      ({ image } = store.add({ buffer: download.buffer, contentType: download.contentType, ...hash }));
+      report.downloaded++;
+    }
+
+    store.use(image.sha256, { imageUrl: url, listingUrl: listing.url });
+    stored.push({ url, sha256: image.sha256, phash: image.phash, file: image.file });
+  }
+
+  const self = parseAdId(listing.url) || listing.url;
+  const matches = new Map();
+  for (const { phash } of stored) {
+    for (const match of store.findSimilar(phash, { exclude: self, minSimilarity })) {
+      if (!matches.has(match.id) || matches.get(match.id).similarity < match.similarity) matches.set(match.id, match);
+    }
+  }
+
+  listing.storedImages = stored;
+  listing.imageMatches = Array.from(matches.values()).sort((a, b) => b.similarity - a.similarity);
+  listing.repostOf = listing.imageMatches[0] || null;
+  return report;
+}
@@ -13,6 +13,123 @@ import puppeteer from "puppeteer-extra";
 import StealthPlugin from "puppeteer-extra-plugin-stealth";
 import fs from "fs";
 import path from "path";
+import {
+  normalizeListing,
+  parsePrice,
+  parseLocation,
+  parsePostedDate,
+} from "./normalize.mjs";
+
+import { readStructuredData } from "./structured.mjs";
+
+import { openListingStore, parseAdId } from "./store.mjs";
+import {
+  buildSearchUrl,
+  parseSearchUrl,
+  describeSearch,
+  pickSearchFilters,
+  SORT_ORDERS,
+  AD_TYPES,
+  CONDITIONS,
+} from "./search-spec.mjs";
+import {
+  resolveLocation,
+  searchLocations,
+  resolveSearchLocation,
+} from "./locations.mjs";
+import {
+  getSiteProfile,
+  useSiteProfile,
+  unwatchSiteProfile,
+  loadSiteProfile,
+  validateSiteProfile,
+  selectorHealth,
+} from "./profiles.mjs";
+import {
+  DEFAULT_SITE,
+  getAdapter,
+  adapterForUrl,
+  registerAdapter,
+  listSites,
+} from "./adapters/index.mjs";
+import {
+  isCloudflareChallenge,
+  classifyPage,
+  describePageState,
+  isBlockingState,
+  PAGE_STATES,
+} from "./adapters/common.mjs";
+import { parseProxy, createProxyManager, isProxyManager, authenticateProxy } from "./proxies.mjs";
+import { createRateLimiter, parseRetryAfter, parseRobots } from "./ratelimit.mjs";
+import { openSessionStore, captureSession, restoreSession, sessionProfileName } from "./sessions.mjs";
+import { openCheckpointStore } from "./checkpoints.mjs";
+import {
+  exportListings,
+  saveExport,
+  flattenListing,
+  listingColumns,
+  toCsv,
+  toNdjson,
+  writeNdjson,
+  toXlsx,
+  toGeoJson,
+  geocodeListing,
+  EXPORT_FORMATS,
+} from "./export.mjs";
+import {
+  openImageStore,
+  processListingImages,
+  downloadImage,
+  perceptualHash,
+  imageSimilarity,
+  hammingDistance,
+} from "./images.mjs";
+import {
+  dedupeListings,
+  clusterListings,
+  dedupeAndCluster,
+  listingSimilarity,
+  listingKey,
+} from "./dedupe.mjs";
+import {
+  createQueryExpander,
+  createExpansionProvider,
+  createOfflineProvider,
+  createLlmProvider,
+  createNoneProvider,
+  openExpansionCache,
+  dedupeQueries,
+  queryKey,
+  EXPANSION_PROVIDERS,
+} from "./expand.mjs";
+import {
+  parseSellerId,
+  sellerKey,
+  listingCategory,
+  parseMemberSince,
+  normalizeSellerProfile,
+  summarizeSeller,
+  aggregateSellers,
+  openSellerStore,
+} from "./sellers.mjs";
+
+export { normalizeListing, parsePrice, parseLocation, parsePostedDate };
+export { readStructuredData };
+export { openListingStore, parseAdId };
+export { buildSearchUrl, parseSearchUrl, describeSearch, pickSearchFilters, SORT_ORDERS, AD_TYPES, CONDITIONS };
+export { resolveLocation, searchLocations, resolveSearchLocation };
+export { getSiteProfile, useSiteProfile, unwatchSiteProfile, loadSiteProfile, validateSiteProfile, selectorHealth };
+export { getAdapter, adapterForUrl, registerAdapter, listSites, isCloudflareChallenge };
+export { classifyPage, describePageState, isBlockingState, PAGE_STATES };
+export { parseProxy, createProxyManager, isProxyManager };
+export { createRateLimiter, parseRetryAfter, parseRobots };
+export { openSessionStore, captureSession, restoreSession, sessionProfileName };
+export { openCheckpointStore };
+export { dedupeListings, clusterListings, dedupeAndCluster, listingSimilarity, listingKey };
+export { createQueryExpander, createExpansionProvider, createOfflineProvider, createLlmProvider, createNoneProvider, openExpansionCache, dedupeQueries, queryKey, EXPANSION_PROVIDERS };
+export { parseSellerId, sellerKey, listingCategory, parseMemberSince, normalizeSellerProfile, summarizeSeller, aggregateSellers, openSellerStore };
+export { openImageStore, processListingImages, downloadImage, perceptualHash, imageSimilarity, hammingDistance };
+export { exportListings, saveExport, flattenListing, listingColumns, toCsv, toNdjson, writeNdjson, toXlsx, toGeoJson, geocodeListing, EXPORT_FORMATS };
 
 puppeteer.use(StealthPlugin());
 
@@ -31,6 +148,29 @@ const DEFAULT_CONFIG = {
   proxyFile: null,
 };
 
+const DEFAULT_WARMUP_URL = "https://www.gumtree.com.au/";
+
+// Every navigation in the process waits its turn here (see setRateLimiter)
+let rateLimiter = createRateLimiter();
+
+/**
+ * Replace the shared per-host rate limiter
+ *
+ * @param {Object} limiter - From createRateLimiter()
+ * @returns {Object} The limiter
+ */
+export function setRateLimiter(limiter) {
+  rateLimiter = limiter;
+  return limiter;
+}
+
+/**
+ * The shared per-host rate limiter used by navigateTo() and warmup()
+ */
+export function getRateLimiter() {
+  return rateLimiter;
+}
+
 // ============================================================================
 // UTILITIES
 // ============================================================================
@@ -51,14 +191,28 @@ export function sanitizeFilename(str) {
 }
 
 /**
- * Load proxies from file (newline-delimited)
+ * Load proxies from file (newline-delimited, `#` starts a comment line)
+ *
+ * Lines are returned as written - see parseProxy() for the accepted formats.
  */
 export function loadProxies(filepath) {
   if (!filepath || !fs.existsSync(filepath)) return [];
   return fs.readFileSync(filepath, "utf-8")
     .split(/\r?\n/)
     .map((s) => s.trim())
-    .filter(Boolean);
+    .filter((s) => s && !s.startsWith("#"));
+}
+
+// Add one listing's processListingImages() report to a run's image counts
+function countImages(totals, report, listing) {
+  totals.downloaded += report.downloaded;
+  totals.reused += report.reused;
+  totals.failed += report.errors.length;
+  if (listing.repostOf) totals.reposts++;
+}
+
+function average(numbers) {
+  return numbers.length > 0 ? Math.round(numbers.reduce((a, b) => a + b, 0) / numbers.length) : undefined;
 }
 
 /**
@@ -78,7 +232,7 @@ export function randomFrom(arr) {
  *
  * @param {Object} options
  * @param {boolean} options.headless - Run headless (default: true)
- * @param {string} options.proxy - Proxy server URL
+ * @param {string|Object} options.proxy - Proxy (see parseProxy); credentials are applied by createPage()
  * @param {Object} options.viewport - Viewport dimensions
  * @returns {Promise<Browser>}
  */
@@ -94,7 +248,7 @@ export async function createBrowser(options = {}) {
   ];
 
   if (config.proxy) {
-    args.push(`--proxy-server=${config.proxy}`);
+    args.push(`--proxy-server=${parseProxy(config.proxy).server}`);
   }
 
   // Must use system Chrome (required for anti-detection)
@@ -130,8 +284,9 @@ export async function createBrowser(options = {}) {
 /**
  * Create a configured page with stealth settings applied
  *
- * @param {Browser} browser
+ * @param {Browser|BrowserContext} browser
  * @param {Object} options
+ * @param {string|Object} options.proxy - Proxy whose credentials the page should answer with
  * @returns {Promise<Page>}
  */
 export async function createPage(browser, options = {}) {
@@ -148,9 +303,298 @@ export async function createPage(browser, options = {}) {
   page.setDefaultTimeout(config.timeout);
   page.setDefaultNavigationTimeout(config.timeout);
 
+  await authenticateProxy(page, config.proxy);
+
   return page;
 }
 
+// ============================================================================
+// BROWSER POOL
+// ============================================================================
+
+/**
+ * Create a pool of warmed-up browser sessions
+ *
+ * Chrome is launched once (per `browsers`) and shared. Each session is a
+ * page in its own browser context, so cookies never leak between sessions
+ * and every proxy gets its own context (`proxyServer`). Released sessions
+ * stay warm and are handed to the next caller asking for the same proxy
+ * and warm-up page (i.e. the same site).
+ * Sessions on a crashed browser, closed pages and sessions released as
+ * blocked are thrown away and replaced on demand.
+ *
+ * @param {Object} options
+ * @param {number} options.size - Max sessions leased at once (default: 2)
+ * @param {number} options.browsers - Chrome processes to spread sessions over (default: 1)
+ * @param {number} options.maxUses - Recycle a session after this many leases (default: 50)
+ * @param {boolean} options.headless - Run headless (default: true)
+ * @param {string} options.warmupUrl - Page visited when a session is created (default: Gumtree AU)
+ * @returns {Object} { acquire, close, stats }
+ */
+export function createBrowserPool(options = {}) {
+  const {
+    size = 2,
+    browsers: maxBrowsers = 1,
+    maxUses = 50,
+    headless = true,
+    warmupUrl,
+    ...browserOptions
+  } = options;
+
+  const browsers = [];
+  const idle = [];
+  const waiters = [];
+  let active = 0;
+  let closed = false;
+
+  async function getBrowser() {
+    for (let i = browsers.length - 1; i >= 0; i--) {
+      if (browsers[i].browser && !browsers[i].browser.connected) browsers.splice(i, 1);
+    }
+
+    if (browsers.length < maxBrowsers) {
+      // Registered before launch resolves so concurrent callers don't over-launch
+      const entry = { browser: null, sessions: 0 };
+      entry.ready = createBrowser({ ...browserOptions, headless, proxy: null })
+        .then((browser) => (entry.browser = browser))
+        .catch((e) => {
+          browsers.splice(browsers.indexOf(entry), 1);
+          throw e;
+        });
+      browsers.push(entry);
+      await entry.ready;
+      return entry;
+    }
+
+    const entry = browsers.reduce((a, b) => (a.sessions <= b.sessions ? a : b));
+    await entry.ready;
+    return entry;
+  }
+
+  function healthy(session) {
+    return session.entry.browser.connected && !session.page.isClosed();
+  }
+
+  async function destroy(session) {
+    session.entry.sessions--;
+    await session.context.close().catch(() => {});
+  }
+
+  async function createSession(proxy, site, sessionState) {
+    const entry = await getBrowser();
+    entry.sessions++;
+    try {
+      const context = await entry.browser.createBrowserContext(proxy ? { proxyServer: proxy.server } : {});
+      const page = await createPage(context, { ...browserOptions, proxy });
+      let warmedUp = false;
+      if (sessionState) await restoreSession(page, sessionState);
+      else warmedUp = await warmup(page, site);
+      return { entry, context, page, proxy, site, uses: 0, warmedUp };
+    } catch (e) {
+      entry.sessions--;
+      throw e;
+    }
+  }
+
+  // Free a slot, handing it straight to the next waiter if there is one
+  function freeSlot() {
+    const waiter = waiters.shift();
+    if (waiter) waiter.resolve();
+    else active--;
+  }
+
+  async function release(session, outcome = {}) {
+    const { blocked = false, failed = false } = outcome;
+
+    if (closed || blocked || failed || !healthy(session) || session.uses >= maxUses) {
+      await destroy(session);
+    } else {
+      idle.push(session);
+      if (idle.length > size) await destroy(idle.shift());
+    }
+    freeSlot();
+  }
+
+  return {
+    /**
+     * Lease a warmed-up page. Waits while `size` sessions are leased.
+     *
+     * @param {Object} options
+     * @param {string|Object} options.proxy - Proxy for this session (null for direct)
+     * @param {string} options.warmupUrl - Site to warm a new session on (default: the pool's)
+     * @param {Object} options.sessionState - Saved session profile to restore into a new session instead of warming up
+     * @returns {Promise<{page: Page, proxy: Object|null, reused: boolean, warmedUp: boolean, release: Function}>}
+     *   `warmedUp` is true when this lease created the session and its warmup succeeded.
+     *   Call `release({ blocked, failed })` when done; blocked/failed sessions are recycled.
+     */
+    async acquire(options = {}) {
+      const proxy = options.proxy ? parseProxy(options.proxy) : null;
+      const proxyId = proxy?.id || null;
+      const site = options.warmupUrl || warmupUrl;
+      if (closed) throw new Error("Browser pool is closed");
+
+      if (active < size) active++;
+      else await new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+
+      try {
+        let session = null;
+        let i;
+        while (!session && (i = idle.findIndex((s) => (s.proxy?.id || null) === proxyId && s.site === site)) !== -1) {
+          const candidate = idle.splice(i, 1)[0];
+          if (healthy(candidate)) session = candidate;
+          else await destroy(candidate);
+        }
+        if (!session) session = await createSession(proxy, site, options.sessionState);
+
+        session.uses++;
+        let released = false;
+        return {
+          page: session.page,
+          proxy,
+          reused: session.uses > 1,
+          warmedUp: session.uses === 1 && session.warmedUp,
+          release: async (outcome) => {
+            if (released) return;
+            released = true;
+            await release(session, outcome);
+          },
+        };
+      } catch (e) {
+        freeSlot();
+        throw e;
+      }
+    },
+
+    /**
+     * Shut down: refuse new leases, wait for current ones (up to `timeout`
+     * ms), then close every browser
+     */
+    async close(options = {}) {
+      const { timeout = 10000 } = options;
+      closed = true;
+      waiters.splice(0).forEach((w) => w.reject(new Error("Browser pool is closed")));
+
+      const deadline = Date.now() + timeout;
+      while (active > 0 && Date.now() < deadline) await delay(200);
+
+      await Promise.all(idle.splice(0).map(destroy));
+      await Promise.all(browsers.splice(0).map((entry) =>
+        entry.ready.then((b) => b.close()).catch(() => {})
+      ));
+    },
+
+    stats() {
+      return {
+        browsers: browsers.length,
+        active,
+        idle: idle.length,
+        waiting: waiters.length,
+      };
+    },
+  };
+}
+
+/**
+ * Open a warmed-up page for a scrape, from a pool if one is given
+ *
+ * Without a pool a fresh browser is launched and closed again by `close()`.
+ * With a proxy manager the proxy is picked by health (sticky per
+ * `proxyKey`) and the session's outcome is reported back on `close()`.
+ *
+ * With a session store, a new page is restored from the saved profile
+ * (cookies, localStorage) instead of warming up. The profile is saved after
+ * a successful warmup and again when the session closes cleanly, and
+ * deleted when it closes blocked (or with a 403/429).
+ *
+ * @param {Object} options
+ * @param {Object} options.pool - Pool from createBrowserPool()
+ * @param {boolean} options.headless - Run headless (no pool)
+ * @param {Array|Object} options.proxies - Proxies to pick from, or a manager from createProxyManager()
+ * @param {string} options.proxyKey - Sticky key for the manager (e.g. a job ID)
+ * @param {string} options.warmupUrl - Page to warm up on (default: Gumtree AU home page)
+ * @param {Object} options.sessions - Store from openSessionStore()
+ * @param {string} options.sessionProfile - Profile name (default: warmup host + proxy, see sessionProfileName)
+ * @returns {Promise<{page: Page, proxy: Object|null, sessionProfile: string|null, restored: boolean, close: Function}>}
+ *   `close({ blocked, failed, status, latencyMs })` hands the page back (or closes the browser).
+ * @throws When the manager has proxies but every one is cooling down
+ */
+export async function openSession(options = {}) {
+  const { pool, headless = true, proxies = [], proxyKey, warmupUrl = DEFAULT_WARMUP_URL, sessions } = options;
+  const manager = isProxyManager(proxies) ? proxies : null;
+
+  let proxy;
+  if (manager) {
+    proxy = manager.size() > 0 ? manager.acquire({ key: proxyKey }) : null;
+    if (manager.size() > 0 && !proxy) {
+      const wait = Math.ceil(manager.nextAvailableIn() / 1000);
+      throw new Error(`All proxies are cooling down (next available in ${wait}s)`);
+    }
+  } else {
+    const picked = randomFrom(proxies);
+    proxy = picked ? parseProxy(picked) : null;
+  }
+
+  const report = (outcome) => {
+    if (manager && proxy) manager.report(proxy, outcome);
+  };
+
+  const sessionProfile = sessions ? options.sessionProfile || sessionProfileName(warmupUrl, proxy) : null;
+  const saved = sessions ? sessions.load(sessionProfile) : null;
+
+  async function persist(page) {
+    try {
+      sessions.save(sessionProfile, await captureSession(page));
+    } catch (e) {
+      // A profile that can't be saved just means warming up next time
+    }
+  }
+
+  // Save or drop the profile before the page goes away
+  async function settle(page, outcome) {
+    if (!sessions) return;
+    if (outcome.blocked || [403, 429].includes(outcome.status)) sessions.invalidate(sessionProfile);
+    else if (!outcome.failed) await persist(page);
+  }
+
+  if (pool) {
+    const lease = await pool.acquire({ proxy, warmupUrl, sessionState: saved });
+    if (sessions && lease.warmedUp) await persist(lease.page);
+    return {
+      page: lease.page,
+      proxy,
+      sessionProfile,
+      restored: Boolean(saved) && !lease.reused,
+      close: async (outcome = {}) => {
+        report(outcome);
+        await settle(lease.page, outcome);
+        return lease.release(outcome);
+      },
+    };
+  }
+
+  const browser = await createBrowser({ headless, proxy });
+  try {
+    const page = await createPage(browser, { proxy });
+    if (saved) await restoreSession(page, saved);
+    else if ((await warmup(page, warmupUrl)) && sessions) await persist(page);
+    return {
+      page,
+      proxy,
+      sessionProfile,
+      restored: Boolean(saved),
+      close: async (outcome = {}) => {
+        report(outcome);
+        await settle(page, outcome);
+        return browser.close().catch(() => {});
+      },
+    };
+  } catch (e) {
+    report({ failed: true, error: e.message });
+    await browser.close().catch(() => {});
+    throw e;
+  }
+}
+
 // ============================================================================
 // HUMAN-LIKE BEHAVIOR
 // ============================================================================
@@ -191,14 +635,22 @@ export async function humanize(page) {
 
 /**
  * Warm up session by visiting homepage first
+ *
+ * @returns {Promise<boolean>} Whether the homepage loaded (failures are non-critical)
  */
-export async function warmup(page, baseUrl = "https://www.gumtree.com.au/") {
+export async function warmup(page, baseUrl = DEFAULT_WARMUP_URL) {
   try {
-    await page.goto(baseUrl, { waitUntil: "networkidle2", timeout: 30000 });
+    const slot = await rateLimiter.schedule(baseUrl);
+    if (!slot.allowed) return false;
+    const response = await page.goto(baseUrl, { waitUntil: "networkidle2", timeout: 30000 });
+    const status = response ? response.status() : 0;
+    if (status) rateLimiter.report(baseUrl, { status, retryAfter: response.headers()["retry-after"] });
     await delay(500, 1500);
     await humanize(page);
+    return status > 0 && status < 400;
   } catch (e) {
     // Warmup failures are non-critical
+    return false;
   }
 }
 
@@ -209,55 +661,79 @@ export async function warmup(page, baseUrl = "https://www.gumtree.com.au/") {
 /**
  * Navigate to URL with retry logic and blocking detection
  *
+ * Waits for the host's turn on the rate limiter first, and reports the
+ * response back so a 429/503 slows every scrape of that host down.
+ *
  * @param {Page} page
  * @param {string} url
  * @param {Object} options
- * @returns {Promise<{ok: boolean, status: number, error?: string}>}
+ * @param {Object|null} options.limiter - Rate limiter (default: the shared one; null to skip)
+ * @param {AbortSignal} options.signal - Stop waiting for a rate limit slot
+ * @returns {Promise<{ok: boolean, status: number, ms: number, retryAfterMs?: number, error?: string}>}
+ *   `ms` is how long the page took to load; `retryAfterMs` is set when the site sent Retry-After
  */
 export async function navigateTo(page, url, options = {}) {
   const config = { ...DEFAULT_CONFIG, ...options };
+  const limiter = options.limiter === undefined ? rateLimiter : options.limiter;
+  let started = Date.now();
 
   try {
+    if (limiter) {
+      const slot = await limiter.schedule(url, { signal: options.signal });
+      if (!slot.allowed) return { ok: false, status: 0, ms: 0, error: "Disallowed by robots.txt" };
+      started = Date.now();
+    }
+
     const response = await page.goto(url, {
       waitUntil: "networkidle2",
       timeout: config.timeout,
     });
 
     const status = response ? response.status() : 0;
+    const ms = Date.now() - started;
+    const retryAfter = response?.headers()["retry-after"];
+    if (limiter && status) limiter.report(url, { status, retryAfter });
 
     // Check for blocking
     if ([403, 429, 503].includes(status)) {
-      return { ok: false, status, error: `Blocked (HTTP ${status})` };
+      const retryAfterMs = parseRetryAfter(retryAfter) || undefined;
+      return { ok: false, status, ms, retryAfterMs, error: `Blocked (HTTP ${status})` };
     }
 
     await delay(config.delayRange.min, config.delayRange.max);
     await humanize(page);
 
-    return { ok: true, status };
+    return { ok: true, status, ms };
   } catch (e) {
-    return { ok: false, status: 0, error: e.message };
+    return { ok: false, status: 0, ms: Date.now() - started, error: e.message };
   }
 }
 
 /**
  * Execute with retry logic and optional proxy rotation
  *
+ * An error with `retryable: false` (e.g. a login wall, which no retry will
+ * get past) is thrown straight away.
+ *
  * @param {Function} fn - Async function to execute
  * @param {Object} options
  * @param {number} options.retries - Number of retries
- * @param {Array} options.proxies - Array of proxy URLs
+ * @param {Array|Object} options.proxies - Array of proxy URLs, or a proxy manager
+ * @param {AbortSignal} options.signal - Stops further attempts once aborted
  * @returns {Promise<any>}
  */
 export async function withRetry(fn, options = {}) {
-  const { retries = 2, proxies = [], onRetry } = options;
+  const { retries = 2, proxies = [], onRetry, signal } = options;
   let lastError;
 
   for (let attempt = 0; attempt <= retries; attempt++) {
+    if (signal?.aborted) throw lastError || new Error("Aborted");
     try {
-      const proxy = proxies.length > 0 ? randomFrom(proxies) : null;
+      const proxy = isProxyManager(proxies) ? proxies.acquire() : randomFrom(proxies);
       return await fn({ attempt, proxy });
     } catch (e) {
       lastError = e;
+      if (e.retryable === false) break;
       if (attempt < retries) {
         const backoff = 1000 + attempt * 500 + Math.random() * 500;
         await delay(backoff);
@@ -383,7 +859,10 @@ export async function scrollToBottom(page, options = {}) {
 // ============================================================================
 
 /**
- * Build Gumtree search URL
+ * Build Gumtree search URL from free text
+ *
+ * Shorthand for buildSearchUrl({ keywords: location }, options) - use
+ * buildSearchUrl() with a full spec for categories, prices, sort etc.
  *
  * @param {string} location - Full search term (e.g., "maltipoo puppies sydney")
  * @param {Object} options
@@ -391,185 +870,90 @@ export async function scrollToBottom(page, options = {}) {
  * @returns {string}
  */
 export function buildGumtreeSearchUrl(location, options = {}) {
-  const { page = 1 } = options;
-
-  // Replace spaces with + for URL (Gumtree format)
-  const q = location.trim().replace(/\s+/g, "+");
-  let url = `https://www.gumtree.com.au/s-${q}/k0`;
-
-  // Add page parameter
-  if (page > 1) {
-    url += `?page=${page}`;
-  }
+  return buildSearchUrl({ keywords: location }, options);
+}
 
-  return url;
+/**
+ * Check whether a URL points at a Gumtree listing (ad) page, on any
+ * supported site
+ *
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isGumtreeListingUrl(url) {
+  return Boolean(adapterForUrl(url)?.isListingUrl(url));
 }
 
 /**
  * Extract listing data from a Gumtree search results page
  *
+ * Cards from the page's JSON-LD ItemList are preferred; the site profile's
+ * card selectors fill in missing fields and cards. `listing.sources`
+ * records where each field came from. Listings are normalized by the site's
+ * adapter, so typed price/location fields sit next to the raw strings.
+ *
  * @param {Page} page
+ * @param {Object} options
+ * @param {string} options.site - Site adapter (default: from the page URL, else gumtree-au)
+ * @param {Object} options.profile - Site profile (default: the site's active profile)
  * @returns {Promise<Object[]>}
  */
-export async function extractGumtreeListings(page) {
-  return page.evaluate(() => {
-    const listings = [];
-
-    // Find all listing cards
-    const cards = document.querySelectorAll('[data-testid="listing-card"], .user-ad-row, .listing-card');
-
-    cards.forEach(card => {
-      const link = card.querySelector('a[href*="/s-ad/"]');
-      const titleEl = card.querySelector('h2, h3, .listing-title, [data-testid="listing-title"]');
-      const priceEl = card.querySelector('.listing-price, [data-testid="listing-price"], .price');
-      const locationEl = card.querySelector('.listing-location, [data-testid="listing-location"], .location');
-      const imageEl = card.querySelector('img');
-
-      if (link) {
-        listings.push({
-          url: link.href,
-          title: titleEl?.innerText?.trim() || "",
-          price: priceEl?.innerText?.trim() || "",
-          location: locationEl?.innerText?.trim() || "",
-          image: imageEl?.src || "",
-        });
-      }
-    });
-
-    // Fallback: extract any /s-ad/ links if no cards found
-    if (listings.length === 0) {
-      document.querySelectorAll('a[href*="/s-ad/"]').forEach(a => {
-        listings.push({
-          url: a.href,
-          title: a.innerText?.trim() || "",
-          price: "",
-          location: "",
-          image: "",
-        });
-      });
-    }
-
-    return listings;
-  });
+export async function extractGumtreeListings(page, options = {}) {
+  return pageAdapter(page, options.site).extractListings(page, options);
 }
 
 /**
  * Extract detailed data from a Gumtree listing page
  *
+ * Reads JSON-LD, meta tags and app state first and only falls back to the
+ * site profile's selectors for fields they don't provide. `data.sources`
+ * records where each field came from ("json-ld", "meta", "state" or
+ * "selector").
+ *
  * @param {Page} page
+ * @param {Object} options
+ * @param {string} options.site - Site adapter (default: from the page URL, else gumtree-au)
+ * @param {Object} options.profile - Site profile (default: the site's active profile)
  * @returns {Promise<Object>}
  */
-export async function extractGumtreeListingDetails(page) {
-  const data = {
-    title: await extractFirst(page, [
-      "h1",
-      "[data-testid='listing-title']",
-      ".listing-title",
-      ".ad-title",
-    ]),
-
-    price: await extractFirst(page, [
-      "[data-testid='listing-price']",
-      ".listing-price",
-      ".price",
-      "[itemprop='price']",
-    ]),
-
-    location: await extractFirst(page, [
-      "[data-testid='listing-location']",
-      ".listing-location",
-      ".location",
-      "[itemprop='address']",
-    ]),
-
-    description: await extractFirst(page, [
-      "[data-testid='listing-description']",
-      ".listing-description",
-      ".description",
-      "[itemprop='description']",
-    ]),
-
-    seller: await extractFirst(page, [
-      "[data-testid='seller-name']",
-      ".seller-name",
-      ".seller-info .name",
-    ]),
-
-    postedDate: await extractFirst(page, [
-      "[data-testid='listing-date']",
-      ".listing-date",
-      ".posted-date",
-      "time",
-    ]),
-
-    attributes: {},
-    images: [],
-    url: page.url(),
-    scrapedAt: new Date().toISOString(),
-  };
-
-  // Extract attributes/specs
-  try {
-    data.attributes = await page.evaluate(() => {
-      const attrs = {};
-      const rows = document.querySelectorAll('.attribute-row, [data-testid="attribute"], .specs-row, dl dt');
-      rows.forEach(row => {
-        const label = row.querySelector('dt, .label, .attr-name')?.innerText?.trim();
-        const value = row.querySelector('dd, .value, .attr-value')?.innerText?.trim();
-        if (label && value) attrs[label] = value;
-      });
-      return attrs;
-    });
-  } catch (e) {}
-
-  // Extract images
-  try {
-    data.images = await page.evaluate(() => {
-      return Array.from(document.querySelectorAll('.gallery img, .carousel img, [data-testid="gallery"] img'))
-        .map(img => img.src || img.dataset.src)
-        .filter(Boolean);
-    });
-  } catch (e) {}
-
-  return data;
+export async function extractGumtreeListingDetails(page, options = {}) {
+  return pageAdapter(page, options.site).extractListingDetails(page, options);
 }
 
 /**
- * Check if current page shows Cloudflare challenge
+ * Extract a seller's profile from their Gumtree profile page
+ *
+ * Reads the site profile's `seller` section. Typed `memberSinceAt`,
+ * `responseRatePct` and `activeListingCount` sit next to the raw strings.
+ *
+ * @param {Page} page
+ * @param {Object} options
+ * @param {string} options.site - Site adapter (default: from the page URL, else gumtree-au)
+ * @param {Object} options.profile - Site profile (default: the site's active profile)
+ * @returns {Promise<Object>}
  */
-export async function isCloudflareChallenge(page) {
-  return page.evaluate(() => {
-    const title = document.title.toLowerCase();
-    const body = document.body?.innerText?.toLowerCase() || "";
-    return (
-      title.includes("just a moment") ||
-      title.includes("attention required") ||
-      body.includes("checking your browser") ||
-      body.includes("cloudflare") ||
-      document.querySelector("#challenge-form") !== null
-    );
-  });
+export async function extractGumtreeSellerProfile(page, options = {}) {
+  const adapter = pageAdapter(page, options.site);
+  if (!adapter.extractSellerProfile) throw new Error(`Seller profiles aren't supported on ${adapter.site}`);
+  return adapter.extractSellerProfile(page, options);
 }
 
 /**
- * Check pagination info
+ * Check pagination info, using the site profile's pagination rules
+ *
+ * @param {Page} page
+ * @param {Object} options
+ * @param {string} options.site - Site adapter (default: from the page URL, else gumtree-au)
+ * @param {Object} options.profile - Site profile (default: the site's active profile)
  */
-export async function getPaginationInfo(page) {
-  return page.evaluate(() => {
-    const pager = document.querySelector('.pagination, [data-testid="pagination"], .pager');
-    if (!pager) return { currentPage: 1, totalPages: 1, hasNext: false };
-
-    const current = pager.querySelector('.active, .current, [aria-current="page"]');
-    const next = pager.querySelector('a[rel="next"], .next:not(.disabled), [aria-label*="Next"]');
-    const pages = Array.from(pager.querySelectorAll('a, button')).map(el => parseInt(el.innerText)).filter(n => !isNaN(n));
+export async function getPaginationInfo(page, options = {}) {
+  return pageAdapter(page, options.site).getPaginationInfo(page, options);
+}
 
-    return {
-      currentPage: current ? parseInt(current.innerText) || 1 : 1,
-      totalPages: pages.length > 0 ? Math.max(...pages) : 1,
-      hasNext: !!next,
-      nextUrl: next?.href || null,
-    };
-  });
+// The named site's adapter, or the one for the page's current URL
+function pageAdapter(page, site) {
+  if (site) return getAdapter(site);
+  return adapterForUrl(page.url()) || getAdapter(DEFAULT_SITE);
 }
 
 // ============================================================================
@@ -617,97 +1001,651 @@ export async function saveScreenshot(page, filepath) {
 /**
  * Complete search scrape with all pages
  *
+ * Pass `query` and `location` separately ("iphone 15", "paramatta") - on
+ * Gumtree AU the location is resolved to its location slug and ID. Passing
+ * only `location` treats it as the full search term, as older callers do.
+ *
+ * Everything site-specific goes through the `site` adapter; the results
+ * have the same shape on every site.
+ *
+ * With `checkpoints`, progress is saved after every results page and every
+ * listing's details. `resume: runId` continues a run from its checkpoint
+ * (search, site and settings come from the checkpoint): finished pages and
+ * details are not fetched again, and `listings` includes everything the
+ * earlier attempts gathered. Details that failed before are retried.
+ * Callbacks only fire for work done in this call.
+ *
  * @param {Object} options
- * @param {string} options.query - Search term
- * @param {string} options.location - Location filter
- * @param {number} options.maxPages - Maximum pages to scrape
+ * @param {string} options.site - "gumtree-au" (default) or "gumtree-uk" (or `search.site`)
+ * @param {string} options.query - Search keywords
+ * @param {string} options.location - Where to search (with `query`), or the full search term (alone)
+ * @param {Object} options.search - Search spec for buildSearchUrl() (used instead of `query`/`location`)
+ * @param {number} options.maxPages - Maximum pages to scrape (default: 5)
+ * @param {boolean} options.scrapeDetails - Also visit every listing's detail page
  * @param {boolean} options.headless - Run headless
  * @param {Function} options.onPage - Callback after each page
- * @param {Function} options.onListing - Callback for each listing
- * @returns {Promise<Object>}
+ * @param {Function} options.onListing - Callback for each listing found on a results page
+ * @param {Function} options.onDetail - Callback for each listing after its details are scraped
+ * @param {Function} options.onBlocked - Callback when a page is blocked ({ page, url, error })
+ * @param {Function} options.onNavigate - Callback for every page load tried, blocked and failed ones
+ *   included ({ kind: "search" | "listing", url }), e.g. to meter usage
+ * @param {Object} options.store - Listing store from openListingStore() to upsert into
+ * @param {Array|Object} options.proxies - Proxies to pick from, or a manager from createProxyManager()
+ * @param {string} options.proxyKey - Keep this key (e.g. a job ID) on one proxy while it stays healthy
+ * @param {Object} options.sessions - Session store from openSessionStore(): restore saved cookies instead of warming up
+ * @param {string} options.sessionProfile - Session profile name (default: site + proxy)
+ * @param {Object} options.pool - Browser pool from createBrowserPool() (default: own browser)
+ * @param {Object} options.profile - Site profile (default: the site's active profile)
+ * @param {AbortSignal} options.signal - Abort the scrape (closes the page)
+ * @param {Object|boolean} options.images - Image store from openImageStore(), or true for ./output/images:
+ *   download each listing's images (the card thumbnail without scrapeDetails) and flag reposts
+ * @param {number} options.maxImages - Images per listing (default: 5)
+ * @param {Object|boolean} options.checkpoints - Store from openCheckpointStore(), or true for ./output/checkpoints
+ * @param {string} options.runId - ID for this run's checkpoint (default: random)
+ * @param {string} options.resume - Run ID to continue from its checkpoint
+ * @returns {Promise<Object>} Includes `health`: selector fill rates for the
+ *   cards (and detail pages, with scrapeDetails) - see selectorHealth() -
+ *   `proxy`: the proxy used (credentials masked), `pageStates`: what each
+ *   results page was classified as (see classifyPage), and `removed`:
+ *   listings whose detail page said they're gone, `runId` with checkpoints,
+ *   and `images` download counts with an image store. Each listing has the
+ *   `page` it was found on; an ad already found on an earlier page is
+ *   skipped and counted in `duplicates`.
  */
 export async function scrapeGumtreeSearch(options) {
   const {
-    location,  // Full search term, e.g. "maltipoo puppies sydney"
-    maxPages = 5,
+    query,     // e.g. "maltipoo puppies"
+    location,  // e.g. "sydney", or the full search term when there's no query
     headless = true,
     onPage,
     onListing,
-    scrapeDetails = false,
+    onDetail,
+    onBlocked,
+    onNavigate,
     proxies = [],
+    proxyKey,
+    sessions,
+    sessionProfile,
+    store,
+    pool,
+    signal,
+    runId,
+    resume,
+    maxImages,
   } = options;
 
+  const imageStore = options.images === true ? openImageStore() : options.images || null;
+  const checkpoints = options.checkpoints === true || (resume && !options.checkpoints)
+    ? openCheckpointStore()
+    : options.checkpoints || null;
+  const resumed = resume ? checkpoints.load(resume) : null;
+  if (resume && !resumed) throw new Error(`No checkpoint for run ${resume}`);
+
+  const maxPages = options.maxPages ?? resumed?.maxPages ?? 5;
+  const scrapeDetails = options.scrapeDetails ?? resumed?.scrapeDetails ?? false;
+  const adapter = getAdapter(resumed?.site || options.site || options.search?.site);
+  const profile = options.profile || adapter.profile();
+
+  let search;
+  let resolvedLocation;
+  if (resumed) {
+    ({ search, resolvedLocation } = resumed);
+  } else {
+    const spec = options.search
+      || (query !== undefined ? { keywords: query, location } : { keywords: location });
+    ({ search, location: resolvedLocation } = adapter.resolveSearch(spec));
+  }
+  const label = describeSearch(search);
+
+  const checkpoint = resumed || checkpoints?.create({
+    runId,
+    site: adapter.site,
+    search,
+    resolvedLocation,
+    maxPages,
+    scrapeDetails,
+  });
+
   const results = {
+    site: adapter.site,
+    query,
     location,
-    listings: [],
-    pagesScraped: 0,
+    resolvedLocation,
+    search,
+    listings: resumed ? [...resumed.listings] : [],
+    pagesScraped: resumed?.pagesScraped || 0,
+    pageStates: [],
+    removed: resumed ? [...resumed.removed] : [],
+    duplicates: 0,
     errors: [],
+    profile: { name: profile.name, version: profile.version },
   };
+  if (checkpoint) results.runId = checkpoint.runId;
+  if (store) results.stored = { added: 0, updated: 0, unchanged: 0 };
+  if (imageStore) results.images = { downloaded: 0, reused: 0, failed: 0, reposts: 0 };
 
-  let browser;
-
-  try {
-    const proxy = randomFrom(proxies);
-    browser = await createBrowser({ headless, proxy });
-    const page = await createPage(browser);
+  function saveCheckpoint(changes) {
+    if (!checkpoint) return;
+    Object.assign(checkpoint, changes);
+    try {
+      checkpoints.save(checkpoint);
+    } catch (e) {
+      if (!results.errors.some((err) => err.checkpoint)) {
+        results.errors.push({ error: `Checkpoint not saved: ${e.message}`, checkpoint: true });
+      }
+    }
+  }
 
-    // Warmup
-    await warmup(page);
+  if (resumed) saveCheckpoint({ status: "running", maxPages, scrapeDetails });
 
-    let currentPage = 1;
-    let hasMore = true;
+  // Download a listing's images and look for earlier listings that share them
+  async function fetchImages(page, listing) {
+    const report = await processListingImages(page, listing, imageStore, { maxImages, limiter: rateLimiter, signal });
+    countImages(results.images, report, listing);
+  }
 
-    while (hasMore && currentPage <= maxPages) {
-      const url = buildGumtreeSearchUrl(location, { page: currentPage });
+  // Fetch details for listings that don't have them yet. Returns false when
+  // it stopped early (aborted or blocked), leaving some unvisited.
+  async function fetchDetails(page, listings, pageNumber) {
+    for (const listing of listings) {
+      if (signal?.aborted) return false;
+      if (detailsDone.has(listing.url)) continue;
+      try {
+        const detailNav = await navigateTo(page, listing.url, { signal });
+        if (onNavigate) onNavigate({ kind: "listing", url: listing.url });
+        if (!detailNav.status) {
+          listing.error = detailNav.error;
+          continue;
+        }
 
-      const nav = await navigateTo(page, url);
+        const detailState = await adapter.classify(page, { kind: "listing", status: detailNav.status, profile });
+        if (detailState.type === PAGE_STATES.REMOVED) {
+          listing.removed = true;
+          results.removed.push(listing.url);
+          detailsDone.add(listing.url);
+          saveCheckpoint({ detailsDone: Array.from(detailsDone), removed: results.removed });
+          continue;
+        }
+        if (detailState.type !== PAGE_STATES.OK) {
+          listing.error = detailNav.ok ? describePageState(detailState) : detailNav.error;
+          if (detailState.blocked) {
+            // Every following page would be blocked too
+            blocked = true;
+            if (!detailNav.ok) status = detailNav.status;
+            retryAfterMs = detailNav.retryAfterMs;
+            results.errors.push({ page: pageNumber, url: listing.url, error: listing.error, state: detailState.type });
+            if (onBlocked) onBlocked({ page: pageNumber, url: listing.url, error: listing.error, state: detailState.type });
+            return false;
+          }
+          continue;
+        }
 
-      if (!nav.ok) {
-        results.errors.push({ page: currentPage, error: nav.error });
-        break;
+        loadTimes.push(detailNav.ms);
+        const detail = await adapter.extractListingDetails(page, { profile });
+        details.push(detail);
+        delete listing.error;
+        Object.assign(listing, detail);
+        if (imageStore) await fetchImages(page, listing);
+        detailsDone.add(listing.url);
+        // The listing object is part of the checkpoint, so its details are saved too
+        saveCheckpoint({ detailsDone: Array.from(detailsDone) });
+        if (onDetail) onDetail(listing);
+      } catch (e) {
+        listing.error = e.message;
       }
+    }
+    return true;
+  }
 
-      // Check for Cloudflare
-      if (await isCloudflareChallenge(page)) {
-        results.errors.push({ page: currentPage, error: "Cloudflare challenge detected" });
+  let currentPage = checkpoint?.nextPage || 1;
+  let hasMore = checkpoint ? checkpoint.hasMore : true;
+  // A page whose details were still being fetched when the last attempt stopped
+  let unfinished = checkpoint?.current || null;
+  const detailsDone = new Set(checkpoint?.detailsDone || []);
+  // Ads already collected: results shift between pages, so one can show up twice
+  const seenAds = new Set([...results.listings, ...(unfinished?.listings || [])].map(listingKey));
+  // Details that failed on earlier attempts are retried first
+  const missed = resumed && scrapeDetails
+    ? results.listings.filter((l) => !l.removed && !detailsDone.has(l.url))
+    : [];
+
+  // Cards as extracted, before detail pages fill in their gaps
+  const cards = [];
+  const details = [];
+
+  let session;
+  let blocked = false;
+  let failed = false;
+  let status;
+  let retryAfterMs;
+  const loadTimes = [];
+  // Closing the page makes any in-flight navigation reject straight away
+  const onAbort = () => session?.page.close().catch(() => {});
+  signal?.addEventListener("abort", onAbort, { once: true });
+
+  try {
+    // A resumed run that had already finished needs no browser
+    if (missed.length > 0 || unfinished || (hasMore && currentPage <= maxPages)) {
+      session = await openSession({ pool, headless, proxies, proxyKey, sessions, sessionProfile, warmupUrl: adapter.homeUrl });
+      results.proxy = session.proxy?.label || null;
+      if (sessions) results.session = { profile: session.sessionProfile, restored: session.restored };
+    }
+    const page = session?.page;
+
+    if (missed.length > 0) {
+      await fetchDetails(page, missed, null);
+      saveCheckpoint({ listings: results.listings.slice() });
+    }
+
+    while (hasMore && !blocked && currentPage <= maxPages) {
+      if (signal?.aborted) {
+        results.errors.push({ page: currentPage, error: "Aborted" });
         break;
       }
 
-      // Extract listings
-      const listings = await extractGumtreeListings(page);
+      let url;
+      let listings;
+      let pagination;
+
+      if (unfinished && unfinished.page === currentPage) {
+        // Resuming mid-page: the cards (and any details) are in the checkpoint
+        ({ url, listings, pagination } = unfinished);
+        unfinished = null;
+      } else {
+        url = adapter.buildSearchUrl(search, { page: currentPage });
+
+        const nav = await navigateTo(page, url, { signal });
+        if (onNavigate) onNavigate({ kind: "search", url });
+
+        // No response at all: timeout, network error or robots.txt
+        if (!nav.status) {
+          results.errors.push({ page: currentPage, error: nav.error });
+          break;
+        }
+
+        const state = await adapter.classify(page, { kind: "search", status: nav.status, profile });
+        results.pageStates.push({ page: currentPage, type: state.type, evidence: state.evidence });
+
+        // The search worked and found nothing - a result, not a failure
+        if (state.type === PAGE_STATES.NO_RESULTS) {
+          results.pagesScraped++;
+          saveCheckpoint({ nextPage: currentPage + 1, hasMore: false, pagesScraped: results.pagesScraped, current: null });
+          if (onPage) onPage({ page: currentPage, listings: [], url });
+          break;
+        }
+
+        if (state.type !== PAGE_STATES.OK) {
+          const error = nav.ok ? describePageState(state) : nav.error;
+          results.errors.push({ page: currentPage, error, state: state.type, evidence: state.evidence });
+          if (state.blocked) {
+            blocked = true;
+            if (!nav.ok) status = nav.status;
+            retryAfterMs = nav.retryAfterMs;
+            if (onBlocked) onBlocked({ page: currentPage, url, error, state: state.type });
+          }
+          break;
+        }
+        loadTimes.push(nav.ms);
+
+        // Extract listings
+        listings = await adapter.extractListings(page, { profile });
+        cards.push(...listings.map((listing) => ({ ...listing })));
+        const found = listings.length;
+        listings = listings.filter((listing) => !seenAds.has(listingKey(listing)));
+        results.duplicates += found - listings.length;
+        for (const listing of listings) {
+          listing.page = currentPage;
+          seenAds.add(listingKey(listing));
+        }
+        if (onListing) listings.forEach((listing) => onListing(listing));
+
+        // Read pagination now, before detail pages navigate away from the results
+        pagination = await adapter.getPaginationInfo(page, { profile });
+
+        saveCheckpoint({ current: { page: currentPage, url, listings, pagination } });
+      }
 
       // Optionally scrape individual listing details
-      if (scrapeDetails && listings.length > 0) {
+      const detailsComplete = scrapeDetails ? await fetchDetails(page, listings, currentPage) : true;
+      if (imageStore && !scrapeDetails) {
         for (const listing of listings) {
-          try {
-            await navigateTo(page, listing.url);
-            const details = await extractGumtreeListingDetails(page);
-            Object.assign(listing, details);
-            if (onListing) onListing(listing);
-            await delay(1000, 2000);
-          } catch (e) {
-            listing.error = e.message;
-          }
+          if (signal?.aborted) break;
+          await fetchImages(page, listing);
         }
       }
 
       results.listings.push(...listings);
       results.pagesScraped++;
 
+      if (store) {
+        const stored = store.upsert(listings, { query: label });
+        results.stored.added += stored.added.length;
+        results.stored.updated += stored.updated.length;
+        results.stored.unchanged += stored.unchanged.length;
+        store.markRemoved(listings.filter((l) => l.removed).map((l) => l.url));
+      }
+
       if (onPage) onPage({ page: currentPage, listings, url });
 
-      // Check pagination
-      const pagination = await getPaginationInfo(page);
-      hasMore = pagination.hasNext && currentPage < pagination.totalPages;
+      hasMore = !blocked && pagination.hasNext && currentPage < pagination.totalPages;
       currentPage++;
 
-      if (hasMore) await delay(1500, 3000);
+      // A page is done once every listing on it has been visited; details
+      // that failed are retried when the run is resumed
+      if (detailsComplete) {
+        saveCheckpoint({ nextPage: currentPage, hasMore, pagesScraped: results.pagesScraped, listings: results.listings.slice(), current: null });
+      }
+    }
+
+  } catch (e) {
+    results.errors.push({ error: signal?.aborted ? "Aborted" : e.message });
+    failed = true;
+  } finally {
+    signal?.removeEventListener("abort", onAbort);
+    if (session) await session.close({ blocked, failed, status, retryAfterMs, latencyMs: average(loadTimes) });
+    if (checkpoint) {
+      const finished = !checkpoint.current && (!checkpoint.hasMore || checkpoint.nextPage > maxPages);
+      saveCheckpoint({ status: finished ? "done" : "interrupted" });
+    }
+  }
+
+  results.health = { search: selectorHealth(cards, { section: "search", profile }) };
+  if (scrapeDetails) results.health.detail = selectorHealth(details, { section: "detail", profile });
+
+  return results;
+}
+
+/**
+ * Scrape full details for a list of Gumtree listing URLs
+ *
+ * Uses a single browser session (own browser, or a pool lease) for all URLs.
+ * Stops early on a challenge or rate limit, since every following URL
+ * would be blocked too. Removed or expired listings are listed in
+ * `removed` (and marked in the store) instead of being scraped. Each URL is
+ * read with its own site's adapter; the session is warmed up on the first
+ * URL's site.
+ *
+ * @param {Object} options
+ * @param {string[]} options.urls - Listing URLs (https://www.gumtree.com.au/s-ad/..., https://www.gumtree.com/p/...)
+ * @param {boolean} options.headless - Run headless
+ * @param {Array|Object} options.proxies - Proxies to pick from, or a manager from createProxyManager()
+ * @param {string} options.proxyKey - Sticky key for the proxy manager
+ * @param {Object} options.sessions - Session store from openSessionStore()
+ * @param {string} options.sessionProfile - Session profile name (default: site + proxy)
+ * @param {Function} options.onListing - Callback for each scraped listing
+ * @param {Object} options.store - Listing store from openListingStore() to upsert into
+ * @param {Object} options.pool - Browser pool from createBrowserPool() (default: own browser)
+ * @param {Object} options.profile - Site profile (default: each site's active profile)
+ * @param {AbortSignal} options.signal - Abort the scrape (closes the page)
+ * @param {Object|boolean} options.images - Image store from openImageStore(), or true for ./output/images
+ * @param {number} options.maxImages - Images per listing (default: 5)
+ * @returns {Promise<Object>} `{ listings, removed, errors, health }` - health per site,
+ *   plus `images` download counts with an image store
+ */
+export async function scrapeGumtreeListingDetails(options) {
+  const {
+    urls = [],
+    headless = true,
+    onListing,
+    proxies = [],
+    proxyKey,
+    sessions,
+    sessionProfile,
+    store,
+    pool,
+    profile,
+    signal,
+    maxImages,
+  } = options;
+
+  const imageStore = options.images === true ? openImageStore() : options.images || null;
+
+  const results = {
+    listings: [],
+    removed: [],
+    errors: [],
+  };
+  if (imageStore) results.images = { downloaded: 0, reused: 0, failed: 0, reposts: 0 };
+
+  const adapterFor = (url) => adapterForUrl(url) || getAdapter(DEFAULT_SITE);
+
+  let session;
+  let blocked = false;
+  let failed = false;
+  let status;
+  let retryAfterMs;
+  const loadTimes = [];
+  const onAbort = () => session?.page.close().catch(() => {});
+  signal?.addEventListener("abort", onAbort, { once: true });
+
+  try {
+    const warmupUrl = urls.length > 0 ? adapterFor(urls[0]).homeUrl : undefined;
+    session = await openSession({ pool, headless, proxies, proxyKey, sessions, sessionProfile, warmupUrl });
+    const { page } = session;
+    results.proxy = session.proxy?.label || null;
+    if (sessions) results.session = { profile: session.sessionProfile, restored: session.restored };
+
+    for (const url of urls) {
+      const adapter = adapterFor(url);
+
+      if (signal?.aborted) {
+        results.errors.push({ url, error: "Aborted" });
+        break;
+      }
+
+      const nav = await navigateTo(page, url, { signal });
+
+      if (!nav.status) {
+        results.errors.push({ url, error: nav.error });
+        continue;
+      }
+
+      const state = await adapter.classify(page, { kind: "listing", status: nav.status, profile });
+
+      if (state.type === PAGE_STATES.REMOVED) {
+        results.removed.push(url);
+        if (store) store.markRemoved([url]);
+        continue;
+      }
+
+      if (state.type !== PAGE_STATES.OK) {
+        const error = nav.ok ? describePageState(state) : nav.error;
+        results.errors.push({ url, error, state: state.type, evidence: state.evidence });
+        if (state.blocked) {
+          blocked = true;
+          if (!nav.ok) status = nav.status;
+          retryAfterMs = nav.retryAfterMs;
+          break;
+        }
+        continue;
+      }
+      loadTimes.push(nav.ms);
+
+      const details = await adapter.extractListingDetails(page, { profile });
+      if (imageStore) {
+        const report = await processListingImages(page, details, imageStore, { maxImages, limiter: rateLimiter, signal });
+        countImages(results.images, report, details);
+      }
+      results.listings.push(details);
+      if (store) store.upsert([details]);
+      if (onListing) onListing(details);
+    }
+
+  } catch (e) {
+    results.errors.push({ error: signal?.aborted ? "Aborted" : e.message });
+    failed = true;
+  } finally {
+    signal?.removeEventListener("abort", onAbort);
+    if (session) await session.close({ blocked, failed, status, retryAfterMs, latencyMs: average(loadTimes) });
+  }
+
+  results.health = {};
+  for (const site of new Set(results.listings.map((l) => l.site))) {
+    const listings = results.listings.filter((l) => l.site === site);
+    results.health[site] = selectorHealth(listings, { section: "detail", profile: profile || getSiteProfile(site) });
+  }
+
+  return results;
+}
+
+/**
+ * Scrape a Gumtree seller: their profile and their other listings
+ *
+ * Give the seller's profile URL, or a listing URL to follow the seller link
+ * from. The seller's listings are read page by page as search cards, up to
+ * `maxPages`, and tagged with the seller's `seller`, `sellerId` and
+ * `sellerUrl`. Stops on a challenge or rate limit like the other scrapers;
+ * a seller whose page is gone comes back with `removed: true`.
+ *
+ * @param {Object} options
+ * @param {string} options.url - Seller profile URL
+ * @param {string} options.listingUrl - Listing URL to find the seller from (when there's no `url`)
+ * @param {number} options.maxPages - Pages of the seller's listings to read (default: 5)
+ * @param {boolean} options.headless - Run headless
+ * @param {Array|Object} options.proxies - Proxies to pick from, or a manager from createProxyManager()
+ * @param {string} options.proxyKey - Sticky key for the proxy manager
+ * @param {Object} options.sessions - Session store from openSessionStore()
+ * @param {string} options.sessionProfile - Session profile name (default: site + proxy)
+ * @param {Function} options.onListing - Callback for each of the seller's listings
+ * @param {Function} options.onNavigate - Callback for every page load tried ({ kind: "listing" | "seller", url })
+ * @param {Object} options.store - Listing store from openListingStore() to upsert into
+ * @param {Object} options.sellers - Seller store from openSellerStore() to save the profile to
+ * @param {Object} options.pool - Browser pool from createBrowserPool() (default: own browser)
+ * @param {Object} options.profile - Site profile (default: the site's active profile)
+ * @param {AbortSignal} options.signal - Abort the scrape (closes the page)
+ * @returns {Promise<Object>} `{ seller, listings, stats, pagesScraped, removed, errors }` -
+ *   `stats` from summarizeSeller(); `listing` too when found from a listing URL
+ */
+export async function scrapeGumtreeSeller(options) {
+  const {
+    url,
+    listingUrl,
+    maxPages = 5,
+    headless = true,
+    onListing,
+    onNavigate,
+    proxies = [],
+    proxyKey,
+    sessions,
+    sessionProfile,
+    store,
+    sellers,
+    pool,
+    profile,
+    signal,
+  } = options;
+
+  if (!url && !listingUrl) throw new Error("scrapeGumtreeSeller needs a url or a listingUrl");
+  const adapter = adapterForUrl(url || listingUrl) || getAdapter(DEFAULT_SITE);
+  if (!adapter.extractSellerProfile) throw new Error(`Seller profiles aren't supported on ${adapter.site}`);
+
+  const results = {
+    seller: null,
+    listings: [],
+    pagesScraped: 0,
+    removed: false,
+    errors: [],
+  };
+
+  let session;
+  let blocked = false;
+  let failed = false;
+  let status;
+  let retryAfterMs;
+  const loadTimes = [];
+  const onAbort = () => session?.page.close().catch(() => {});
+  signal?.addEventListener("abort", onAbort, { once: true });
+
+  // Navigate and classify; records the error and returns null unless the page is usable
+  const load = async (page, pageUrl, kind) => {
+    const nav = await navigateTo(page, pageUrl, { signal });
+    if (onNavigate) onNavigate({ kind: kind === "listing" ? "listing" : "seller", url: pageUrl });
+    if (!nav.status) {
+      results.errors.push({ url: pageUrl, error: nav.error });
+      return null;
+    }
+    const state = await adapter.classify(page, { kind, status: nav.status, profile });
+    if (state.type !== PAGE_STATES.OK) {
+      // A gone seller or an empty last page isn't an error
+      if (state.type === PAGE_STATES.REMOVED || state.type === PAGE_STATES.NO_RESULTS) return state;
+      const error = nav.ok ? describePageState(state) : nav.error;
+      results.errors.push({ url: pageUrl, error, state: state.type, evidence: state.evidence });
+      if (state.blocked) {
+        blocked = true;
+        if (!nav.ok) status = nav.status;
+        retryAfterMs = nav.retryAfterMs;
+      }
+      return null;
+    }
+    loadTimes.push(nav.ms);
+    return state;
+  };
+
+  try {
+    session = await openSession({ pool, headless, proxies, proxyKey, sessions, sessionProfile, warmupUrl: adapter.homeUrl });
+    const { page } = session;
+    results.proxy = session.proxy?.label || null;
+    if (sessions) results.session = { profile: session.sessionProfile, restored: session.restored };
+
+    let sellerUrl = url;
+    if (!sellerUrl) {
+      const state = await load(page, listingUrl, "listing");
+      if (state?.type === PAGE_STATES.REMOVED) {
+        results.errors.push({ url: listingUrl, error: describePageState(state), state: state.type });
+        if (store) store.markRemoved([listingUrl]);
+      }
+      if (state?.type !== PAGE_STATES.OK) return results;
+
+      results.listing = await adapter.extractListingDetails(page, { profile });
+      if (store) store.upsert([results.listing]);
+      sellerUrl = results.listing.sellerUrl;
+      if (!sellerUrl) {
+        results.errors.push({ url: listingUrl, error: "No seller link on the listing" });
+        return results;
+      }
     }
 
+    const seen = new Set();
+    let pageUrl = sellerUrl;
+    while (pageUrl && results.pagesScraped < maxPages) {
+      if (signal?.aborted) {
+        results.errors.push({ url: pageUrl, error: "Aborted" });
+        break;
+      }
+
+      const first = results.pagesScraped === 0;
+      const state = await load(page, pageUrl, first ? "seller" : "search");
+      if (state?.type === PAGE_STATES.REMOVED) {
+        results.removed = true;
+        break;
+      }
+      if (state?.type !== PAGE_STATES.OK) break;
+
+      if (first) {
+        results.seller = await adapter.extractSellerProfile(page, { profile });
+        if (sellers && results.seller.id) sellers.save(results.seller);
+      }
+      const { name, id, url: profileUrl } = results.seller;
+
+      const listings = (await adapter.extractListings(page, { profile }))
+        .filter((l) => !seen.has(l.url))
+        .map((l) => ({ ...l, seller: name || l.seller || "", sellerId: id, sellerUrl: profileUrl }));
+      listings.forEach((l) => seen.add(l.url));
+      results.listings.push(...listings);
+      results.pagesScraped++;
+      if (store && listings.length > 0) store.upsert(listings);
+      if (onListing) listings.forEach((l) => onListing(l));
+
+      const pagination = await adapter.getPaginationInfo(page, { profile });
+      pageUrl = pagination.hasNext && listings.length > 0 ? pagination.nextUrl : null;
+    }
   } catch (e) {
-    results.errors.push({ error: e.message });
+    results.errors.push({ error: signal?.aborted ? "Aborted" : e.message });
+    failed = true;
   } finally {
-    if (browser) await browser.close();
+    signal?.removeEventListener("abort", onAbort);
+    if (session) await session.close({ blocked, failed, status, retryAfterMs, latencyMs: average(loadTimes) });
+    results.stats = summarizeSeller(results.listings);
   }
 
   return results;
@@ -724,9 +1662,16 @@ export default {
   loadProxies,
   randomFrom,
 
+  // Proxies
+  parseProxy,
+  createProxyManager,
+  isProxyManager,
+
   // Browser
   createBrowser,
   createPage,
+  createBrowserPool,
+  openSession,
 
   // Behavior
   humanize,
@@ -735,26 +1680,126 @@ export default {
   // Navigation
   navigateTo,
   withRetry,
+  createRateLimiter,
+  setRateLimiter,
+  getRateLimiter,
+  parseRetryAfter,
+  parseRobots,
 
   // Extraction
   extractFirst,
+  readStructuredData,
   extractAll,
   extractLinks,
   waitForAny,
   scrollToBottom,
 
+  // Sites
+  getAdapter,
+  adapterForUrl,
+  registerAdapter,
+  listSites,
+
   // Gumtree-specific
   buildGumtreeSearchUrl,
+  buildSearchUrl,
+  parseSearchUrl,
+  describeSearch,
+  pickSearchFilters,
+  SORT_ORDERS,
+  AD_TYPES,
+  CONDITIONS,
+  resolveLocation,
+  searchLocations,
+  resolveSearchLocation,
+  isGumtreeListingUrl,
   extractGumtreeListings,
   extractGumtreeListingDetails,
+  extractGumtreeSellerProfile,
   isCloudflareChallenge,
+  classifyPage,
+  describePageState,
+  isBlockingState,
+  PAGE_STATES,
   getPaginationInfo,
 
+  // Site profiles
+  getSiteProfile,
+  useSiteProfile,
+  unwatchSiteProfile,
+  loadSiteProfile,
+  validateSiteProfile,
+  selectorHealth,
+
+  // Normalization
+  normalizeListing,
+  parsePrice,
+  parseLocation,
+  parsePostedDate,
+
+  // Storage
+  openListingStore,
+  parseAdId,
+  openCheckpointStore,
+  openSessionStore,
+  captureSession,
+  restoreSession,
+  sessionProfileName,
+
+  // Dedupe
+  dedupeListings,
+  clusterListings,
+  dedupeAndCluster,
+  listingSimilarity,
+  listingKey,
+
+  // Query expansion
+  createQueryExpander,
+  createExpansionProvider,
+  createOfflineProvider,
+  createLlmProvider,
+  createNoneProvider,
+  openExpansionCache,
+  dedupeQueries,
+  queryKey,
+  EXPANSION_PROVIDERS,
+
+  // Sellers
+  parseSellerId,
+  sellerKey,
+  listingCategory,
+  parseMemberSince,
+  normalizeSellerProfile,
+  summarizeSeller,
+  aggregateSellers,
+  openSellerStore,
+
+  // Images
+  openImageStore,
+  processListingImages,
+  downloadImage,
+  perceptualHash,
+  imageSimilarity,
+  hammingDistance,
+
   // Output
   saveJson,
   saveHtml,
   saveScreenshot,
+  exportListings,
+  saveExport,
+  flattenListing,
+  listingColumns,
+  toCsv,
+  toNdjson,
+  writeNdjson,
+  toXlsx,
+  toGeoJson,
+  geocodeListing,
+  EXPORT_FORMATS,
 
   // High-level
   scrapeGumtreeSearch,
+  scrapeGumtreeListingDetails,
+  scrapeGumtreeSeller,
 };
@@ -0,0 +1,249 @@
+/**
+ * Australian location resolver
+ *
+ * Turns free-text locations ("paramatta", "Parramatta NSW", "2150",
+ * "gold coast") into entries from a bundled table of states, regions and
+ * suburbs. Each entry carries the slug and location ID that Gumtree search
+ * URLs use, plus its postcode and coordinates.
+ *
+ * Table: ./data/au-locations.json. Entries whose Gumtree ID isn't known yet
+ * have a null `id` and `locationId`: they are searched by their slug alone.
+ * A parent's ID is never borrowed - a suburb's slug with its region's ID
+ * would name two different places in one URL.
+ */
+
+import fs from "fs";
+import { parseLocation, stateFromPostcode } from "./normalize.mjs";
+
+// Minimum similarity (0..1) for a fuzzy match to count
+const MIN_SCORE = 0.75;
+
+// Preferred type when two entries score the same ("sydney" is the region)
+const TYPE_RANK = { region: 0, suburb: 1, state: 2 };
+
+const TABLE = JSON.parse(
+  fs.readFileSync(new URL("./data/au-locations.json", import.meta.url), "utf-8")
+);
+
+function slugify(text) {
+  return String(text)
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+function normalizeText(text) {
+  return String(text || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+}
+
+// ============================================================================
+// TABLE
+// ============================================================================
+
+function buildEntries(table) {
+  const entries = [];
+
+  for (const s of table.states) {
+    entries.push({
+      type: "state",
+      name: s.name,
+      state: s.code,
+      slug: s.slug,
+      id: s.id,
+      locationId: s.id || null,
+      region: null,
+      postcode: null,
+      lat: s.lat,
+      lng: s.lng,
+    });
+  }
+
+  for (const r of table.regions) {
+    entries.push({
+      type: "region",
+      name: r.name,
+      state: r.state,
+      slug: r.slug,
+      id: r.id,
+      locationId: r.id || null,
+      region: r.slug,
+      postcode: null,
+      lat: r.lat,
+      lng: r.lng,
+    });
+  }
+
+  for (const s of table.suburbs) {
+    entries.push({
+      type: "suburb",
+      name: s.name,
+      state: s.state,
+      slug: s.slug || slugify(s.name),
+      id: s.id || null,
+      locationId: s.id || null,
+      region: s.region,
+      postcode: s.postcode,
+      lat: s.lat,
+      lng: s.lng,
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Every state, region and suburb in the bundled table
+ */
+export const LOCATIONS = buildEntries(TABLE);
+
+// Names an entry can be matched by
+function entryKeys(entry) {
+  const keys = [normalizeText(entry.name), normalizeText(entry.slug)];
+  // "Parramatta City" is also just "Parramatta"
+  if (entry.type === "suburb") keys.push(normalizeText(entry.name).replace(/ city$/, ""));
+  if (entry.type === "state") keys.push(entry.state.toLowerCase());
+  return Array.from(new Set(keys));
+}
+
+const KEYS = new Map(LOCATIONS.map((entry) => [entry, entryKeys(entry)]));
+
+// ============================================================================
+// MATCHING
+// ============================================================================
+
+function editDistance(a, b) {
+  if (a === b) return 0;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(
+        prev[j] + 1,
+        row[j - 1] + 1,
+        prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+function similarity(a, b) {
+  if (!a || !b) return 0;
+  return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+}
+
+function keyScore(text, key) {
+  // Typing the start of a name ("bris") is a match, weaker the less was typed
+  if (text.length >= 3 && key.startsWith(text)) {
+    return Math.max(similarity(text, key), 0.75 + 0.25 * (text.length / key.length));
+  }
+  return similarity(text, key);
+}
+
+function bestKeyScore(entry, text) {
+  return Math.max(...KEYS.get(entry).map((key) => keyScore(text, key)));
+}
+
+function byScore(a, b) {
+  return b.score - a.score || TYPE_RANK[a.type] - TYPE_RANK[b.type];
+}
+
+function byPostcode(postcode) {
+  const suburbs = LOCATIONS.filter((e) => e.type === "suburb" && e.postcode === postcode);
+  if (suburbs.length > 0) return suburbs.map((e) => ({ ...e, match: "postcode", score: 1 }));
+
+  // Unknown postcode - the state is still a useful answer
+  const state = LOCATIONS.find((e) => e.type === "state" && e.state === stateFromPostcode(postcode));
+  return state ? [{ ...state, match: "postcode", score: 0.5 }] : [];
+}
+
+/**
+ * Rank table entries against a free-text location
+ *
+ * Accepts names with typos ("paramatta"), names with a state and/or
+ * postcode ("Parramatta, NSW 2150"), bare postcodes ("2150"), slugs
+ * ("gold-coast"), the start of a name ("bris") and state names or codes.
+ *
+ * @param {string} text
+ * @param {Object} options
+ * @param {number} options.limit - Max candidates (default: 5)
+ * @returns {Object[]} Entries plus `match` ("exact" | "fuzzy" | "postcode") and `score` (0..1)
+ */
+export function searchLocations(text, options = {}) {
+  const { limit = 5 } = options;
+  const whole = normalizeText(text);
+  if (!whole) return [];
+
+  const compact = whole.replace(/ /g, "");
+  if (/^\d{3,4}$/.test(compact)) return byPostcode(compact.padStart(4, "0")).slice(0, limit);
+
+  // "Parramatta NSW 2150" -> name "parramatta" filtered to NSW, 2150 as a tie-breaker
+  const parsed = parseLocation(text);
+  const name = normalizeText(parsed.suburb);
+
+  const candidates = [];
+  for (const entry of LOCATIONS) {
+    // The whole text first, so "Victoria Park" isn't read as VIC + "park"
+    let score = bestKeyScore(entry, whole);
+    if (name && (!parsed.state || entry.state === parsed.state)) {
+      score = Math.max(score, bestKeyScore(entry, name));
+    }
+    if (!name && parsed.state && entry.type === "state" && entry.state === parsed.state) score = 1;
+    if (parsed.postcode && entry.postcode === parsed.postcode) score = Math.min(1, score + 0.1);
+    if (score >= MIN_SCORE) {
+      candidates.push({ ...entry, match: score === 1 ? "exact" : "fuzzy", score });
+    }
+  }
+
+  if (candidates.length === 0 && parsed.postcode) return byPostcode(parsed.postcode).slice(0, limit);
+  return candidates.sort(byScore).slice(0, limit);
+}
+
+/**
+ * Resolve a free-text location to its best table entry
+ *
+ * @param {string} text - e.g. "paramatta", "Gold Coast", "3000"
+ * @returns {Object|null} Entry (see searchLocations) or null when nothing is close enough
+ */
+export function resolveLocation(text) {
+  return searchLocations(text, { limit: 1 })[0] || null;
+}
+
+/**
+ * The search spec fields for a resolved location
+ *
+ * @param {Object} entry - From resolveLocation()
+ * @returns {{location: string, locationId?: number}}
+ */
+export function locationSearchFields(entry) {
+  const fields = { location: entry.slug };
+  if (entry.locationId) fields.locationId = entry.locationId;
+  return fields;
+}
+
+/**
+ * Replace a free-text `location` in a search spec with its slug and ID
+ *
+ * Specs that already carry a `locationId` are left alone. A location the
+ * table doesn't know is moved into the keywords, which is how it was
+ * searched before locations were resolved.
+ *
+ * @param {Object} spec - Search spec for buildSearchUrl()
+ * @returns {{search: Object, location: Object|null}} Resolved spec and the matched entry
+ */
+export function resolveSearchLocation(spec = {}) {
+  if (!spec.location || spec.locationId) return { search: spec, location: null };
+
+  const match = resolveLocation(spec.location);
+  if (!match) {
+    const { location, ...rest } = spec;
+    return {
+      search: { ...rest, keywords: [spec.keywords, location].filter(Boolean).join(" ") },
+      location: null,
+    };
+  }
+
+  return { search: { ...spec, ...locationSearchFields(match) }, location: match };
+}
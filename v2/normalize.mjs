@@ -0,0 +1,235 @@
+/**
+ * Listing field normalization
+ *
+ * Turns the raw innerText strings scraped from Gumtree ("$1,200 Negotiable",
+ * "Parramatta, NSW 2150", "3 hours ago") into typed values. The raw strings
+ * are never replaced - normalized fields are added alongside them.
+ */
+
+// ============================================================================
+// PRICE
+// ============================================================================
+
+const CURRENCY_SYMBOLS = {
+  "£": "GBP",
+  "€": "EUR",
+};
+
+// An amount with an optional currency symbol and k/m suffix ("$1.5k", but not "1.5kg")
+const AMOUNT_PATTERN = /([$£€])?\s*(\d[\d,]*(?:\.\d+)?)(?:([km])(?![a-z]))?/gi;
+
+const MULTIPLIERS = { k: 1000, m: 1000000 };
+
+// Wording just before the current price when an old one is shown too
+const CURRENT_PRICE = /\b(now|reduced to|(dropped|down) to)\s*:?\s*$/i;
+
+/**
+ * Parse a raw price string
+ *
+ * With several amounts, the one after "now" or "reduced to" is the price
+ * ("Was $300 now $250" is $250), else the first one with a currency symbol.
+ *
+ * @param {string} raw - e.g. "$1,200 Negotiable", "$1.5k", "Was $300 now $250", "Free", "Swap/Trade"
+ * @param {Object} options
+ * @param {string} options.currency - Currency for a bare "$" (default: AUD)
+ * @returns {{priceValue: number|null, currency: string|null, priceType: string|null}}
+ */
+export function parsePrice(raw, options = {}) {
+  const { currency = "AUD" } = options;
+  const text = (raw || "").replace(/\s+/g, " ").trim();
+  const lower = text.toLowerCase();
+
+  if (!text) return { priceValue: null, currency: null, priceType: null };
+
+  const amounts = Array.from(text.matchAll(AMOUNT_PATTERN));
+
+  // Only trust the wording when there is no amount ("$50 or swap" is still $50)
+  if (amounts.length === 0) {
+    if (/\bfree\b/.test(lower)) return { priceValue: 0, currency, priceType: "free" };
+    if (/\bswap\b|\btrade\b/.test(lower)) return { priceValue: null, currency: null, priceType: "swap" };
+    if (/please contact|contact (the )?seller|\bpoa\b|price on application/.test(lower)) {
+      return { priceValue: null, currency: null, priceType: "please_contact" };
+    }
+    return { priceValue: null, currency: null, priceType: null };
+  }
+
+  // "2 for $50" is $50: bare numbers only count when no amount has a symbol
+  const priced = amounts.filter((m) => m[1]);
+  const candidates = priced.length > 0 ? priced : amounts;
+  const match = candidates.find((m) => CURRENT_PRICE.test(text.slice(0, m.index))) || candidates[0];
+
+  const symbolCurrency = match[1] && match[1] !== "$" ? CURRENCY_SYMBOLS[match[1]] : currency;
+  const negotiable = /negotiable|\bneg\b|\bono\b|or near(est)? offer|\bobo\b/.test(lower);
+  const multiplier = match[3] ? MULTIPLIERS[match[3].toLowerCase()] : 1;
+
+  return {
+    // Rounded to cents: 1.1 * 1000 is 1100.0000000000002
+    priceValue: Math.round(parseFloat(match[2].replace(/,/g, "")) * multiplier * 100) / 100,
+    currency: symbolCurrency,
+    priceType: negotiable ? "negotiable" : "fixed",
+  };
+}
+
+// ============================================================================
+// LOCATION
+// ============================================================================
+
+const STATES = {
+  NSW: "NSW", "NEW SOUTH WALES": "NSW",
+  VIC: "VIC", VICTORIA: "VIC",
+  QLD: "QLD", QUEENSLAND: "QLD",
+  WA: "WA", "WESTERN AUSTRALIA": "WA",
+  SA: "SA", "SOUTH AUSTRALIA": "SA",
+  TAS: "TAS", TASMANIA: "TAS",
+  ACT: "ACT", "AUSTRALIAN CAPITAL TERRITORY": "ACT",
+  NT: "NT", "NORTHERN TERRITORY": "NT",
+};
+
+const STATE_PATTERN = new RegExp(
+  `\\b(${Object.keys(STATES).sort((a, b) => b.length - a.length).join("|")})\\b`,
+  "gi"
+);
+
+/**
+ * Work out the state from an Australian postcode
+ */
+export function stateFromPostcode(postcode) {
+  const n = parseInt(postcode, 10);
+  if (isNaN(n)) return null;
+  if ((n >= 2600 && n <= 2618) || (n >= 2900 && n <= 2920)) return "ACT";
+  if (n >= 2000 && n <= 2999) return "NSW";
+  if (n >= 3000 && n <= 3999) return "VIC";
+  if (n >= 4000 && n <= 4999) return "QLD";
+  if (n >= 5000 && n <= 5999) return "SA";
+  if (n >= 6000 && n <= 6999) return "WA";
+  if (n >= 7000 && n <= 7999) return "TAS";
+  if (n >= 800 && n <= 999) return "NT";
+  return null;
+}
+
+/**
+ * Parse a raw location string
+ *
+ * @param {string} raw - e.g. "Parramatta, NSW 2150", "Sydney CBD, NSW"
+ * @returns {{suburb: string|null, state: string|null, postcode: string|null}}
+ */
+export function parseLocation(raw) {
+  const text = (raw || "").replace(/\s+/g, " ").trim();
+  if (!text) return { suburb: null, state: null, postcode: null };
+
+  const postcodeMatch = text.match(/\b(\d{4})\b\s*$/) || text.match(/\b(\d{4})\b/);
+  const postcode = postcodeMatch ? postcodeMatch[1] : null;
+
+  // Last match wins: "Victoria Park, WA 6100" is in WA
+  const stateMatch = Array.from(text.matchAll(STATE_PATTERN)).pop();
+  const state = stateMatch ? STATES[stateMatch[1].toUpperCase()] : stateFromPostcode(postcode);
+
+  // Suburb is whatever comes before the state/postcode, up to the first comma
+  let rest = text;
+  if (stateMatch) rest = rest.slice(0, stateMatch.index);
+  else if (postcodeMatch) rest = rest.slice(0, postcodeMatch.index);
+  const suburb = rest.split(",")[0].replace(/[\s,]+$/, "").trim() || null;
+
+  return { suburb, state, postcode };
+}
+
+// ============================================================================
+// POSTED DATE
+// ============================================================================
+
+const UNIT_MS = {
+  second: 1000,
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+};
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+/**
+ * Resolve a raw posted date to an absolute ISO timestamp
+ *
+ * Relative values ("3 hours ago", "yesterday") are resolved against
+ * `scrapedAt`. Dates without a time resolve to midnight UTC.
+ *
+ * @param {string} raw - e.g. "3 hours ago", "Yesterday", "12/03/2024", "12 March 2024"
+ * @param {string|Date} scrapedAt - When the page was scraped (default: now)
+ * @returns {string|null}
+ */
+export function parsePostedDate(raw, scrapedAt = new Date()) {
+  const text = (raw || "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase()
+    .replace(/^(posted|listed|date listed|last edited)\s*:?\s*/, "");
+  if (!text) return null;
+
+  const base = new Date(scrapedAt);
+  if (isNaN(base)) return null;
+
+  if (/^(just now|now|moments? ago|today)$/.test(text)) return base.toISOString();
+  if (text === "yesterday") return new Date(base - UNIT_MS.day).toISOString();
+
+  const relative = text.match(/^(an?|\d+)\s*(second|sec|minute|min|hour|hr|day|week|month|year)s?\s+ago$/);
+  if (relative) {
+    const n = /^an?$/.test(relative[1]) ? 1 : parseInt(relative[1], 10);
+    const unit = { sec: "second", min: "minute", hr: "hour" }[relative[2]] || relative[2];
+    const d = new Date(base);
+    if (unit === "month") d.setUTCMonth(d.getUTCMonth() - n);
+    else if (unit === "year") d.setUTCFullYear(d.getUTCFullYear() - n);
+    else d.setTime(d.getTime() - n * UNIT_MS[unit]);
+    return d.toISOString();
+  }
+
+  // dd/mm/yyyy (Australian order)
+  const numeric = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})$/);
+  if (numeric) {
+    const year = numeric[3].length === 2 ? 2000 + parseInt(numeric[3], 10) : parseInt(numeric[3], 10);
+    return new Date(Date.UTC(year, parseInt(numeric[2], 10) - 1, parseInt(numeric[1], 10))).toISOString();
+  }
+
+  // 12 March 2024 / 12 Mar
+  const named = text.match(/^(\d{1,2})(?:st|nd|rd|th)? ([a-z]+),? ?(\d{4})?$/);
+  if (named && MONTHS.includes(named[2].slice(0, 3))) {
+    const year = named[3] ? parseInt(named[3], 10) : base.getUTCFullYear();
+    const d = new Date(Date.UTC(year, MONTHS.indexOf(named[2].slice(0, 3)), parseInt(named[1], 10)));
+    // "12 Dec" seen in January is last year's December
+    if (!named[3] && d > base) d.setUTCFullYear(year - 1);
+    return d.toISOString();
+  }
+
+  // ISO strings, e.g. from a <time datetime="..."> attribute
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+    const d = new Date(text.toUpperCase());
+    return isNaN(d) ? null : d.toISOString();
+  }
+
+  return null;
+}
+
+// ============================================================================
+// LISTINGS
+// ============================================================================
+
+/**
+ * Add typed fields to a scraped listing, keeping the raw strings
+ *
+ * Adds `priceValue`, `currency`, `priceType`, `suburb`, `state`, `postcode`
+ * and `postedAt`.
+ *
+ * @param {Object} listing - Listing from extractGumtreeListings/extractGumtreeListingDetails
+ * @param {Object} options - Passed to parsePrice
+ * @returns {Object} New listing object
+ */
+export function normalizeListing(listing, options = {}) {
+  const scrapedAt = listing.scrapedAt || new Date().toISOString();
+
+  return {
+    ...listing,
+    ...parsePrice(listing.price, options),
+    ...parseLocation(listing.location),
+    postedAt: parsePostedDate(listing.postedDate, scrapedAt),
+    scrapedAt,
+  };
+}
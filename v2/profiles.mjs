@@ -0,0 +1,195 @@
+/**
+ * Site profiles
+ *
+ * Everything the CSS extractors know about a site's markup - card and
+ * field selectors, attribute maps, pagination rules, the markers of
+ * zero-results/removed/login pages - lives in a versioned JSON profile
+ * (./profiles/<site>.json) instead of code. When the site changes, edit
+ * the profile; a watched profile is picked up without a restart. One
+ * profile is active per site, keyed by the profile's `name`.
+ *
+ * selectorHealth() checks extraction results against the profile's expected
+ * fill rates, so a broken selector shows up as a warning rather than as
+ * silently empty fields.
+ */
+
+import fs from "fs";
+
+export const DEFAULT_SITE = "gumtree-au";
+
+const PROFILE_DIR = new URL("./profiles/", import.meta.url);
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+/**
+ * Check that a profile has the sections the extractors rely on
+ *
+ * @param {Object} profile
+ * @returns {string[]} Problems (empty when valid)
+ */
+export function validateSiteProfile(profile) {
+  const problems = [];
+  if (!profile || typeof profile !== "object") return ["Profile is not an object"];
+  if (!profile.name) problems.push("Missing name");
+  if (!profile.version) problems.push("Missing version");
+  if (!profile.search?.card) problems.push("Missing search.card");
+  if (!profile.search?.fields?.url) problems.push("Missing search.fields.url");
+  if (!profile.detail?.fields) problems.push("Missing detail.fields");
+  if (!profile.pagination?.container) problems.push("Missing pagination.container");
+
+  for (const section of ["search", "detail", "seller"]) {
+    for (const [field, rule] of Object.entries(profile[section]?.fields || {})) {
+      if (!Array.isArray(rule.selectors) || rule.selectors.length === 0) {
+        problems.push(`${section}.fields.${field} has no selectors`);
+      }
+    }
+  }
+
+  // Optional page-state markers (see classifyPage)
+  for (const [state, rule] of Object.entries(profile.states || {})) {
+    if (rule.selectors !== undefined && !Array.isArray(rule.selectors)) problems.push(`states.${state}.selectors must be an array`);
+    if (rule.text !== undefined && !Array.isArray(rule.text)) problems.push(`states.${state}.text must be an array`);
+  }
+  return problems;
+}
+
+/**
+ * Read and validate a profile file
+ *
+ * @param {string|URL} file
+ * @returns {Object} Profile
+ * @throws If the file can't be parsed or the profile is invalid
+ */
+export function loadSiteProfile(file) {
+  const profile = JSON.parse(fs.readFileSync(file, "utf-8"));
+  const problems = validateSiteProfile(profile);
+  if (problems.length > 0) throw new Error(`Invalid site profile ${file}: ${problems.join(", ")}`);
+  return profile;
+}
+
+// site -> { profile, file, watched }
+const active = new Map();
+
+/**
+ * The profile the extractors use for a site when none is passed in
+ *
+ * Loads the bundled ./profiles/<site>.json on first use.
+ *
+ * @param {string} site - e.g. "gumtree-au" (default), "gumtree-uk"
+ * @returns {Object}
+ */
+export function getSiteProfile(site = DEFAULT_SITE) {
+  if (!active.has(site)) {
+    const file = new URL(`${site}.json`, PROFILE_DIR);
+    active.set(site, { profile: loadSiteProfile(file), file, watched: false });
+  }
+  return active.get(site).profile;
+}
+
+/**
+ * Switch the active profile for the site named in the profile
+ *
+ * A broken file never replaces a working profile: on error the current
+ * profile stays active and the error is passed to `onError` (or thrown,
+ * for the initial load).
+ *
+ * @param {string|URL|Object} source - Profile file, or a profile object
+ * @param {Object} options
+ * @param {boolean} options.watch - Reload when the file changes (default: false)
+ * @param {number} options.interval - Poll interval for watching, ms (default: 2000)
+ * @param {Function} options.onReload - Called with the new profile after a reload
+ * @param {Function} options.onError - Called with the error when a reload fails
+ * @returns {Object} The now-active profile
+ */
+export function useSiteProfile(source, options = {}) {
+  const { watch = false, interval = 2000, onReload, onError } = options;
+
+  if (typeof source === "object" && !(source instanceof URL)) {
+    const problems = validateSiteProfile(source);
+    if (problems.length > 0) throw new Error(`Invalid site profile: ${problems.join(", ")}`);
+    unwatchSiteProfile(source.name);
+    active.set(source.name, { profile: source, file: null, watched: false });
+    return source;
+  }
+
+  const profile = loadSiteProfile(source);
+  unwatchSiteProfile(profile.name);
+  const entry = { profile, file: source, watched: watch };
+  active.set(profile.name, entry);
+
+  if (watch) {
+    fs.watchFile(source, { interval, persistent: false }, (curr, prev) => {
+      if (curr.mtimeMs === prev.mtimeMs) return;
+      try {
+        const reloaded = loadSiteProfile(source);
+        if (reloaded.name !== profile.name) throw new Error(`Profile name changed to ${reloaded.name}`);
+        entry.profile = reloaded;
+        if (onReload) onReload(reloaded);
+      } catch (e) {
+        if (onError) onError(e);
+      }
+    });
+  }
+
+  return profile;
+}
+
+/**
+ * Stop watching a site's profile file (every site's, without `site`)
+ */
+export function unwatchSiteProfile(site) {
+  for (const [name, entry] of active) {
+    if (site && name !== site) continue;
+    if (entry.watched) fs.unwatchFile(entry.file);
+    entry.watched = false;
+  }
+}
+
+// ============================================================================
+// HEALTH
+// ============================================================================
+
+function isFilled(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== null && value !== undefined && value !== "";
+}
+
+/**
+ * Per-field fill rates for a batch of extracted listings
+ *
+ * Fields below the profile's `health.minFillRate` get a warning, e.g.
+ * "price empty on 100% of 48 cards - selector likely broken". Batches
+ * smaller than `health.minSample` are reported but never warned about.
+ *
+ * @param {Object[]} listings
+ * @param {Object} options
+ * @param {string} options.section - "search" (cards) or "detail" (listing pages)
+ * @param {Object} options.profile - Profile to check against (default: the active gumtree-au profile)
+ * @returns {{profile: string, version: string, section: string, total: number, fields: Object, warnings: string[]}}
+ */
+export function selectorHealth(listings, options = {}) {
+  const { section = "search", profile = getSiteProfile() } = options;
+  const { minFillRate = {}, minSample = 5 } = profile.health || {};
+  const noun = section === "search" ? "cards" : "listing pages";
+  const total = listings.length;
+  const fields = {};
+  const warnings = [];
+
+  for (const field of Object.keys(profile[section]?.fields || {})) {
+    const filled = listings.filter((l) => isFilled(l[field])).length;
+    const fromSelector = listings.filter((l) => l.sources?.[field] === "selector").length;
+    const fillRate = total > 0 ? filled / total : null;
+    fields[field] = { filled, fromSelector, fillRate };
+
+    const min = minFillRate[field];
+    if (min !== undefined && total >= minSample && fillRate < min) {
+      const emptyPct = Math.round((1 - fillRate) * 100);
+      const hint = filled === 0 ? "selector likely broken" : `expected at least ${Math.round(min * 100)}% filled`;
+      warnings.push(`${field} empty on ${emptyPct}% of ${total} ${noun} - ${hint}`);
+    }
+  }
+
+  return { profile: profile.name, version: profile.version, section, total, fields, warnings };
+}
@@ -0,0 +1,339 @@
+/**
+ * Per-host rate limiting
+ *
+ * One token bucket per host, shared by every scrape in the process, so
+ * concurrent jobs hitting the same site are paced together instead of each
+ * sleeping on its own. A 429 or 503 empties the bucket and halves the rate
+ * (recovering after a run of successes), and a Retry-After header pauses
+ * the host until the site said to come back.
+ *
+ * Optional robots.txt mode: disallowed URLs are refused and a Crawl-delay
+ * slows the host down further.
+ */
+
+const THROTTLE_STATUSES = [429, 503];
+
+// Halve the slowdown again after this many successes in a row
+const RECOVER_AFTER = 10;
+
+const ROBOTS_TTL_MS = 24 * 60 * 60 * 1000;
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new Error("Aborted"));
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error("Aborted"));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Parse a Retry-After header (seconds or an HTTP date) into milliseconds
+ *
+ * @param {string|number|null} value
+ * @returns {number} 0 when missing or unparseable
+ */
+export function parseRetryAfter(value) {
+  if (value === null || value === undefined || value === "") return 0;
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) return Math.round(parseFloat(text) * 1000);
+  const date = Date.parse(text);
+  return isNaN(date) ? 0 : Math.max(date - Date.now(), 0);
+}
+
+// ============================================================================
+// ROBOTS.TXT
+// ============================================================================
+
+/**
+ * Parse robots.txt into the rules that apply to a user agent
+ *
+ * Uses the most specific group naming the agent (by product token,
+ * case-insensitive), falling back to `*`.
+ *
+ * @param {string} text
+ * @param {string} userAgent - e.g. "Mozilla/5.0 ... Chrome/129.0.0.0 Safari/537.36"
+ * @returns {{rules: Array<{allow: boolean, path: string}>, crawlDelayMs: number|null}}
+ */
+export function parseRobots(text, userAgent = "*") {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const raw of String(text || "").split(/\r?\n/)) {
+    const line = raw.replace(/#.*$/, "").trim();
+    const match = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+    if (!match) continue;
+    const key = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (key === "user-agent") {
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelayMs: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if (key === "allow" || key === "disallow") {
+      // An empty Disallow allows everything
+      if (value) current.rules.push({ allow: key === "allow", path: value });
+    } else if (key === "crawl-delay") {
+      const seconds = parseFloat(value);
+      if (!isNaN(seconds)) current.crawlDelayMs = Math.round(seconds * 1000);
+    }
+  }
+
+  const agent = userAgent.toLowerCase();
+  const named = groups
+    .flatMap((g) => g.agents.filter((a) => a !== "*" && agent.includes(a)).map((a) => ({ g, length: a.length })))
+    .sort((a, b) => b.length - a.length)[0]?.g;
+  const group = named || groups.find((g) => g.agents.includes("*"));
+
+  return group ? { rules: group.rules, crawlDelayMs: group.crawlDelayMs } : { rules: [], crawlDelayMs: null };
+}
+
+function ruleMatches(rulePath, path) {
+  const anchored = rulePath.endsWith("$");
+  const pattern = rulePath
+    .replace(/\$$/, "")
+    .replace(/[.+?^{}()|[\]\\]/g, "\\$&")
+    .replace(/\*/g, ".*");
+  return new RegExp(`^${pattern}${anchored ? "$" : ""}`).test(path);
+}
+
+/**
+ * Is a path allowed by parsed robots rules?
+ *
+ * The longest matching rule wins; Allow wins a tie.
+ *
+ * @param {Object} robots - From parseRobots()
+ * @param {string} path - Path plus query, e.g. "/s-ad/sydney/123?x=1"
+ * @returns {boolean}
+ */
+export function isAllowedByRobots(robots, path) {
+  let best = null;
+  for (const rule of robots.rules) {
+    if (!ruleMatches(rule.path, path)) continue;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return best ? best.allow : true;
+}
+
+// ============================================================================
+// LIMITER
+// ============================================================================
+
+/**
+ * Create a per-host rate limiter
+ *
+ * @param {Object} options
+ * @param {number} options.requestsPerMinute - Sustained rate per host (default: 20)
+ * @param {number} options.burst - Requests allowed back to back before pacing kicks in (default: 3)
+ * @param {Object} options.hosts - Per-host overrides, e.g. { "www.gumtree.com": { requestsPerMinute: 10 } }
+ * @param {number} options.maxSlowdown - Slowest the rate gets after throttling, as a divisor (default: 8)
+ * @param {boolean} options.robots - Refuse URLs robots.txt disallows and honor Crawl-delay (default: false)
+ * @param {string} options.userAgent - Agent matched against robots.txt groups (default: "*" rules only)
+ * @param {Function} options.fetch - fetch() used for robots.txt (default: global fetch)
+ * @returns {Object} { schedule, report, isAllowed, stats }
+ */
+export function createRateLimiter(options = {}) {
+  const {
+    requestsPerMinute = 20,
+    burst = 3,
+    hosts: overrides = {},
+    maxSlowdown = 8,
+    robots = false,
+    userAgent = "*",
+    fetch: fetchFn = globalThis.fetch,
+  } = options;
+
+  const hosts = new Map();
+  const robotsCache = new Map(); // origin -> { at, robots | promise }
+
+  function hostState(host) {
+    if (!hosts.has(host)) {
+      const config = { requestsPerMinute, burst, ...overrides[host] };
+      hosts.set(host, {
+        requestsPerMinute: config.requestsPerMinute,
+        burst: config.burst,
+        tokens: config.burst,
+        updated: Date.now(),
+        slowdown: 1,
+        successStreak: 0,
+        pausedUntil: 0,
+        crawlDelayMs: null,
+        queue: Promise.resolve(),
+        queued: 0,
+        requests: 0,
+        throttled: 0,
+      });
+    }
+    return hosts.get(host);
+  }
+
+  // Milliseconds per token at the current (possibly slowed) rate
+  function interval(state) {
+    const base = 60000 / state.requestsPerMinute;
+    return Math.max(base * state.slowdown, state.crawlDelayMs || 0);
+  }
+
+  function refill(state, now) {
+    state.tokens = Math.min(state.burst, state.tokens + (now - state.updated) / interval(state));
+    state.updated = now;
+  }
+
+  async function loadRobots(url) {
+    const { origin } = new URL(url);
+    const cached = robotsCache.get(origin);
+    if (cached && Date.now() - cached.at < ROBOTS_TTL_MS) return cached.robots;
+
+    const robotsPromise = (async () => {
+      try {
+        const headers = userAgent === "*" ? {} : { "User-Agent": userAgent };
+        const resp = await fetchFn(`${origin}/robots.txt`, { headers });
+        // No robots.txt (4xx) means no restrictions
+        if (!resp.ok) return { rules: [], crawlDelayMs: null, status: resp.status };
+        return { ...parseRobots(await resp.text(), userAgent), status: resp.status };
+      } catch (e) {
+        // Unreachable robots.txt isn't treated as a ban
+        return { rules: [], crawlDelayMs: null, error: e.message };
+      }
+    })();
+    robotsCache.set(origin, { at: Date.now(), robots: robotsPromise });
+    return robotsPromise;
+  }
+
+  /**
+   * Is this URL allowed by robots.txt? Always true unless `robots` mode is on.
+   *
+   * @param {string} url
+   * @returns {Promise<boolean>}
+   */
+  async function isAllowed(url) {
+    if (!robots) return true;
+    const parsed = await loadRobots(url);
+    const { hostname, pathname, search } = new URL(url);
+    if (parsed.crawlDelayMs) hostState(hostname).crawlDelayMs = parsed.crawlDelayMs;
+    return isAllowedByRobots(parsed, pathname + search);
+  }
+
+  return {
+    isAllowed,
+
+    /**
+     * Wait for a slot to request `url`. Callers for the same host are
+     * served in order.
+     *
+     * @param {string} url
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Stop waiting (rejects with "Aborted")
+     * @returns {Promise<{allowed: boolean, waitedMs: number}>} `allowed` is
+     *   false when robots.txt disallows the URL (no slot is used)
+     */
+    async schedule(url, options = {}) {
+      const { signal } = options;
+      const started = Date.now();
+
+      if (!(await isAllowed(url))) return { allowed: false, waitedMs: 0 };
+
+      const state = hostState(new URL(url).hostname);
+      state.queued++;
+
+      const turn = state.queue.then(async () => {
+        for (;;) {
+          const now = Date.now();
+          if (state.pausedUntil > now) {
+            await sleep(state.pausedUntil - now, signal);
+            continue;
+          }
+          refill(state, now);
+          if (state.tokens >= 1) {
+            state.tokens -= 1;
+            state.requests++;
+            return;
+          }
+          await sleep(Math.ceil((1 - state.tokens) * interval(state)), signal);
+        }
+      });
+      // A caller that gave up mustn't stall the ones queued behind it
+      state.queue = turn.catch(() => {});
+
+      try {
+        await turn;
+      } finally {
+        state.queued--;
+      }
+      return { allowed: true, waitedMs: Date.now() - started };
+    },
+
+    /**
+     * Record a response so the host's pace adapts
+     *
+     * @param {string} url
+     * @param {Object} outcome
+     * @param {number} outcome.status - HTTP status
+     * @param {string|number} outcome.retryAfter - Retry-After header value
+     * @returns {number} Milliseconds the host is paused for (0 if not paused)
+     */
+    report(url, outcome = {}) {
+      const { status, retryAfter } = outcome;
+      const state = hostState(new URL(url).hostname);
+      const now = Date.now();
+
+      if (THROTTLE_STATUSES.includes(status)) {
+        state.throttled++;
+        state.successStreak = 0;
+        state.slowdown = Math.min(state.slowdown * 2, maxSlowdown);
+        state.tokens = 0;
+        state.updated = now;
+        const retryAfterMs = parseRetryAfter(retryAfter);
+        if (retryAfterMs > 0) state.pausedUntil = Math.max(state.pausedUntil, now + retryAfterMs);
+      } else if (status && status < 400) {
+        state.successStreak++;
+        if (state.slowdown > 1 && state.successStreak >= RECOVER_AFTER) {
+          state.slowdown = Math.max(1, state.slowdown / 2);
+          state.successStreak = 0;
+        }
+      }
+
+      return Math.max(state.pausedUntil - now, 0);
+    },
+
+    /**
+     * Current pacing per host
+     */
+    stats() {
+      const now = Date.now();
+      const result = {};
+      for (const [host, state] of hosts) {
+        refill(state, now);
+        result[host] = {
+          requestsPerMinute: Math.round((60000 / interval(state)) * 10) / 10,
+          configuredRequestsPerMinute: state.requestsPerMinute,
+          burst: state.burst,
+          tokens: Math.floor(state.tokens * 10) / 10,
+          slowdown: state.slowdown,
+          pausedUntil: state.pausedUntil > now ? new Date(state.pausedUntil).toISOString() : null,
+          crawlDelayMs: state.crawlDelayMs,
+          queued: state.queued,
+          requests: state.requests,
+          throttled: state.throttled,
+        };
+      }
+      return { robots, hosts: result };
+    },
+  };
+}
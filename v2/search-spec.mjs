@@ -0,0 +1,220 @@
+/**
+ * Gumtree search specs
+ *
+ * One object describes a search; buildSearchUrl() turns it into a Gumtree
+ * URL and parseSearchUrl() turns a URL back into the object.
+ *
+ *   https://www.gumtree.com.au/s-{category}/{location}/{keywords}/page-{n}/k0c{catId}l{locId}r{radius}?price=10.00__500.00&sort=price_asc&ad=offering&condition=used
+ *
+ * Every path segment is optional except the code segment at the end
+ * (`k0` when there are keywords, `c..`/`l..` carry the category/location IDs).
+ */
+
+const BASE_URL = "https://www.gumtree.com.au";
+
+// Popular categories (slug -> Gumtree category ID). Any other category can
+// be searched by passing `categoryId` alongside its slug.
+export const CATEGORIES = {
+  "cars-vans-utes": 18320,
+  "motorcycles-scooters": 18322,
+  "boats-jet-skis": 18319,
+  "mobile-phones": 18553,
+  "computers-software": 18551,
+  "tv-dvd-players": 18572,
+  "video-games-consoles": 18459,
+  "furniture": 20045,
+  "home-garden": 18397,
+  "tools-diy": 18402,
+  "dogs-puppies": 18434,
+  "cats-kittens": 18433,
+  "pets": 18431,
+  "baby-children": 18318,
+  "clothing-jewellery": 18308,
+  "sport-fitness": 18460,
+  "bicycles": 18560,
+  "jobs": 9302,
+  "real-estate": 9296,
+};
+
+export const SORT_ORDERS = {
+  relevance: "rank",
+  newest: "date",
+  price_asc: "price_asc",
+  price_desc: "price_desc",
+};
+
+export const AD_TYPES = ["offering", "wanted"];
+export const CONDITIONS = ["new", "used"];
+
+// Spec fields other than keywords - what a caller may pass as filters
+export const SEARCH_FILTER_KEYS = [
+  "location",
+  "locationId",
+  "category",
+  "categoryId",
+  "minPrice",
+  "maxPrice",
+  "sort",
+  "radius",
+  "adType",
+  "condition",
+];
+
+function slugify(text) {
+  return String(text)
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+function formatPrice(value) {
+  return value === undefined || value === null ? "" : Number(value).toFixed(2);
+}
+
+/**
+ * Pick the search filter fields out of an arbitrary object (e.g. a request body)
+ */
+export function pickSearchFilters(source = {}) {
+  const filters = {};
+  for (const key of SEARCH_FILTER_KEYS) {
+    if (source[key] !== undefined && source[key] !== null && source[key] !== "") {
+      filters[key] = source[key];
+    }
+  }
+  return filters;
+}
+
+/**
+ * Build a Gumtree search URL from a search spec
+ *
+ * @param {Object} spec
+ * @param {string} spec.keywords - Free text, e.g. "iphone 15"
+ * @param {string} spec.location - Location slug or name, e.g. "sydney"
+ * @param {number} spec.locationId - Gumtree location ID
+ * @param {string} spec.category - Category slug, e.g. "dogs-puppies"
+ * @param {number} spec.categoryId - Category ID (looked up from the slug if omitted)
+ * @param {number} spec.minPrice
+ * @param {number} spec.maxPrice
+ * @param {string} spec.sort - relevance | newest | price_asc | price_desc
+ * @param {number} spec.radius - Search radius in km (needs a location)
+ * @param {string} spec.adType - offering | wanted
+ * @param {string} spec.condition - new | used
+ * @param {Object} options
+ * @param {number} options.page - Page number (1-based)
+ * @returns {string}
+ */
+export function buildSearchUrl(spec = {}, options = {}) {
+  const { page = 1 } = options;
+  const {
+    keywords = "",
+    location,
+    locationId,
+    category,
+    minPrice,
+    maxPrice,
+    sort,
+    radius,
+    adType,
+    condition,
+  } = spec;
+
+  if (sort && !SORT_ORDERS[sort]) throw new Error(`Unknown sort order: ${sort}`);
+  if (adType && !AD_TYPES.includes(adType)) throw new Error(`Unknown ad type: ${adType}`);
+  if (condition && !CONDITIONS.includes(condition)) throw new Error(`Unknown condition: ${condition}`);
+
+  const categoryId = spec.categoryId || (category ? CATEGORIES[category] : null);
+  if (category && !categoryId) throw new Error(`Unknown category: ${category} (pass categoryId)`);
+
+  const words = keywords.trim().split(/\s+/).filter(Boolean);
+  const segments = [];
+  if (category) segments.push(category);
+  if (location) segments.push(slugify(location));
+  if (words.length > 0) segments.push(words.map(encodeURIComponent).join("+"));
+  if (page > 1) segments.push(`page-${page}`);
+
+  let code = words.length > 0 ? "k0" : "";
+  if (categoryId) code += `c${categoryId}`;
+  if (locationId) code += `l${locationId}`;
+  if (radius && (location || locationId)) code += `r${radius}`;
+  segments.push(code || "k0");
+
+  // Gumtree's search paths start with "s-" on the first segment
+  const url = new URL(`${BASE_URL}/s-${segments.join("/")}`);
+
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    url.searchParams.set("price", `${formatPrice(minPrice)}__${formatPrice(maxPrice)}`);
+  }
+  if (sort && sort !== "relevance") url.searchParams.set("sort", SORT_ORDERS[sort]);
+  if (adType) url.searchParams.set("ad", adType);
+  if (condition) url.searchParams.set("condition", condition);
+
+  return url.href;
+}
+
+/**
+ * Parse a Gumtree search URL back into a search spec
+ *
+ * Inverse of buildSearchUrl(). The location comes back as its slug. A
+ * category slug missing from CATEGORIES can't be told apart from a location
+ * when it's the only segment, and comes back as the location.
+ *
+ * @param {string} url
+ * @returns {{spec: Object, page: number}}
+ */
+export function parseSearchUrl(url) {
+  const { pathname, searchParams } = new URL(url);
+  const segments = pathname.replace(/^\/s-/, "/").split("/").filter(Boolean);
+  const spec = {};
+  let page = parseInt(searchParams.get("page") || "1", 10);
+
+  const code = segments.pop() || "";
+  const codeMatch = code.match(/^(k0)?(?:c(\d+))?(?:l(\d+))?(?:r(\d+))?$/);
+  if (!codeMatch) throw new Error(`Not a Gumtree search URL: ${url}`);
+  const [, hasKeywords, categoryId, locationId, radius] = codeMatch;
+
+  const pageIndex = segments.findIndex((s) => /^page-\d+$/.test(s));
+  if (pageIndex !== -1) {
+    page = parseInt(segments[pageIndex].slice(5), 10);
+    segments.splice(pageIndex, 1);
+  }
+
+  if (hasKeywords && segments.length > 0) {
+    spec.keywords = segments.pop().split("+").map(decodeURIComponent).join(" ");
+  }
+  if (categoryId) {
+    // A bare categoryId writes no segment, so a lone one is only the
+    // category when it's a known category slug; otherwise it's the location
+    if (segments.length > 1 || CATEGORIES[segments[0]]) spec.category = segments.shift();
+    spec.categoryId = parseInt(categoryId, 10);
+  }
+  if (segments.length > 0) spec.location = segments.shift();
+  if (locationId) spec.locationId = parseInt(locationId, 10);
+  if (radius) spec.radius = parseInt(radius, 10);
+
+  const price = searchParams.get("price");
+  if (price) {
+    const [min, max] = price.split("__");
+    if (min) spec.minPrice = parseFloat(min);
+    if (max) spec.maxPrice = parseFloat(max);
+  }
+
+  const sort = searchParams.get("sort");
+  if (sort) spec.sort = Object.keys(SORT_ORDERS).find((k) => SORT_ORDERS[k] === sort) || "relevance";
+
+  const adType = searchParams.get("ad");
+  if (AD_TYPES.includes(adType)) spec.adType = adType;
+
+  const condition = searchParams.get("condition");
+  if (CONDITIONS.includes(condition)) spec.condition = condition;
+
+  return { spec, page };
+}
+
+/**
+ * Short human-readable label for a spec, e.g. "iphone 15 in sydney"
+ */
+export function describeSearch(spec = {}) {
+  const what = spec.keywords || spec.category || "everything";
+  return spec.location ? `${what} in ${spec.location}` : what;
+}
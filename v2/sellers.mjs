@@ -0,0 +1,280 @@
+/**
+ * Sellers
+ *
+ * A listing only names its seller; the seller's profile page says how long
+ * they've been on the site, which badges they hold, how often they reply
+ * and what else they're selling. This module turns that page's raw strings
+ * into typed fields and sums up a seller's listings - volume, categories,
+ * price range - which is what vetting a seller (a puppy farm posting litter
+ * after litter, a trader posing as a private seller) comes down to.
+ *
+ * Extraction itself is site markup, so it lives with the adapters
+ * (adapters/common.mjs) and reads the profile's `seller` section. Scraped
+ * profiles are kept in a seller store, one JSON file per seller; their
+ * listings go to the listing store like any other.
+ */
+
+import fs from "fs";
+import path from "path";
+import { parsePostedDate } from "./normalize.mjs";
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+// ============================================================================
+// IDS
+// ============================================================================
+
+/**
+ * Extract a seller ID from a seller profile URL
+ *
+ * The ID is the last path segment. As with ad IDs, gumtree.com sellers are
+ * prefixed "uk-" so the two sites can't collide.
+ *
+ * @param {string} url - e.g. https://www.gumtree.com.au/s-seller/jane-smith/1000123456
+ * @returns {string|null}
+ */
+export function parseSellerId(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return null;
+  }
+  const id = parsed.pathname.split("/").filter(Boolean).pop();
+  if (!id || !/^[\w-]+$/.test(id)) return null;
+  return /(^|\.)gumtree\.com$/.test(parsed.hostname) ? `uk-${id}` : id;
+}
+
+/**
+ * What groups a listing with the rest of its seller's: the seller ID, or
+ * the seller's name when the listing has no seller link
+ *
+ * @param {Object} listing
+ * @returns {string|null} e.g. "1000123456" or "name:jane smith"
+ */
+export function sellerKey(listing) {
+  if (listing?.sellerId) return String(listing.sellerId);
+  const name = (listing?.seller || "").trim().toLowerCase().replace(/\s+/g, " ");
+  return name ? `name:${name}` : null;
+}
+
+/**
+ * A listing's category: its own `category` field, else the category slug
+ * from the URL (/s-ad/{location}/{category}/... or /p/{category}/...)
+ *
+ * @param {Object} listing
+ * @returns {string|null}
+ */
+export function listingCategory(listing) {
+  if (listing?.category) return listing.category;
+  const url = listing?.url || "";
+  const match = url.match(/\/s-ad\/[^/?#]+\/([^/?#]+)\//) || url.match(/gumtree\.com\/p\/([^/?#]+)\//);
+  return match ? match[1] : null;
+}
+
+// ============================================================================
+// PROFILES
+// ============================================================================
+
+/**
+ * When a seller joined, from "Member since March 2019", "On Gumtree since
+ * 2015" or "Member for 3 years"
+ *
+ * @param {string} text
+ * @param {string} scrapedAt - ISO date relative spans count back from
+ * @returns {string|null} ISO date (the first of the month or year named)
+ */
+export function parseMemberSince(text, scrapedAt = new Date().toISOString()) {
+  const lower = (text || "").toLowerCase();
+
+  const named = lower.match(/\b([a-z]{3})[a-z]*\.?,? (\d{4})\b/);
+  if (named && MONTHS.includes(named[1])) {
+    return new Date(Date.UTC(parseInt(named[2], 10), MONTHS.indexOf(named[1]), 1)).toISOString();
+  }
+
+  const year = lower.match(/\b((?:19|20)\d{2})\b/);
+  if (year) return new Date(Date.UTC(parseInt(year[1], 10), 0, 1)).toISOString();
+
+  const span = lower.match(/\b(\d+|an?|one)\s*(year|month|week|day)s?\b/);
+  if (span) {
+    const n = /^(an?|one)$/.test(span[1]) ? 1 : span[1];
+    return parsePostedDate(`${n} ${span[2]}s ago`, scrapedAt);
+  }
+
+  return null;
+}
+
+/**
+ * Add typed fields to a scraped seller profile, keeping the raw strings
+ *
+ * Adds `memberSinceAt` (ISO date), `responseRatePct` (0-100) and
+ * `activeListingCount`.
+ *
+ * @param {Object} seller - From an adapter's extractSellerProfile()
+ * @returns {Object} New seller object
+ */
+export function normalizeSellerProfile(seller) {
+  const scrapedAt = seller.scrapedAt || new Date().toISOString();
+  const rate = (seller.responseRate || "").match(/(\d{1,3})\s*%/);
+  const count = (seller.activeListings || "").match(/\d[\d,]*/);
+
+  return {
+    ...seller,
+    memberSinceAt: parseMemberSince(seller.memberSince, scrapedAt),
+    responseRatePct: rate ? Math.min(100, parseInt(rate[1], 10)) : null,
+    activeListingCount: count ? parseInt(count[0].replace(/,/g, ""), 10) : null,
+    scrapedAt,
+  };
+}
+
+// ============================================================================
+// AGGREGATION
+// ============================================================================
+
+function median(sorted) {
+  if (sorted.length === 0) return null;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Sum up one seller's listings
+ *
+ * Listings may be store records' listings carrying the record's
+ * `firstSeen`, `lastSeen` and `removedAt`.
+ *
+ * @param {Object[]} listings
+ * @returns {Object} `{ listings, active, removed, categories, price, firstSeen, lastSeen, sites }` -
+ *   categories as `[{ category, count }]`, most listed first; price as
+ *   `{ min, max, median, currency, priced }` over listings with a price
+ */
+export function summarizeSeller(listings) {
+  const categories = new Map();
+  for (const listing of listings) {
+    const category = listingCategory(listing) || "unknown";
+    categories.set(category, (categories.get(category) || 0) + 1);
+  }
+
+  const prices = listings
+    .map((l) => l.priceValue)
+    .filter((v) => typeof v === "number" && v > 0)
+    .sort((a, b) => a - b);
+  const currencies = new Set(listings.map((l) => l.currency).filter(Boolean));
+
+  const dates = (field) => listings.map((l) => l[field] || l.postedAt || l.scrapedAt).filter(Boolean).sort();
+  const first = dates("firstSeen");
+  const last = dates("lastSeen");
+
+  const removed = listings.filter((l) => l.removedAt).length;
+  return {
+    listings: listings.length,
+    active: listings.length - removed,
+    removed,
+    categories: Array.from(categories, ([category, count]) => ({ category, count }))
+      .sort((a, b) => b.count - a.count || a.category.localeCompare(b.category)),
+    price: {
+      min: prices.length > 0 ? prices[0] : null,
+      max: prices.length > 0 ? prices[prices.length - 1] : null,
+      median: median(prices),
+      currency: currencies.size === 1 ? Array.from(currencies)[0] : null,
+      priced: prices.length,
+    },
+    firstSeen: first[0] || null,
+    lastSeen: last[last.length - 1] || null,
+    sites: Array.from(new Set(listings.map((l) => l.site).filter(Boolean))),
+  };
+}
+
+/**
+ * Group listings by seller and sum up each seller
+ *
+ * @param {Object[]} listings
+ * @param {Object} options
+ * @param {number} options.minListings - Leave out sellers with fewer listings (default: 1)
+ * @returns {Object[]} `{ key, id, name, url, ...summarizeSeller() }`, most listings first.
+ *   Listings without a seller are left out.
+ */
+export function aggregateSellers(listings, options = {}) {
+  const { minListings = 1 } = options;
+  const groups = new Map();
+
+  for (const listing of listings) {
+    const key = sellerKey(listing);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(listing);
+  }
+
+  return Array.from(groups, ([key, group]) => ({
+    key,
+    id: group.find((l) => l.sellerId)?.sellerId || null,
+    name: group.find((l) => l.seller)?.seller || null,
+    url: group.find((l) => l.sellerUrl)?.sellerUrl || null,
+    ...summarizeSeller(group),
+  }))
+    .filter((s) => s.listings >= minListings)
+    .sort((a, b) => b.listings - a.listings || a.key.localeCompare(b.key));
+}
+
+// ============================================================================
+// STORE
+// ============================================================================
+
+/**
+ * Open (or create) a seller store: the latest scraped profile per seller
+ *
+ * @param {string} dir - Directory for seller files (default: ./output/sellers)
+ * @returns {Object} { get, save, list }
+ */
+export function openSellerStore(dir = "./output/sellers") {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const fileFor = (id) => path.join(dir, `${String(id).replace(/[^a-z0-9_-]/gi, "_")}.json`);
+
+  return {
+    dir,
+
+    /**
+     * A seller's last scraped profile, or null
+     */
+    get(id) {
+      try {
+        return JSON.parse(fs.readFileSync(fileFor(id), "utf-8"));
+      } catch (e) {
+        return null;
+      }
+    },
+
+    /**
+     * Save a profile from extractSellerProfile(), replacing the last one
+     *
+     * @param {Object} seller - Needs an `id`
+     * @returns {Object} The seller
+     * @throws If the seller has no ID
+     */
+    save(seller) {
+      if (!seller?.id) throw new Error("Seller has no id");
+      const file = fileFor(seller.id);
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify(seller));
+      fs.renameSync(`${file}.tmp`, file);
+      return seller;
+    },
+
+    /**
+     * Every stored profile, most recently scraped first
+     */
+    list() {
+      return fs.readdirSync(dir)
+        .filter((f) => f.endsWith(".json"))
+        .map((f) => {
+          try {
+            return JSON.parse(fs.readFileSync(path.join(dir, f), "utf-8"));
+          } catch (e) {
+            return null;
+          }
+        })
+        .filter(Boolean)
+        .sort((a, b) => (b.scrapedAt || "").localeCompare(a.scrapedAt || ""));
+    },
+  };
+}
@@ -0,0 +1,212 @@
+/**
+ * Persistent browser session profiles
+ *
+ * A profile is the state a site leaves in the browser - consent cookies,
+ * location preference, clearance cookies, localStorage - saved under a name
+ * (usually site + proxy, since clearance cookies are tied to an IP). A new
+ * page restored from a profile skips the homepage warmup.
+ *
+ * One JSON file per profile in the store directory. Profiles expire after
+ * `ttlMs` and are deleted as soon as a session using them gets blocked, so
+ * a poisoned cookie jar is never reused.
+ */
+
+import fs from "fs";
+import path from "path";
+
+// Cookie fields accepted back by BrowserContext.setCookie()
+const COOKIE_FIELDS = ["name", "value", "domain", "path", "expires", "httpOnly", "secure", "sameSite", "partitionKey"];
+
+function fileName(name) {
+  return `${encodeURIComponent(name).replace(/%/g, "_")}.json`;
+}
+
+/**
+ * Default profile name for a site and proxy
+ *
+ * @param {string} warmupUrl - Site home page
+ * @param {Object|null} proxy - Parsed proxy (see parseProxy)
+ * @returns {string} e.g. "www.gumtree.com.au@direct"
+ */
+export function sessionProfileName(warmupUrl, proxy) {
+  const host = warmupUrl ? new URL(warmupUrl).hostname : "default";
+  return `${host}@${proxy?.id || "direct"}`;
+}
+
+// ============================================================================
+// PAGE STATE
+// ============================================================================
+
+/**
+ * Read the cookies of a page's browser context and the current origin's
+ * localStorage
+ *
+ * @param {Page} page
+ * @returns {Promise<{cookies: Object[], localStorage: Object}>} localStorage keyed by origin
+ */
+export async function captureSession(page) {
+  const cookies = await page.browserContext().cookies();
+  const localStorage = {};
+  try {
+    const { origin, items } = await page.evaluate(() => {
+      const items = {};
+      for (let i = 0; i < window.localStorage.length; i++) {
+        const key = window.localStorage.key(i);
+        items[key] = window.localStorage.getItem(key);
+      }
+      return { origin: location.origin, items };
+    });
+    if (origin && origin !== "null" && Object.keys(items).length > 0) localStorage[origin] = items;
+  } catch (e) {
+    // about:blank and error pages have no storage
+  }
+  return { cookies, localStorage };
+}
+
+/**
+ * Put saved state back into a page before it navigates anywhere
+ *
+ * Cookies go into the page's browser context; localStorage is written by a
+ * script that runs before the site's own scripts on every matching origin,
+ * without overwriting keys the site has set since.
+ *
+ * @param {Page} page
+ * @param {{cookies: Object[], localStorage: Object}} state
+ */
+export async function restoreSession(page, state) {
+  const now = Date.now() / 1000;
+  const cookies = (state.cookies || [])
+    .filter((c) => !(c.expires > 0 && c.expires < now))
+    .map((c) => Object.fromEntries(COOKIE_FIELDS.filter((f) => c[f] !== undefined).map((f) => [f, c[f]])));
+  if (cookies.length > 0) await page.browserContext().setCookie(...cookies);
+
+  if (state.localStorage && Object.keys(state.localStorage).length > 0) {
+    await page.evaluateOnNewDocument((saved) => {
+      const items = saved[location.origin];
+      if (!items) return;
+      try {
+        for (const [key, value] of Object.entries(items)) {
+          if (window.localStorage.getItem(key) === null) window.localStorage.setItem(key, value);
+        }
+      } catch (e) {}
+    }, state.localStorage);
+  }
+}
+
+// ============================================================================
+// STORE
+// ============================================================================
+
+/**
+ * Open (or create) a session profile store
+ *
+ * @param {string} dir - Directory for profile files (default: ./output/sessions)
+ * @param {Object} options
+ * @param {number} options.ttlMs - Profile lifetime after it's saved (default: 12 hours)
+ * @returns {Object} { load, save, invalidate, list, clear }
+ */
+export function openSessionStore(dir = "./output/sessions", options = {}) {
+  const { ttlMs = 12 * 60 * 60 * 1000 } = options;
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  const fileFor = (name) => path.join(dir, fileName(name));
+
+  function read(file) {
+    try {
+      return JSON.parse(fs.readFileSync(file, "utf-8"));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function remove(name) {
+    try {
+      fs.unlinkSync(fileFor(name));
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  return {
+    dir,
+
+    /**
+     * Saved state for a profile, or null when there is none or it expired
+     * (expired profiles are deleted)
+     */
+    load(name) {
+      const profile = read(fileFor(name));
+      if (!profile) return null;
+      if (Date.parse(profile.expiresAt) <= Date.now()) {
+        remove(name);
+        return null;
+      }
+      return profile;
+    },
+
+    /**
+     * Save a profile's state, restarting its expiry
+     *
+     * @param {string} name
+     * @param {{cookies: Object[], localStorage: Object}} state - From captureSession()
+     * @returns {Object} The saved profile
+     */
+    save(name, state) {
+      const now = Date.now();
+      const previous = read(fileFor(name));
+      const profile = {
+        name,
+        createdAt: previous?.createdAt || new Date(now).toISOString(),
+        savedAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + ttlMs).toISOString(),
+        saves: (previous?.saves || 0) + 1,
+        cookies: state.cookies || [],
+        localStorage: state.localStorage || {},
+      };
+      // Write-then-rename so a crash never leaves half a profile behind
+      const tmp = `${fileFor(name)}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(profile));
+      fs.renameSync(tmp, fileFor(name));
+      return profile;
+    },
+
+    /**
+     * Delete a profile (e.g. after a block)
+     *
+     * @returns {boolean} Whether there was one
+     */
+    invalidate(name) {
+      return remove(name);
+    },
+
+    /**
+     * Summaries of every live profile (no cookie values)
+     */
+    list() {
+      return fs.readdirSync(dir)
+        .filter((f) => f.endsWith(".json"))
+        .map((f) => read(path.join(dir, f)))
+        .filter((p) => p && Date.parse(p.expiresAt) > Date.now())
+        .map((p) => ({
+          name: p.name,
+          createdAt: p.createdAt,
+          savedAt: p.savedAt,
+          expiresAt: p.expiresAt,
+          saves: p.saves,
+          cookies: p.cookies.length,
+          origins: Object.keys(p.localStorage),
+        }));
+    },
+
+    /**
+     * Delete every profile
+     */
+    clear() {
+      for (const f of fs.readdirSync(dir)) {
+        if (f.endsWith(".json")) fs.unlinkSync(path.join(dir, f));
+      }
+    },
+  };
+}
@@ -0,0 +1,277 @@
+/**
+ * Persistent listing store
+ *
+ * Append-only NDJSON log keyed by Gumtree ad ID. Every sighting of an ad is
+ * appended; the in-memory index (first/last seen, queries, price/title
+ * history) is rebuilt by replaying the log on open. Nothing is ever
+ * overwritten, so the file doubles as an audit trail.
+ *
+ * Log lines:
+ *   { type: "listing", id, at, query, listing }  - new ad or changed fields
+ *   { type: "seen", id, at, query }              - ad seen again, unchanged
+ *   { type: "removed", id, at }                  - listing page says the ad is gone
+ *   { type: "record", record }                   - snapshot written by compact()
+ */
+
+import fs from "fs";
+import path from "path";
+
+// Fields whose changes are kept in an ad's history. The price text is only
+// tracked (see trackedFields) when there's no amount on one side of the change.
+const TRACKED_FIELDS = ["title", "priceValue"];
+
+// Fields that differ on every scrape without the ad itself changing
+// (image matches grow as other listings are scraped; ads move between pages)
+const VOLATILE_FIELDS = ["scrapedAt", "postedDate", "postedAt", "sources", "source", "page", "imageMatches", "repostOf"];
+
+/**
+ * Extract the Gumtree ad ID from a listing URL
+ *
+ * Australian ads keep their bare numeric ID. UK ads (gumtree.com/p/...)
+ * are prefixed "uk-" so the two sites' IDs can't collide in one store.
+ *
+ * @param {string} url - e.g. https://www.gumtree.com.au/s-ad/parramatta/dogs/maltipoo/1234567890
+ * @returns {string|null}
+ */
+export function parseAdId(url) {
+  const text = url || "";
+  const au = text.match(/\/s-ad\/(?:[^?#]*\/)?(\d+)(?:[/?#]|$)/);
+  if (au) return au[1];
+  const uk = text.match(/gumtree\.com\/p\/(?:[^?#]*\/)?(\d+)(?:[/?#]|$)/);
+  return uk ? `uk-${uk[1]}` : null;
+}
+
+// One price change is one history entry: the amount when both sides have one
+// ("$500" -> "$450 ono" is 500 -> 450), else the text ("Swap/Trade" -> "$50")
+function trackedFields(from, to) {
+  return isEmpty(from.priceValue) || isEmpty(to.priceValue) ? [...TRACKED_FIELDS, "price"] : TRACKED_FIELDS;
+}
+
+function isEmpty(value) {
+  if (value === null || value === undefined || value === "") return true;
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === "object") return Object.keys(value).length === 0;
+  return false;
+}
+
+/**
+ * Open (or create) a listing store
+ *
+ * @param {string} dir - Directory for the store (default: ./output/db)
+ * @returns {Object}
+ */
+export function openListingStore(dir = "./output/db") {
+  const file = path.join(dir, "listings.ndjson");
+  const records = new Map();
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  // Apply one log entry to the index. Returns "added", "updated" or "unchanged".
+  function apply(entry) {
+    if (entry.type === "record") {
+      records.set(entry.record.id, entry.record);
+      return "added";
+    }
+
+    const { id, at, query } = entry;
+    let record = records.get(id);
+    let outcome = "unchanged";
+
+    if (entry.type === "removed") {
+      if (!record) return "unchanged";
+      record.removedAt = at;
+      return "updated";
+    }
+
+    if (!record) {
+      record = {
+        id,
+        url: entry.listing?.url || "",
+        firstSeen: at,
+        lastSeen: at,
+        timesSeen: 0,
+        queries: [],
+        listing: {},
+        history: [],
+      };
+      records.set(id, record);
+      outcome = "added";
+    }
+
+    record.lastSeen = at;
+    record.timesSeen++;
+    // Seen live again (relisted, or a removal page served by mistake)
+    delete record.removedAt;
+    if (query && !record.queries.includes(query)) record.queries.push(query);
+
+    if (entry.type === "listing") {
+      for (const field of trackedFields(record.listing, entry.listing)) {
+        const from = record.listing[field];
+        const to = entry.listing[field];
+        if (outcome !== "added" && !isEmpty(to) && !isEmpty(from) && from !== to) {
+          record.history.push({ at, field, from, to });
+          outcome = "updated";
+        }
+      }
+      for (const [field, value] of Object.entries(entry.listing)) {
+        if (!isEmpty(value)) record.listing[field] = value;
+      }
+      if (entry.listing.url) record.url = entry.listing.url;
+    }
+
+    return outcome;
+  }
+
+  // Would this listing change anything we know about the ad?
+  function hasChanges(record, listing) {
+    return Object.entries(listing).some(([field, value]) => {
+      if (isEmpty(value) || VOLATILE_FIELDS.includes(field)) return false;
+      return JSON.stringify(record.listing[field]) !== JSON.stringify(value);
+    });
+  }
+
+  function load() {
+    records.clear();
+    if (!fs.existsSync(file)) return;
+    for (const line of fs.readFileSync(file, "utf-8").split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        apply(JSON.parse(line));
+      } catch (e) {
+        // A torn last line from a crash shouldn't make the whole store unreadable
+      }
+    }
+  }
+
+  load();
+
+  return {
+    file,
+
+    /**
+     * Insert or update listings
+     *
+     * @param {Object[]} listings
+     * @param {Object} options
+     * @param {string} options.query - Search query that surfaced these listings
+     * @returns {{added: string[], updated: string[], unchanged: string[], skipped: number}}
+     *   Ad IDs by outcome; "updated" means the title or price changed.
+     *   `skipped` counts listings without a parseable ad ID.
+     */
+    upsert(listings, options = {}) {
+      const { query = null } = options;
+      const summary = { added: [], updated: [], unchanged: [], skipped: 0 };
+      const lines = [];
+      const at = new Date().toISOString();
+
+      for (const listing of listings) {
+        const id = parseAdId(listing.url);
+        if (!id) {
+          summary.skipped++;
+          continue;
+        }
+
+        const existing = records.get(id);
+        const entry = !existing || hasChanges(existing, listing)
+          ? { type: "listing", id, at, query, listing }
+          : { type: "seen", id, at, query };
+
+        const outcome = apply(entry);
+        summary[outcome].push(id);
+        lines.push(JSON.stringify(entry));
+      }
+
+      if (lines.length > 0) fs.appendFileSync(file, lines.join("\n") + "\n");
+      return summary;
+    },
+
+    /**
+     * Record that ads have been removed or have expired
+     *
+     * The record keeps its data and gains `removedAt`; ads the store has
+     * never seen are ignored. Seeing an ad again clears the mark.
+     *
+     * @param {string[]} urls - Listing URLs
+     * @returns {string[]} IDs that were marked
+     */
+    markRemoved(urls) {
+      const at = new Date().toISOString();
+      const lines = [];
+      const marked = [];
+      for (const url of urls) {
+        const id = parseAdId(url);
+        if (!id || !records.has(id) || records.get(id).removedAt) continue;
+        const entry = { type: "removed", id, at };
+        apply(entry);
+        lines.push(JSON.stringify(entry));
+        marked.push(id);
+      }
+      if (lines.length > 0) fs.appendFileSync(file, lines.join("\n") + "\n");
+      return marked;
+    },
+
+    /**
+     * Get one ad by ID, including its history
+     */
+    get(id) {
+      return records.get(String(id)) || null;
+    },
+
+    /**
+     * Query stored ads
+     *
+     * @param {Object} filter
+     * @param {string} filter.text - Case-insensitive match on title/description
+     * @param {string} filter.query - Only ads surfaced by this search query
+     * @param {number} filter.minPrice
+     * @param {number} filter.maxPrice
+     * @param {string} filter.state - e.g. "NSW"
+     * @param {string} filter.since - Only ads seen since this ISO date
+     * @param {string} filter.seller - Only ads by this seller ID or (case-insensitive) seller name
+     * @param {number} filter.limit - Max results (default: 100)
+     * @returns {Object[]} Records, most recently seen first
+     */
+    query(filter = {}) {
+      const { text, query, minPrice, maxPrice, state, since, seller, limit = 100 } = filter;
+      const needle = text ? text.toLowerCase() : null;
+      const sellerName = seller ? String(seller).toLowerCase() : null;
+
+      return Array.from(records.values())
+        .filter((r) => {
+          const l = r.listing;
+          if (needle && !`${l.title || ""} ${l.description || ""}`.toLowerCase().includes(needle)) return false;
+          if (query && !r.queries.includes(query)) return false;
+          if (minPrice !== undefined && !(l.priceValue >= minPrice)) return false;
+          if (maxPrice !== undefined && !(l.priceValue <= maxPrice)) return false;
+          if (state && l.state !== state) return false;
+          if (since && r.lastSeen < since) return false;
+          if (seller && l.sellerId !== seller && (l.seller || "").toLowerCase() !== sellerName) return false;
+          return true;
+        })
+        .sort((a, b) => b.lastSeen.localeCompare(a.lastSeen))
+        .slice(0, limit);
+    },
+
+    /**
+     * Number of distinct ads in the store
+     */
+    size() {
+      return records.size;
+    },
+
+    /**
+     * Re-read the log, e.g. after another process appended to it
+     */
+    reload: load,
+
+    /**
+     * Rewrite the log as one snapshot line per ad (history is kept)
+     */
+    compact() {
+      const tmp = `${file}.tmp`;
+      const lines = Array.from(records.values()).map((record) => JSON.stringify({ type: "record", record }));
+      fs.writeFileSync(tmp, lines.length > 0 ? lines.join("\n") + "\n" : "");
+      fs.renameSync(tmp, file);
+    },
+  };
+}
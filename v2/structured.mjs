@@ -0,0 +1,269 @@
+/**
+ * Embedded structured data
+ *
+ * Gumtree pages carry machine-readable copies of what they render:
+ * `application/ld+json` blocks, Open Graph / product meta tags and the
+ * serialized app state in script tags. These survive markup redesigns far
+ * better than CSS selectors, so the extractors read them first.
+ *
+ * Field sources, in order of preference: "json-ld", "meta", "state"
+ * (and "selector" for the CSS fallback in lib.mjs).
+ */
+
+// Globals that single-page apps commonly serialize their state into
+const STATE_GLOBALS = [
+  "__APP_INITIAL_STATE__",
+  "__INITIAL_STATE__",
+  "__PRELOADED_STATE__",
+  "__NEXT_DATA__",
+  "__NUXT__",
+];
+
+// ============================================================================
+// PAGE READER
+// ============================================================================
+
+/**
+ * Collect JSON-LD, meta tags and app state from the current page
+ *
+ * @param {Page} page
+ * @returns {Promise<{jsonLd: Object[], meta: Object, state: Object[]}>}
+ */
+export async function readStructuredData(page) {
+  return page.evaluate((globals) => {
+    const jsonLd = [];
+    document.querySelectorAll('script[type="application/ld+json"]').forEach((el) => {
+      try {
+        const parsed = JSON.parse(el.textContent);
+        const items = Array.isArray(parsed) ? parsed : [parsed];
+        items.forEach((item) => {
+          if (Array.isArray(item?.["@graph"])) jsonLd.push(...item["@graph"]);
+          else if (item) jsonLd.push(item);
+        });
+      } catch (e) {}
+    });
+
+    const meta = {};
+    document.querySelectorAll("meta[content]").forEach((el) => {
+      const key = el.getAttribute("property") || el.getAttribute("name") || el.getAttribute("itemprop");
+      if (key && !(key in meta)) meta[key] = el.getAttribute("content").trim();
+    });
+
+    const state = [];
+    globals.forEach((name) => {
+      try {
+        if (window[name] && typeof window[name] === "object") {
+          state.push(JSON.parse(JSON.stringify(window[name])));
+        }
+      } catch (e) {}
+    });
+    document.querySelectorAll('script[type="application/json"]').forEach((el) => {
+      try {
+        state.push(JSON.parse(el.textContent));
+      } catch (e) {}
+    });
+
+    return { jsonLd, meta, state };
+  }, STATE_GLOBALS);
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function hasType(node, type) {
+  const t = node?.["@type"];
+  return Array.isArray(t) ? t.includes(type) : t === type;
+}
+
+function firstOffer(node) {
+  const offers = node?.offers;
+  return Array.isArray(offers) ? offers[0] : offers;
+}
+
+function text(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "object") return text(value.name || value["@value"] || "");
+  return String(value).trim();
+}
+
+function imageList(value) {
+  const list = Array.isArray(value) ? value : [value];
+  return list
+    .map((img) => (typeof img === "string" ? img : img?.url || img?.contentUrl))
+    .filter(Boolean);
+}
+
+function formatPrice(amount, currency) {
+  if (amount === null || amount === undefined || amount === "") return "";
+  const symbol = { AUD: "$", USD: "$", GBP: "£", EUR: "€" }[currency] || "";
+  const n = Number(amount);
+  return isNaN(n) ? text(amount) : `${symbol}${n.toLocaleString("en-AU")}`;
+}
+
+function formatAddress(address) {
+  if (!address) return "";
+  if (typeof address === "string") return address.trim();
+  const locality = address.addressLocality || "";
+  const region = [address.addressRegion, address.postalCode].filter(Boolean).join(" ");
+  return [locality, region].filter(Boolean).join(", ");
+}
+
+/**
+ * Walk an object tree breadth-first, returning the first node that
+ * satisfies `test`. Bounded so huge app states can't stall extraction.
+ */
+function findNode(root, test, maxNodes = 20000) {
+  const queue = [root];
+  let seen = 0;
+  while (queue.length > 0 && seen++ < maxNodes) {
+    const node = queue.shift();
+    if (!node || typeof node !== "object") continue;
+    if (!Array.isArray(node) && test(node)) return node;
+    queue.push(...Object.values(node));
+  }
+  return null;
+}
+
+function looksLikeAd(node) {
+  return typeof node.title === "string" && ("price" in node || "description" in node);
+}
+
+function stateAd(state) {
+  for (const root of state || []) {
+    const ad = findNode(root, looksLikeAd);
+    if (ad) return ad;
+  }
+  return null;
+}
+
+function statePrice(ad) {
+  const price = ad.price;
+  if (price && typeof price === "object") {
+    return formatPrice(price.amount ?? price.value ?? price.display, price.currency || price.currencyCode || "AUD");
+  }
+  return typeof price === "number" ? formatPrice(price, "AUD") : text(price);
+}
+
+// ============================================================================
+// LISTING PAGES
+// ============================================================================
+
+/**
+ * Map structured data from a listing page onto listing fields
+ *
+ * @param {{jsonLd: Object[], meta: Object, state: Object[]}} data
+ * @returns {Object} field -> { value, source }, only for fields that were found
+ */
+export function listingFromStructuredData(data) {
+  const { jsonLd = [], meta = {}, state = [] } = data || {};
+  const fields = {};
+  const set = (field, value, source) => {
+    const empty = Array.isArray(value) ? value.length === 0 : !value;
+    if (!empty && !fields[field]) fields[field] = { value, source };
+  };
+
+  // 1. JSON-LD (Product / Offer / Vehicle etc. all carry name + offers)
+  const product = jsonLd.find((n) => n?.offers && n?.name) || jsonLd.find((n) => hasType(n, "Product"));
+  if (product) {
+    const offer = firstOffer(product);
+    set("title", text(product.name), "json-ld");
+    set("description", text(product.description), "json-ld");
+    set("price", formatPrice(offer?.price, offer?.priceCurrency), "json-ld");
+    set("location", formatAddress(offer?.availableAtOrFrom?.address || offer?.areaServed?.address), "json-ld");
+    set("seller", text(offer?.seller), "json-ld");
+    set("postedDate", text(product.datePosted || offer?.validFrom), "json-ld");
+    set("images", imageList(product.image), "json-ld");
+  }
+
+  // 2. Meta tags
+  set("title", meta["og:title"], "meta");
+  set("description", meta["og:description"], "meta");
+  set("price", formatPrice(meta["product:price:amount"] || meta["og:price:amount"], meta["product:price:currency"] || meta["og:price:currency"]), "meta");
+  set("images", imageList(meta["og:image"]), "meta");
+
+  // 3. Serialized app state
+  const ad = stateAd(state);
+  if (ad) {
+    set("title", text(ad.title), "state");
+    set("description", text(ad.description), "state");
+    set("price", statePrice(ad), "state");
+    set("location", text(ad.location?.name || ad.location || ad.locationName), "state");
+    set("seller", text(ad.seller?.name || ad.sellerName || ad.userName), "state");
+    set("postedDate", text(ad.postedDate || ad.creationDate || ad.datePosted), "state");
+    set("images", imageList(ad.images || ad.pictures || []), "state");
+  }
+
+  return fields;
+}
+
+// ============================================================================
+// SEARCH PAGES
+// ============================================================================
+
+/**
+ * Read listing cards from a search page's JSON-LD ItemList
+ *
+ * @param {{jsonLd: Object[]}} data
+ * @param {Object} options
+ * @param {string} options.baseUrl - Resolves relative listing URLs (default: Gumtree AU)
+ * @param {string} options.listingPath - Path prefix of listing URLs (default: "/s-ad/")
+ * @returns {Object[]} Listings with `sources` recorded per field
+ */
+export function listingsFromStructuredData(data, options = {}) {
+  const { baseUrl = "https://www.gumtree.com.au", listingPath = "/s-ad/" } = options;
+  const { jsonLd = [] } = data || {};
+  const list = jsonLd.find((n) => hasType(n, "ItemList") && Array.isArray(n.itemListElement));
+  if (!list) return [];
+
+  return list.itemListElement
+    .map((el) => {
+      const item = el.item || el;
+      const offer = firstOffer(item);
+      const href = item.url || el.url || offer?.url || "";
+      if (!href.includes(listingPath)) return null;
+      const url = new URL(href, baseUrl).href;
+
+      const listing = { url, sources: { url: "json-ld" } };
+      const fields = {
+        title: text(item.name),
+        price: formatPrice(offer?.price, offer?.priceCurrency),
+        location: formatAddress(offer?.availableAtOrFrom?.address),
+        image: imageList(item.image)[0] || "",
+      };
+      for (const [field, value] of Object.entries(fields)) {
+        listing[field] = value;
+        if (value) listing.sources[field] = "json-ld";
+      }
+      return listing;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Merge structured and selector-scraped cards by URL
+ *
+ * Structured values win; selector values fill the gaps. Cards only one
+ * side found are kept.
+ *
+ * @param {Object[]} structured - From listingsFromStructuredData()
+ * @param {Object[]} scraped - From the CSS selector pass
+ * @returns {Object[]}
+ */
+export function mergeListings(structured, scraped) {
+  const byUrl = new Map(scraped.map((l) => [l.url, l]));
+  const merged = structured.map((s) => {
+    const card = byUrl.get(s.url) || {};
+    byUrl.delete(s.url);
+    const listing = { ...card, ...s, sources: { ...s.sources } };
+    for (const [field, value] of Object.entries(card)) {
+      if (field === "sources") continue;
+      if (!s[field] && value) {
+        listing[field] = value;
+        listing.sources[field] = "selector";
+      }
+    }
+    return listing;
+  });
+  return [...merged, ...byUrl.values()];
+}